@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+import { EXIT_CODES, run } from '../lib/cli.js';
+
+try {
+  process.exit(await run(process.argv.slice(2)));
+} catch (error) {
+  process.stderr.write(`mjml-api: ${error.stack}\n`);
+  process.exit(EXIT_CODES.UNAVAILABLE);
+}
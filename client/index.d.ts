@@ -0,0 +1,215 @@
+export declare const MAX_BATCH_ITEMS: 100;
+
+export type TemplateEngine = 'handlebars' | 'mustache';
+
+export type OutputFormat = 'html' | 'text';
+
+export interface MjmlOptions {
+  validationLevel?: 'strict' | 'soft' | 'skip';
+  keepComments?: boolean;
+  beautify?: boolean;
+  minify?: boolean;
+  fonts?: Record<string, string>;
+}
+
+export interface PostProcessOptions {
+  darkMode?: boolean;
+  msoFixes?: boolean;
+  stripUnusedCss?: boolean;
+  minify?: boolean;
+  /** Light to dark colors for darkMode, e.g. { '#ffffff': '#121212' } */
+  darkModeColors?: Record<string, string>;
+}
+
+export interface PostProcessStep {
+  step: 'darkMode' | 'msoFixes' | 'stripUnusedCss' | 'minify';
+  [stat: string]: unknown;
+}
+
+export interface TrackingOptions {
+  utm?: Partial<Record<'source' | 'medium' | 'campaign' | 'term' | 'content', string>>;
+  /** Wrap links in the server click redirect (signed token) */
+  clickTracking?: boolean;
+  /** Add the server open pixel before </body> */
+  openTracking?: boolean;
+  messageId?: string;
+  recipientId?: string;
+}
+
+export interface TrackedLink {
+  id: number;
+  tag: 'mj-button' | 'mj-image' | 'a';
+  /** Destination, with UTM parameters */
+  url: string;
+  /** URL written in the HTML */
+  href: string;
+}
+
+export interface TrackingManifest {
+  links: TrackedLink[];
+  /** Links skipped with data-notrack */
+  excluded: number;
+  openPixel: boolean;
+}
+
+export interface ImageOptions {
+  /** none (default): keep URLs; inline: data URIs; cid: cid: references returned in attachments */
+  embed?: 'none' | 'inline' | 'cid';
+  fillDimensions?: boolean;
+  /** 1x/2x variants for embedded images with an explicit width */
+  srcset?: boolean;
+}
+
+export interface ImageReport {
+  src: string;
+  format: string;
+  width: number;
+  height: number;
+  bytes: number;
+  filled: Array<'width' | 'height'>;
+  srcset: boolean;
+  warnings: string[];
+}
+
+export interface ImageAttachment {
+  cid: string;
+  filename: string;
+  contentType: string;
+  /** Base64 encoded content */
+  content: string;
+}
+
+export interface RenderRequest {
+  mjml: string;
+  data?: Record<string, unknown>;
+  templateEngine?: TemplateEngine;
+  partials?: Record<string, string>;
+  /** Translation catalog for {{t}} message keys (BCP 47, e.g. fr-CA) */
+  locale?: string;
+  options?: MjmlOptions;
+  outputs?: OutputFormat[];
+  /** Post-processing steps to toggle over the server defaults */
+  postProcess?: PostProcessOptions;
+  tracking?: TrackingOptions;
+  images?: ImageOptions;
+}
+
+export interface RenderOutput {
+  html?: string;
+  text?: string;
+  /** Images embedded as cid: */
+  attachments?: ImageAttachment[];
+  meta?: {
+    /** Rewritten links (with tracking) */
+    tracking?: TrackingManifest;
+    /** Processed mj-image (with images) */
+    images?: ImageReport[];
+    /** Post-processing steps applied to the HTML */
+    postProcess?: PostProcessStep[];
+  };
+}
+
+export interface ErrorDetail {
+  line: number | null;
+  message: string;
+  tagName: string | null;
+  file?: string | null;
+  include?: string;
+}
+
+export interface BatchItem {
+  id?: string | number;
+  mjml: string;
+  data?: Record<string, unknown>;
+  templateEngine?: TemplateEngine;
+  partials?: Record<string, string>;
+  locale?: string;
+}
+
+export interface BatchOptions {
+  options?: MjmlOptions;
+  outputs?: OutputFormat[];
+  /** Renders every item without a locale once per locale */
+  locales?: string[];
+  postProcess?: PostProcessOptions;
+  /** messageId defaults to each item id */
+  tracking?: TrackingOptions;
+  images?: ImageOptions;
+}
+
+export interface RenderResult extends RenderOutput {
+  id: string | number;
+  locale?: string;
+  success: boolean;
+  error?: string;
+  code?: string;
+  errors?: ErrorDetail[];
+}
+
+export interface BatchSummary {
+  total: number;
+  success: number;
+  failed: number;
+}
+
+export interface BatchResponse {
+  summary: BatchSummary;
+  results: RenderResult[];
+}
+
+export interface HealthResponse {
+  status: string;
+  timestamp: string;
+}
+
+export interface ClientOptions {
+  /** Server URL (default http://localhost:3000) */
+  baseUrl?: string;
+  /** Sent as Authorization: Bearer */
+  apiKey?: string;
+  /** Extra attempts on 429, 5xx and network errors (default 3) */
+  retries?: number;
+  /** Backoff bounds in ms (default 200 and 5000) */
+  minDelay?: number;
+  maxDelay?: number;
+  /** Per-attempt timeout in ms (default 30000) */
+  timeout?: number;
+  /** Renders per /render-batch request (default 100) */
+  maxBatchItems?: number;
+  fetch?: typeof globalThis.fetch;
+}
+
+export interface MjmlClient {
+  health(): Promise<HealthResponse>;
+  render(payload: RenderRequest): Promise<RenderOutput>;
+  renderBatch(items: BatchItem[], options?: BatchOptions): Promise<BatchResponse>;
+}
+
+export declare function createClient(options?: ClientOptions): MjmlClient;
+
+export interface MjmlApiErrorOptions {
+  status?: number;
+  code?: string;
+  errors?: ErrorDetail[];
+  requestId?: string;
+  body?: unknown;
+  cause?: unknown;
+}
+
+export declare class MjmlApiError extends Error {
+  constructor(message: string, options?: MjmlApiErrorOptions);
+  /** HTTP status, 0 for network errors */
+  status: number;
+  /** Server error code (NETWORK_ERROR for network errors) */
+  code: string;
+  errors?: ErrorDetail[];
+  /** Server request id (X-Request-Id), to find the request in the server logs */
+  requestId?: string;
+  body?: unknown;
+}
+
+export declare class CompilationError extends MjmlApiError {}
+
+export declare class ContentTooLargeError extends MjmlApiError {}
+
+export declare class TooManyItemsError extends MjmlApiError {}
@@ -0,0 +1,188 @@
+/**
+ * Client JavaScript du serveur MJML (Node 18+, navigateurs) : fetch natif,
+ * retries avec backoff et découpage des batchs.
+ */
+
+// Limite d'items par requête de /render-batch (MAX_BATCH_ITEMS côté serveur)
+export const MAX_BATCH_ITEMS = 100;
+
+// Statuts réessayés : rate limit et erreurs serveur (file pleine, timeout...)
+const isRetryable = (status) => status === 429 || status >= 500;
+
+// ============ ERREURS ============
+
+/**
+ * Réponse d'erreur du serveur ({ error, code, errors?, requestId? }) ou échec réseau (status 0)
+ */
+export class MjmlApiError extends Error {
+  constructor(message, {
+    status = 0, code = 'NETWORK_ERROR', errors, requestId, body, cause,
+  } = {}) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.errors = errors;
+    this.requestId = requestId;
+    this.body = body;
+  }
+}
+
+export class CompilationError extends MjmlApiError {}
+
+export class ContentTooLargeError extends MjmlApiError {}
+
+export class TooManyItemsError extends MjmlApiError {}
+
+const ERROR_CLASSES = {
+  COMPILATION_ERROR: CompilationError,
+  CONTENT_TOO_LARGE: ContentTooLargeError,
+  TOO_MANY_ITEMS: TooManyItemsError,
+};
+
+const apiError = (status, body) => {
+  const ErrorClass = ERROR_CLASSES[body?.code] || MjmlApiError;
+  return new ErrorClass(body?.error || `Request failed with status ${status}`, {
+    status,
+    code: body?.code || 'HTTP_ERROR',
+    errors: body?.errors,
+    requestId: body?.requestId,
+    body,
+  });
+};
+
+// ============ CLIENT ============
+
+const sleep = (ms) => new Promise((resolve) => { setTimeout(resolve, ms); });
+
+/**
+ * Délai avant la tentative suivante : Retry-After s'il est fourni,
+ * sinon backoff exponentiel avec jitter, borné à maxDelay
+ */
+const retryDelay = (attempt, retryAfter, { minDelay, maxDelay }) => {
+  const seconds = Number(retryAfter);
+  if (retryAfter && Number.isFinite(seconds)) {
+    return Math.min(seconds * 1000, maxDelay);
+  }
+
+  const backoff = Math.min(minDelay * 2 ** attempt, maxDelay);
+  return backoff / 2 + Math.random() * (backoff / 2);
+};
+
+/**
+ * Crée un client :
+ * - baseUrl : URL du serveur (défaut http://localhost:3000)
+ * - apiKey : clé envoyée en Authorization: Bearer
+ * - retries : tentatives supplémentaires sur 429, 5xx et erreurs réseau (défaut 3)
+ * - minDelay, maxDelay : bornes du backoff en ms (défaut 200, 5000)
+ * - timeout : durée max d'une tentative en ms (défaut 30000)
+ * - maxBatchItems : taille des lots envoyés à /render-batch (défaut 100)
+ * - fetch : implémentation de fetch (défaut globalThis.fetch)
+ */
+export const createClient = ({
+  baseUrl = 'http://localhost:3000',
+  apiKey,
+  retries = 3,
+  minDelay = 200,
+  maxDelay = 5000,
+  timeout = 30000,
+  maxBatchItems = MAX_BATCH_ITEMS,
+  fetch = globalThis.fetch,
+} = {}) => {
+  const root = baseUrl.replace(/\/+$/, '');
+
+  const headers = {
+    Accept: 'application/json',
+    ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+  };
+
+  const request = async (method, path, body) => {
+    for (let attempt = 0; ; attempt += 1) {
+      let response;
+
+      try {
+        response = await fetch(`${root}${path}`, {
+          method,
+          headers: body === undefined ? headers : { ...headers, 'Content-Type': 'application/json' },
+          body: body === undefined ? undefined : JSON.stringify(body),
+          signal: AbortSignal.timeout(timeout),
+        });
+      } catch (error) {
+        if (attempt >= retries) {
+          throw new MjmlApiError(`Request to ${path} failed: ${error.message}`, { cause: error });
+        }
+        await sleep(retryDelay(attempt, null, { minDelay, maxDelay }));
+        continue;
+      }
+
+      if (response.ok) {
+        return response.json();
+      }
+
+      const payload = await response.json().catch(() => null);
+
+      if (!isRetryable(response.status) || attempt >= retries) {
+        throw apiError(response.status, payload);
+      }
+
+      await sleep(retryDelay(attempt, response.headers.get('retry-after'), { minDelay, maxDelay }));
+    }
+  };
+
+  return {
+    /**
+     * GET /health
+     */
+    health: () => request('GET', '/health'),
+
+    /**
+     * POST /render : { mjml, data?, templateEngine?, partials?, options?, outputs?, postProcess?, tracking?, images? }
+     * Retourne { html?, text?, attachments?, meta? } ; lève CompilationError si le MJML est invalide
+     */
+    render: (payload) => request('POST', '/render', payload),
+
+    /**
+     * POST /render-batch, en lots d'au plus maxBatchItems rendus envoyés l'un après l'autre
+     * (avec locales, un item sans locale compte pour un rendu par locale).
+     * Les items sans id reçoivent leur index dans items, pour rester uniques d'un lot à l'autre.
+     * Retourne { summary, results } dans l'ordre des items ; les échecs par item
+     * sont dans results (success: false), pas levés.
+     */
+    async renderBatch(items, {
+      options, outputs, locales, postProcess, tracking, images,
+    } = {}) {
+      const identified = items.map((item, index) => (item.id === undefined ? { ...item, id: index } : item));
+      const summary = { total: 0, success: 0, failed: 0 };
+      const results = [];
+
+      const chunks = [];
+      let renders = 0;
+      identified.forEach((item) => {
+        const count = item.locale === undefined && locales ? locales.length : 1;
+        if (chunks.length === 0 || renders + count > maxBatchItems) {
+          chunks.push([]);
+          renders = 0;
+        }
+        chunks[chunks.length - 1].push(item);
+        renders += count;
+      });
+
+      for (const chunkItems of chunks) {
+        const chunk = await request('POST', '/render-batch', {
+          items: chunkItems,
+          options,
+          outputs,
+          locales,
+          postProcess,
+          tracking,
+          images,
+        });
+
+        results.push(...chunk.results);
+        Object.keys(summary).forEach((key) => { summary[key] += chunk.summary[key]; });
+      }
+
+      return { summary, results };
+    },
+  };
+};
@@ -0,0 +1,256 @@
+import {
+  attributeResolver,
+  contentLineResolver,
+  finding,
+  parseMjmlTree,
+  summarizeFindings,
+  walk,
+} from './mjml-tree.js';
+import { applyPresets } from './components.js';
+import { prepareSource } from './render.js';
+
+// Seuils WCAG 2.1 niveau AA
+const CONTRAST_AA = 4.5;
+const CONTRAST_AA_LARGE = 3;
+
+// Liens dont le texte seul ne dit pas où ils mènent
+const VAGUE_LINK_TEXTS = [
+  'click here',
+  'click',
+  'here',
+  'read more',
+  'more',
+  'learn more',
+  'link',
+  'this link',
+  'cliquez ici',
+  'ici',
+  'en savoir plus',
+  'lire la suite',
+];
+
+// Balises dont le fond se propage au contenu, du plus proche au plus lointain
+const BACKGROUND_TAGS = ['mj-column', 'mj-group', 'mj-section', 'mj-wrapper', 'mj-hero', 'mj-body'];
+
+const NAMED_COLORS = {
+  black: [0, 0, 0],
+  white: [255, 255, 255],
+  red: [255, 0, 0],
+  green: [0, 128, 0],
+  blue: [0, 0, 255],
+  yellow: [255, 255, 0],
+  orange: [255, 165, 0],
+  purple: [128, 0, 128],
+  gray: [128, 128, 128],
+  grey: [128, 128, 128],
+  silver: [192, 192, 192],
+  navy: [0, 0, 128],
+};
+
+/**
+ * Couleur CSS en [r, g, b] ; 'transparent' si transparente, null si non reconnue
+ */
+const parseColor = (value) => {
+  const color = String(value).trim().toLowerCase();
+
+  if (color === 'transparent') {
+    return 'transparent';
+  }
+  if (NAMED_COLORS[color]) {
+    return NAMED_COLORS[color];
+  }
+
+  const hex = color.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/);
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+    return [0, 2, 4].map((index) => parseInt(digits.slice(index, index + 2), 16));
+  }
+
+  const rgb = color.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*(?:,\s*([\d.]+)\s*)?\)$/);
+  if (rgb) {
+    return rgb[4] !== undefined && parseFloat(rgb[4]) === 0 ? 'transparent' : rgb.slice(1, 4).map(Number);
+  }
+
+  return null;
+};
+
+const luminance = (rgb) => {
+  const [r, g, b] = rgb.map((channel) => {
+    const value = channel / 255;
+    return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+};
+
+export const contrastRatio = (foreground, background) => {
+  const [light, dark] = [luminance(foreground), luminance(background)].sort((a, b) => b - a);
+  return (light + 0.05) / (dark + 0.05);
+};
+
+const stripTags = (html) => html.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+
+// ============ RULES ============
+
+/**
+ * Contraste du texte d'un mj-text / mj-button avec le fond effectif
+ */
+const checkContrast = (node, ancestors, attribute, findings) => {
+  const color = parseColor(attribute(node, 'color'));
+  if (!color || color === 'transparent') {
+    return;
+  }
+
+  // Le fond d'un bouton est le sien ; sinon on remonte jusqu'au premier fond opaque
+  const layers = node.tagName === 'mj-button' ? [node] : ancestors.filter((a) => BACKGROUND_TAGS.includes(a.tagName));
+  let background = [255, 255, 255];
+  let backgroundLabel = 'default white';
+
+  for (const layer of layers) {
+    // Une image de fond rend le contraste impossible à évaluer
+    if (attribute(layer, 'background-url')) {
+      return;
+    }
+
+    const value = attribute(layer, 'background-color') ?? 'transparent';
+    const parsed = parseColor(value);
+    if (parsed === null) {
+      return;
+    }
+    if (parsed !== 'transparent') {
+      background = parsed;
+      backgroundLabel = value;
+      break;
+    }
+  }
+
+  const fontSize = parseFloat(attribute(node, 'font-size')) || 13;
+  const weight = String(attribute(node, 'font-weight') || 'normal');
+  const bold = weight === 'bold' || parseInt(weight, 10) >= 700;
+  const large = fontSize >= 24 || (bold && fontSize >= 18.66);
+  const required = large ? CONTRAST_AA_LARGE : CONTRAST_AA;
+  const ratio = contrastRatio(color, background);
+
+  if (ratio < required) {
+    findings.push(finding('error', 'color-contrast', node, `Contrast ratio ${ratio.toFixed(2)}:1 is below ${required}:1 (text ${attribute(node, 'color')} on ${backgroundLabel} background)`, {
+      ratio: Math.round(ratio * 100) / 100,
+      required,
+    }));
+  }
+};
+
+const checkContent = (node, at, findings, headings) => {
+  const { content } = node;
+
+  for (const match of content.matchAll(/<img\b[^>]*>/gi)) {
+    if (!/\balt\s*=/i.test(match[0])) {
+      findings.push(finding('error', 'image-alt', { ...at(match.index), tagName: 'img' }, 'Image has no alt attribute'));
+    }
+  }
+
+  for (const match of content.matchAll(/<table\b[^>]*>/gi)) {
+    if (!/\brole\s*=\s*["']?presentation/i.test(match[0]) && !/<th\b/i.test(content.slice(match.index))) {
+      findings.push(finding('warning', 'table-role', { ...at(match.index), tagName: 'table' }, 'Layout table without role="presentation" is announced as a data table'));
+    }
+  }
+
+  for (const match of content.matchAll(/<h([1-6])\b/gi)) {
+    headings.push({ level: Number(match[1]), ...at(match.index) });
+  }
+
+  for (const match of content.matchAll(/<a\b([^>]*)>([\s\S]*?)<\/a>/gi)) {
+    checkLinkText(match[1], match[2], { ...at(match.index), tagName: 'a' }, findings);
+  }
+};
+
+const checkLinkText = (attributes, html, location, findings) => {
+  if (/\baria-label\s*=\s*["'][^"']+/i.test(attributes)) {
+    return;
+  }
+
+  const text = stripTags(html).toLowerCase().replace(/[.!…:>»\s]+$/, '');
+  const imageAlt = /<img\b[^>]*\balt\s*=\s*["'][^"']+/i.test(html);
+
+  if (!text && !imageAlt) {
+    findings.push(finding('error', 'link-text', location, 'Link has no text'));
+  } else if (VAGUE_LINK_TEXTS.includes(text)) {
+    findings.push(finding('warning', 'link-text', location, `Link text "${stripTags(html)}" does not describe its destination`));
+  }
+};
+
+const checkHeadings = (headings, findings) => {
+  headings.forEach((heading, index) => {
+    const previous = headings[index - 1];
+
+    if (!previous && heading.level !== 1) {
+      findings.push(finding('info', 'heading-order', heading, `First heading is h${heading.level}, not h1`));
+    } else if (previous && heading.level > previous.level + 1) {
+      findings.push(finding('warning', 'heading-order', heading, `h${heading.level} follows h${previous.level}: heading levels should not be skipped`));
+    }
+  });
+};
+
+const auditTree = (tree, source) => {
+  const findings = [];
+  const headings = [];
+  const attribute = attributeResolver(tree);
+  const contentLine = contentLineResolver(source);
+
+  if (!tree.attributes?.lang) {
+    findings.push(finding('error', 'lang', tree, 'Missing lang attribute on mjml: screen readers cannot pick the right language'));
+  }
+  if (!tree.attributes?.dir) {
+    findings.push(finding('warning', 'dir', tree, 'Missing dir attribute on mjml (ltr or rtl)'));
+  }
+
+  walk(tree, (node, ancestors) => {
+    const { tagName, attributes = {} } = node;
+    const at = (index) => ({ line: contentLine(node, index), tagName });
+
+    if (tagName === 'mj-text' || tagName === 'mj-button') {
+      checkContrast(node, ancestors, attribute, findings);
+    }
+
+    if (tagName === 'mj-image' || tagName === 'mj-carousel-image') {
+      const alt = attribute(node, 'alt');
+
+      if (attributes.href && !alt) {
+        findings.push(finding('error', 'image-alt', node, 'Linked image needs alt text describing the link'));
+      } else if (attributes.alt === undefined) {
+        findings.push(finding('warning', 'image-alt', node, `${tagName} has no alt attribute (use alt="" for decorative images)`));
+      }
+    }
+
+    if (tagName === 'mj-button' && attributes.href) {
+      checkLinkText('', node.content || '', node, findings);
+    }
+
+    if (node.content && tagName !== 'mj-style' && tagName !== 'mj-title' && tagName !== 'mj-preview' && tagName !== 'mj-button') {
+      checkContent(node, at, findings, headings);
+    }
+  });
+
+  checkHeadings(headings, findings);
+
+  return findings;
+};
+
+/**
+ * Audit d'accessibilité d'un template MJML (WCAG 2.1 AA).
+ *
+ * La source est préparée comme pour le rendu (voir prepareSource).
+ * Retourne { success: true, valid, summary, findings } ou l'erreur de renderMjml
+ * (TEMPLATE_ERROR, CONTENT_TOO_LARGE). Les findings ont le format de /lint.
+ */
+export const auditAccessibility = (mjml, options = {}) => {
+  const prepared = prepareSource(mjml, options);
+  if (!prepared.success) {
+    return prepared;
+  }
+
+  const source = applyPresets(prepared.source);
+
+  return {
+    success: true,
+    ...summarizeFindings(auditTree(parseMjmlTree(source), source)),
+  };
+};
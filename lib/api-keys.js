@@ -0,0 +1,176 @@
+import { createHash } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashKey = (key) => createHash('sha256').update(key).digest('hex');
+
+/**
+ * Charge les clés d'API :
+ * - API_KEYS_FILE : fichier JSON { defaults?, keys: [{ name, key, rateLimit?, dailyQuota?, admin? }] }
+ * - API_KEYS : liste "name:key" séparée par des virgules
+ * - API_ADMIN_KEYS : noms des clés ayant accès aux routes /admin, séparés par des virgules
+ * Limites par défaut : API_RATE_LIMIT_CAPACITY, API_RATE_LIMIT_REFILL_PER_SECOND, API_DAILY_QUOTA
+ *
+ * Sans clé configurée, l'authentification est désactivée.
+ */
+export const loadApiKeysConfig = (env = process.env) => {
+  const file = env.API_KEYS_FILE ? JSON.parse(readFileSync(env.API_KEYS_FILE, 'utf8')) : {};
+
+  const defaults = {
+    rateLimit: {
+      capacity: parseInt(env.API_RATE_LIMIT_CAPACITY || '60', 10),
+      refillPerSecond: parseFloat(env.API_RATE_LIMIT_REFILL_PER_SECOND || '1'),
+      ...file.defaults?.rateLimit,
+    },
+    dailyQuota: file.defaults?.dailyQuota
+      ?? (env.API_DAILY_QUOTA ? parseInt(env.API_DAILY_QUOTA, 10) : null),
+  };
+
+  const envKeys = (env.API_KEYS || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry, index) => {
+      const separator = entry.indexOf(':');
+      return separator === -1
+        ? { name: `key-${index + 1}`, key: entry }
+        : { name: entry.slice(0, separator), key: entry.slice(separator + 1) };
+    });
+
+  const adminNames = (env.API_ADMIN_KEYS || '').split(',').map((name) => name.trim()).filter(Boolean);
+
+  const keys = [...(file.keys || []), ...envKeys].map((entry) => ({
+    name: entry.name,
+    key: entry.key,
+    rateLimit: { ...defaults.rateLimit, ...entry.rateLimit },
+    dailyQuota: entry.dailyQuota !== undefined ? entry.dailyQuota : defaults.dailyQuota,
+    admin: entry.admin === true || adminNames.includes(entry.name),
+  }));
+
+  const invalid = keys.filter((entry) => !entry.name || !entry.key);
+  if (invalid.length > 0) {
+    throw new Error('Every API key needs a name and a key');
+  }
+
+  return { keys };
+};
+
+/**
+ * Extrait la clé de "Authorization: Bearer <key>" ou "X-API-Key: <key>"
+ */
+export const extractApiKey = (headers) => {
+  const authorization = headers.authorization || '';
+  if (authorization.toLowerCase().startsWith('bearer ')) {
+    return authorization.slice(7).trim();
+  }
+
+  return headers['x-api-key'] || null;
+};
+
+/**
+ * Authentification par clé d'API avec token bucket (requêtes) et quota journalier (rendus).
+ * L'état est gardé en mémoire, par instance.
+ */
+export const createApiKeyAuth = ({ keys }, now = Date.now) => {
+  const byHash = new Map(keys.map((entry) => [hashKey(entry.key), {
+    ...entry,
+    tokens: entry.rateLimit.capacity,
+    refilledAt: now(),
+    quotaDay: Math.floor(now() / DAY_MS),
+    quotaUsed: 0,
+  }]));
+
+  const refill = (state) => {
+    const current = now();
+    const elapsed = (current - state.refilledAt) / 1000;
+    state.tokens = Math.min(state.rateLimit.capacity, state.tokens + elapsed * state.rateLimit.refillPerSecond);
+    state.refilledAt = current;
+
+    // Le quota repart à zéro à minuit UTC
+    const day = Math.floor(current / DAY_MS);
+    if (day !== state.quotaDay) {
+      state.quotaDay = day;
+      state.quotaUsed = 0;
+    }
+  };
+
+  return {
+    enabled: byHash.size > 0,
+
+    // Sans clé admin, les routes /admin sont fermées
+    hasAdmin: keys.some((entry) => entry.admin),
+
+    /**
+     * Retourne l'état de la clé, ou null si elle est inconnue
+     */
+    authenticate(apiKey) {
+      return apiKey ? byHash.get(hashKey(apiKey)) ?? null : null;
+    },
+
+    /**
+     * Consomme un jeton de requête et `renders` unités de quota.
+     * Retourne { allowed, code?, headers } ; rien n'est consommé si la requête est refusée.
+     */
+    consume(state, renders = 0) {
+      refill(state);
+
+      const { capacity, refillPerSecond } = state.rateLimit;
+      const quotaHeaders = (used) => (state.dailyQuota === null ? {} : {
+        'X-Quota-Limit': state.dailyQuota,
+        'X-Quota-Remaining': Math.max(0, state.dailyQuota - used),
+      });
+      const headers = {
+        'X-RateLimit-Limit': capacity,
+        'X-RateLimit-Remaining': Math.max(0, Math.floor(state.tokens) - 1),
+        'X-RateLimit-Reset': Math.ceil((capacity - state.tokens + 1) / refillPerSecond),
+      };
+
+      if (state.tokens < 1) {
+        return {
+          allowed: false,
+          code: 'RATE_LIMITED',
+          headers: {
+            ...headers,
+            ...quotaHeaders(state.quotaUsed),
+            'X-RateLimit-Remaining': 0,
+            'Retry-After': Math.ceil((1 - state.tokens) / refillPerSecond),
+          },
+        };
+      }
+
+      if (state.dailyQuota !== null && state.quotaUsed + renders > state.dailyQuota) {
+        const nextDay = (state.quotaDay + 1) * DAY_MS;
+        return {
+          allowed: false,
+          code: 'QUOTA_EXCEEDED',
+          headers: {
+            ...headers,
+            ...quotaHeaders(state.quotaUsed),
+            'Retry-After': Math.ceil((nextDay - now()) / 1000),
+          },
+        };
+      }
+
+      state.tokens -= 1;
+      state.quotaUsed += renders;
+
+      return { allowed: true, headers: { ...headers, ...quotaHeaders(state.quotaUsed) } };
+    },
+
+    /**
+     * Décompte `renders` unités de quota sans jeton de requête (items lus en flux).
+     * Retourne false, sans rien décompter, si le quota journalier serait dépassé.
+     */
+    chargeQuota(state, renders = 1) {
+      refill(state);
+
+      if (state.dailyQuota !== null && state.quotaUsed + renders > state.dailyQuota) {
+        return false;
+      }
+
+      state.quotaUsed += renders;
+      return true;
+    },
+  };
+};
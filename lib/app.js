@@ -0,0 +1,2431 @@
+import { PassThrough, Readable } from 'node:stream';
+import Fastify from 'fastify';
+import { ERROR_STATUS, MAX_MJML_SIZE } from './render.js';
+import { createInlinePool, createWorkerPool, loadPoolConfig } from './worker-pool.js';
+import {
+  createMemoryCacheBackend,
+  createRenderCache,
+  loadCacheConfig,
+  renderKey,
+} from './render-cache.js';
+import { createMetrics } from './metrics.js';
+import { createApiKeyAuth, extractApiKey, loadApiKeysConfig } from './api-keys.js';
+import { TEMPLATE_ENGINES } from './template.js';
+import { OUTPUT_FORMATS } from './text.js';
+import { buildEml } from './eml.js';
+import { createPreviewRenderer, loadPreviewConfig, PREVIEW_DEVICES } from './preview.js';
+import {
+  checkCallbackUrl, createJobManager, describeJob, loadJobsConfig,
+} from './jobs.js';
+import { loadComponentsConfig } from './components.js';
+import { createI18n, loadI18nConfig } from './i18n.js';
+import { imagesSchema, loadImagesConfig, resolveImages } from './images.js';
+import { loadLoggingConfig, loggerOptions, requestIdGenerator } from './logging.js';
+import { createIncludeResolver, loadIncludesConfig } from './includes.js';
+import { NDJSON_CONTENT_TYPE, parseNdjson } from './ndjson.js';
+import {
+  DOCS_PATH,
+  emptyResponse,
+  errorResponses,
+  OPENAPI_PATH,
+  registerApiDocs,
+} from './openapi.js';
+import {
+  loadMjmlOptionsConfig,
+  mjmlOptionsSchema,
+  resolveMjmlOptions,
+} from './mjml-options.js';
+import { loadPostProcessConfig, postProcessSchema, resolvePostProcess } from './postprocess.js';
+import { loadTrackingConfig, resolveTracking, trackingSchema } from './tracking.js';
+import {
+  endRequestSpan,
+  loadTracingConfig,
+  runInSpan,
+  startRequestSpan,
+  startTracing,
+  stopTracing,
+} from './tracing.js';
+import {
+  createDirectoryBackend,
+  createMemoryBackend,
+  createTemplateStore,
+  loadTemplateStoreConfig,
+  summarizeTemplate,
+  TEMPLATE_ID_PATTERN,
+} from './template-store.js';
+
+const SERVER_VERSION = '1.0.0';
+
+/**
+ * Plugin Fastify du serveur de rendu : routes, hooks, pool de rendu, cache, jobs...
+ * Encapsulé : les hooks, le gestionnaire d'erreurs et la documentation ne s'appliquent
+ * qu'à ses routes. Enregistré sous un préfixe, /info et /openapi.json en tiennent compte.
+ *
+ * Options (chaque groupe complète la configuration lue dans env, voir les load*Config de lib/) :
+ * - env : variables d'environnement (défaut process.env)
+ * - logging, tracing, pool, cache, apiKeys, mjmlOptions, postProcess, tracking, images, templates, includes, i18n, jobs,
+ *   preview, components
+ * - maxBatchItems : items max par /render-batch (défaut 100)
+ * - bodyLimit : taille max des corps de requête (défaut : celle de l'instance)
+ *
+ * Le pool de rendu est fermé et les jobs arrêtés à la fermeture de l'instance.
+ * Les composants personnalisés sont enregistrés dans mjml-core, global au processus.
+ */
+export const mjmlServerPlugin = async (fastify, options = {}) => {
+  const env = options.env ?? process.env;
+
+  if (options.bodyLimit !== undefined) {
+    fastify.addHook('onRoute', (route) => {
+      route.bodyLimit = route.bodyLimit ?? options.bodyLimit;
+    });
+  }
+
+  // ============ OPENAPI ============
+
+  // Avant toute route : le document et GET /info reprennent les schémas des routes
+  const endpoints = await registerApiDocs(fastify, { version: SERVER_VERSION });
+
+  // ============ REQUEST ID & TRACING ============
+
+  // request.id : X-Request-Id reçu ou généré (voir requestIdGenerator, genReqId de buildApp)
+  const loggingConfig = { ...loadLoggingConfig(env), ...options.logging };
+
+  const tracingConfig = { ...loadTracingConfig(env), ...options.tracing };
+  if (await startTracing(tracingConfig)) {
+    fastify.addHook('onClose', async () => stopTracing());
+  }
+
+  fastify.decorateRequest('traceSpan', null);
+
+  fastify.addHook('onRequest', async (request, reply) => {
+    reply.header(loggingConfig.requestIdHeader, request.id);
+    request.traceSpan = startRequestSpan({
+      method: request.method,
+      route: request.routeOptions.url ?? 'unmatched',
+      requestId: request.id,
+      headers: request.headers,
+    });
+  });
+
+  fastify.addHook('onResponse', async (request, reply) => {
+    endRequestSpan(request.traceSpan, reply.statusCode);
+  });
+
+  // Les handlers s'exécutent dans le span de leur requête : les spans de rendu en sont les enfants
+  fastify.addHook('onRoute', (route) => {
+    const { handler } = route;
+    route.handler = function tracedHandler(request, reply) {
+      return runInSpan(request.traceSpan, () => handler.call(this, request, reply));
+    };
+  });
+
+  // Les réponses d'erreur { error, code } portent l'identifiant de la requête
+  fastify.addHook('preSerialization', async (request, reply, payload) => (
+    reply.statusCode >= 400 && typeof payload?.code === 'string' && payload.error !== undefined
+      ? { ...payload, requestId: request.id }
+      : payload));
+
+  // ============ RENDER POOL ============
+
+  const poolConfig = { ...loadPoolConfig(env), ...options.pool };
+  const renderPool = poolConfig.size > 0
+    ? createWorkerPool({
+      ...poolConfig,
+      // Les workers exportent leurs spans vers le même collecteur
+      tracing: tracingConfig.endpoint
+        ? { endpoint: tracingConfig.endpoint, serviceName: tracingConfig.serviceName }
+        : undefined,
+    }, fastify.log)
+    : createInlinePool();
+
+  fastify.addHook('onClose', async () => renderPool.close());
+
+  // ============ RENDER CACHE ============
+
+  const cacheConfig = { ...loadCacheConfig(env), ...options.cache };
+  const renderCache = createRenderCache({
+    backend: createMemoryCacheBackend(cacheConfig),
+    ...cacheConfig,
+  });
+
+  // ============ METRICS ============
+
+  const metrics = createMetrics({
+    poolStats: () => renderPool.stats(),
+    cacheStats: () => renderCache.stats(),
+  });
+
+  fastify.addHook('onResponse', async (request, reply) => {
+    metrics.observeRequest({
+      route: request.routeOptions.url ?? 'unmatched',
+      method: request.method,
+      statusCode: reply.statusCode,
+      duration: reply.elapsedTime / 1000,
+    });
+  });
+
+  const secondsSince = (start) => Number(process.hrtime.bigint() - start) / 1e9;
+
+  /**
+   * Rendu via le cache puis le pool de rendu (même résultat que renderMjml)
+   */
+  const render = async (payload, key = renderKey(payload)) => {
+    const start = process.hrtime.bigint();
+
+    try {
+      const { result, cached } = await renderCache.wrap(key, () => renderPool.run('render', payload));
+      metrics.observeRender({
+        mjml: payload.mjml,
+        result,
+        cached,
+        duration: secondsSince(start),
+      });
+
+      return result;
+    } catch (error) {
+      metrics.observeRender({
+        mjml: payload.mjml,
+        result: { success: false, code: error.code || 'PROCESSING_ERROR' },
+        cached: renderCache.enabled ? false : null,
+        duration: secondsSince(start),
+      });
+
+      throw error;
+    }
+  };
+
+  const etagFor = (key) => `"${key}"`;
+
+  /**
+   * Vrai si l'ETag correspond à l'en-tête If-None-Match de la requête.
+   * Seuls les ETags explicites comptent : sur ces routes POST, `*` (« une représentation existe »)
+   * est toujours vrai et priverait le client de tout contenu.
+   */
+  const isNotModified = (request, etag) => {
+    const header = request.headers['if-none-match'];
+    if (!header) {
+      return false;
+    }
+
+    return header
+      .split(',')
+      .map((value) => value.trim().replace(/^W\//, ''))
+      .some((value) => value === etag);
+  };
+
+  // ============ API KEYS ============
+
+  const apiKeyAuth = createApiKeyAuth({ ...loadApiKeysConfig(env), ...options.apiKeys });
+
+  fastify.decorateRequest('apiKey', null);
+
+  // État de la clé par requête, pour décompter les items lus en flux
+  const apiKeyStates = new WeakMap();
+
+  // Routes accessibles sans clé (healthcheck, scrape Prometheus, documentation)
+  const PUBLIC_ROUTES = ['/health', '/metrics', OPENAPI_PATH];
+
+  const isPublicRoute = (url) => PUBLIC_ROUTES.includes(url) || Boolean(url?.startsWith(DOCS_PATH));
+
+  // Chemin de la route sans le préfixe d'enregistrement du plugin
+  const routePath = (request) => request.routeOptions.url?.slice(fastify.prefix.length);
+
+  /**
+   * Rendus demandés par un batch JSON : un item sans locale est rendu pour chacune des `locales`
+   */
+  const batchRenderCount = ({ items, locales } = {}) => (Array.isArray(items)
+    ? items.reduce((count, item) => count + (item?.locale === undefined && locales ? locales.length : 1), 0)
+    : 0);
+
+  /**
+   * Nombre de rendus décomptés du quota journalier pour une requête
+   */
+  const renderCost = (request) => {
+    switch (routePath(request)) {
+      case '/render':
+      case '/render/eml':
+      case '/preview':
+      case '/templates/:id/render':
+      case '/lint':
+      case '/accessibility':
+        return 1;
+      case '/render-batch':
+        return batchRenderCount(request.body);
+      case '/jobs':
+        return Array.isArray(request.body?.items) ? request.body.items.length : 0;
+      default:
+        return 0;
+    }
+  };
+
+  // ============ MJML OPTIONS ============
+
+  const mjmlOptionsConfig = { ...loadMjmlOptionsConfig(env), ...options.mjmlOptions };
+
+  // ============ POST-PROCESSING ============
+
+  const postProcessConfig = { ...loadPostProcessConfig(env), ...options.postProcess };
+
+  // ============ LINK TRACKING ============
+
+  const trackingConfig = { ...loadTrackingConfig(env), ...options.tracking };
+
+  // ============ IMAGES ============
+
+  const imagesConfig = { ...loadImagesConfig(env), ...options.images };
+
+  // ============ TEMPLATE REGISTRY ============
+
+  const templateStoreConfig = { ...loadTemplateStoreConfig(env), ...options.templates };
+  const templateStore = createTemplateStore(
+    templateStoreConfig.backend === 'memory'
+      ? createMemoryBackend()
+      : createDirectoryBackend(templateStoreConfig.directory),
+  );
+
+  // ============ MJ-INCLUDE ============
+
+  const includeResolver = createIncludeResolver({ ...loadIncludesConfig(env), ...options.includes, templateStore });
+
+  // ============ I18N ============
+
+  const i18nConfig = { ...loadI18nConfig(env), ...options.i18n };
+  const i18n = createI18n(i18nConfig);
+
+  /**
+   * Remplace options.locale par le catalogue de la locale ({ locale, messages }),
+   * ou retourne l'erreur UNKNOWN_LOCALE au format des rendus
+   */
+  const attachTranslation = (payload) => {
+    const { locale, ...renderOptions } = payload.options ?? {};
+    if (locale === undefined) {
+      return { success: true, payload };
+    }
+
+    const translation = i18n.resolve(locale);
+    if (!translation) {
+      return {
+        success: false,
+        error: `No translation catalog for locale "${locale}"`,
+        code: 'UNKNOWN_LOCALE',
+      };
+    }
+
+    return { success: true, payload: { ...payload, options: { ...renderOptions, translation } } };
+  };
+
+  /**
+   * Prépare le payload avant le calcul de la clé de cache : catalogue de la locale
+   * et développement des mj-include (modifier un fichier inclus ou un catalogue change la clé et l'ETag).
+   * Retourne { success: true, payload } ou l'erreur UNKNOWN_LOCALE / INCLUDE_ERROR au format des rendus.
+   */
+  const preparePayload = async (payload) => {
+    const localized = attachTranslation(payload);
+    if (!localized.success) {
+      return localized;
+    }
+
+    const expanded = await includeResolver.expand(payload.mjml);
+    if (!expanded.success) {
+      return expanded;
+    }
+
+    return {
+      success: true,
+      payload: expanded.lines
+        ? { ...localized.payload, mjml: expanded.mjml, lines: expanded.lines }
+        : localized.payload,
+    };
+  };
+
+  /**
+   * Rendu avec développement des mj-include (même résultat que renderMjml)
+   */
+  const renderWithIncludes = async (payload) => {
+    const expanded = await preparePayload(payload);
+    return expanded.success ? render(expanded.payload) : expanded;
+  };
+
+  // ============ JOBS ============
+
+  const jobsConfig = { ...loadJobsConfig(env), ...options.jobs };
+  const jobManager = createJobManager({
+    ...jobsConfig,
+    render: (payload) => renderWithIncludes(payload),
+    log: fastify.log,
+  });
+
+  // Le traitement s'arrête avant le pool ; les jobs en cours reprennent au redémarrage
+  fastify.addHook('preClose', async () => jobManager.close());
+
+  // ============ PREVIEW ============
+
+  const previewRenderer = createPreviewRenderer({ ...loadPreviewConfig(env), ...options.preview }, fastify.log);
+
+  fastify.addHook('onClose', async () => previewRenderer.close());
+
+  // ============ CUSTOM COMPONENTS ============
+
+  const componentsConfig = { ...loadComponentsConfig(env), ...options.components };
+  let customComponents = { components: [], presets: [], loadedAt: null };
+
+  /**
+   * (Re)charge les composants et presets dans chaque thread de rendu.
+   * Le cache est vidé : les rendus en cache ont pu utiliser l'ancienne version.
+   * Retourne le résultat de loadComponents (voir lib/components.js).
+   */
+  const reloadComponents = async () => {
+    const [result] = await renderPool.broadcast('loadComponents', { directory: componentsConfig.directory });
+
+    if (result.success) {
+      customComponents = {
+        components: result.components,
+        presets: result.presets,
+        loadedAt: new Date().toISOString(),
+      };
+      await renderCache.clear();
+    }
+
+    return result;
+  };
+
+  // ============ NDJSON ============
+
+  /**
+   * Corps NDJSON : un item par ligne.
+   * Les routes avec config.streamNdjson reçoivent le flux brut ; les autres
+   * reçoivent { items } une fois le corps entièrement lu.
+   */
+  fastify.addContentTypeParser(NDJSON_CONTENT_TYPE, async (request, payload) => {
+    if (request.routeOptions.config.streamNdjson) {
+      return payload;
+    }
+
+    const items = [];
+    const lines = parseNdjson(payload, { maxBytes: request.routeOptions.bodyLimit });
+
+    for await (const { line, value, error } of lines) {
+      if (error) {
+        throw Object.assign(new Error(error), { statusCode: 400, code: 'INVALID_INPUT', line });
+      }
+      items.push(value);
+    }
+
+    return { items };
+  });
+
+  const acceptsNdjson = (request) => (request.headers.accept || '').includes(NDJSON_CONTENT_TYPE);
+
+  // ============ SCHEMAS (VALIDATION ET DOCUMENTATION) ============
+  // operationId, tags, summary et response alimentent GET /openapi.json
+
+  const templateProperties = {
+    data: {
+      type: 'object',
+      description: 'Variables merged into the MJML before rendering',
+    },
+    templateEngine: {
+      type: 'string',
+      enum: TEMPLATE_ENGINES,
+      description: 'Template syntax used to merge data (default: handlebars)',
+    },
+    partials: {
+      type: 'object',
+      additionalProperties: { type: 'string' },
+      description: 'Named partials available to the template',
+    },
+    locale: {
+      type: 'string',
+      description: 'Translation catalog used by {{t}} message keys (BCP 47, e.g. fr-CA); '
+        + 'also sets lang and dir on the document',
+    },
+  };
+
+  const localesSchema = {
+    type: 'array',
+    minItems: 1,
+    uniqueItems: true,
+    items: { type: 'string' },
+    description: 'Renders every item without a locale once per locale',
+  };
+
+  const outputsSchema = {
+    type: 'array',
+    minItems: 1,
+    uniqueItems: true,
+    items: { type: 'string', enum: OUTPUT_FORMATS },
+    description: 'Formats to return (default: ["html"])',
+  };
+
+  const renderSchema = {
+    operationId: 'render',
+    tags: ['render'],
+    summary: 'Render MJML to HTML and/or text',
+    body: {
+      type: 'object',
+      required: ['mjml'],
+      properties: {
+        mjml: {
+          type: 'string',
+          description: 'MJML content to render',
+        },
+        ...templateProperties,
+        options: mjmlOptionsSchema,
+        outputs: outputsSchema,
+        postProcess: postProcessSchema,
+        tracking: trackingSchema,
+        images: imagesSchema,
+      },
+    },
+    response: {
+      200: { description: 'Rendered outputs (with an ETag header)', $ref: 'RenderOutput#' },
+      304: emptyResponse('Not modified (If-None-Match)'),
+      ...errorResponses(400, 401, 413, 429, 500, 503, 504),
+    },
+  };
+
+  const addressListSchema = {
+    anyOf: [
+      { type: 'string', minLength: 1 },
+      { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+    ],
+  };
+
+  const emlRenderSchema = {
+    operationId: 'renderEml',
+    tags: ['render'],
+    summary: 'Render MJML to a complete MIME message',
+    body: {
+      type: 'object',
+      required: ['mjml', 'headers'],
+      properties: {
+        mjml: {
+          type: 'string',
+          description: 'MJML content to render',
+        },
+        ...templateProperties,
+        options: mjmlOptionsSchema,
+        images: imagesSchema,
+        headers: {
+          type: 'object',
+          required: ['from', 'to', 'subject'],
+          properties: {
+            from: { type: 'string', minLength: 1 },
+            to: addressListSchema,
+            cc: addressListSchema,
+            replyTo: { type: 'string', minLength: 1 },
+            subject: { type: 'string' },
+          },
+        },
+        attachments: {
+          type: 'array',
+          description: 'Inline images referenced as cid: in the MJML',
+          items: {
+            type: 'object',
+            required: ['cid', 'content'],
+            properties: {
+              cid: { type: 'string', minLength: 1 },
+              filename: { type: 'string' },
+              contentType: { type: 'string' },
+              content: { type: 'string', description: 'Base64 encoded content' },
+            },
+          },
+        },
+      },
+    },
+    response: {
+      200: {
+        description: 'multipart/alternative message (text + html)',
+        content: {
+          'message/rfc822': { schema: { type: 'string', format: 'binary' } },
+        },
+      },
+      ...errorResponses(400, 401, 413, 429, 503, 504),
+    },
+  };
+
+  const previewSchema = {
+    operationId: 'preview',
+    tags: ['render'],
+    summary: 'Screenshots of the rendered email',
+    body: {
+      type: 'object',
+      required: ['mjml'],
+      properties: {
+        ...renderSchema.body.properties,
+        devices: {
+          type: 'array',
+          minItems: 1,
+          uniqueItems: true,
+          items: { type: 'string', enum: Object.keys(PREVIEW_DEVICES) },
+          description: 'Screenshots to take (default: ["desktop", "mobile"])',
+        },
+        darkMode: {
+          type: 'boolean',
+          description: 'Emulate prefers-color-scheme: dark',
+        },
+      },
+    },
+    response: {
+      200: {
+        description: 'Base64 PNG per device, or the first device PNG with Accept: image/png',
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              properties: {
+                images: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      device: { type: 'string', enum: Object.keys(PREVIEW_DEVICES) },
+                      width: { type: 'integer' },
+                      darkMode: { type: 'boolean' },
+                      contentType: { type: 'string' },
+                      data: { type: 'string', format: 'byte' },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          'image/png': { schema: { type: 'string', format: 'binary' } },
+        },
+      },
+      ...errorResponses(400, 401, 413, 429, 503, 504),
+    },
+  };
+
+  const auditSchema = {
+    body: {
+      type: 'object',
+      required: ['mjml'],
+      properties: {
+        mjml: {
+          type: 'string',
+          minLength: 1,
+          description: 'MJML content to analyze',
+        },
+        ...templateProperties,
+        options: mjmlOptionsSchema,
+      },
+    },
+    response: {
+      200: { description: 'Findings sorted by line', $ref: 'AuditReport#' },
+      ...errorResponses(400, 401, 413, 429, 503, 504),
+    },
+  };
+
+  const lintSchema = {
+    ...auditSchema,
+    operationId: 'lint',
+    tags: ['audit'],
+    summary: 'Email client compatibility lint',
+  };
+
+  const accessibilitySchema = {
+    ...auditSchema,
+    operationId: 'accessibility',
+    tags: ['audit'],
+    summary: 'Accessibility audit (WCAG 2.1 AA)',
+  };
+
+  const batchRenderSchema = {
+    operationId: 'renderBatch',
+    tags: ['render'],
+    summary: 'Render several MJML documents',
+    description: 'With an application/x-ndjson body (one item per line, options in the query string) '
+      + 'and/or Accept: application/x-ndjson, results are streamed one per line, then { summary }.',
+    // Un corps NDJSON (un item par ligne) est lu en flux, sans validation globale
+    querystring: {
+      type: 'object',
+      properties: {
+        outputs: outputsSchema,
+        locales: localesSchema,
+      },
+    },
+    body: {
+      content: {
+        'application/json': {
+          schema: {
+            type: 'object',
+            required: ['items'],
+            properties: {
+              items: {
+                type: 'array',
+                minItems: 1,
+                items: {
+                  type: 'object',
+                  required: ['mjml'],
+                  properties: {
+                    // Nombre en premier : avec coerceTypes, un id numérique envoyé en chaîne revient en nombre
+                    id: {
+                      anyOf: [{ type: 'number' }, { type: 'string' }],
+                      description: 'Returned with the result (defaults to the item index); numeric strings are returned as numbers',
+                    },
+                    mjml: {
+                      type: 'string',
+                    },
+                    ...templateProperties,
+                  },
+                },
+              },
+              options: mjmlOptionsSchema,
+              outputs: outputsSchema,
+              locales: localesSchema,
+              postProcess: postProcessSchema,
+              tracking: trackingSchema,
+              images: imagesSchema,
+            },
+          },
+        },
+      },
+    },
+    response: {
+      200: {
+        description: 'Results in item order, or streamed in completion order',
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              properties: {
+                summary: { $ref: 'BatchSummary#' },
+                results: { type: 'array', items: { $ref: 'RenderResult#' } },
+              },
+            },
+          },
+          [NDJSON_CONTENT_TYPE]: {
+            schema: { type: 'string', description: 'One RenderResult per line, then { summary }' },
+          },
+        },
+      },
+      304: emptyResponse('Not modified (If-None-Match)'),
+      ...errorResponses(400, 401, 413, 429, 500, 503),
+    },
+  };
+
+  const jobSourceProperties = {
+    templateId: {
+      type: 'string',
+      pattern: TEMPLATE_ID_PATTERN,
+      description: 'Stored template rendered for every item',
+    },
+    version: {
+      type: 'integer',
+      minimum: 1,
+      description: 'Pinned template version (defaults to latest)',
+    },
+    templateEngine: templateProperties.templateEngine,
+    locale: {
+      ...templateProperties.locale,
+      description: 'Locale of items without their own',
+    },
+    callbackUrl: {
+      type: 'string',
+      format: 'uri',
+      description: 'URL notified (POST) when the job is finished',
+    },
+    outputs: outputsSchema,
+  };
+
+  const createJobSchema = {
+    operationId: 'createJob',
+    tags: ['jobs'],
+    summary: 'Queue an asynchronous batch job',
+    description: 'With an application/x-ndjson body, items are read one per line and job parameters '
+      + 'come from the query string.',
+    // Paramètres du job en query string pour un corps NDJSON
+    querystring: {
+      type: 'object',
+      properties: jobSourceProperties,
+    },
+    body: {
+      type: 'object',
+      required: ['items'],
+      properties: {
+        items: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            properties: {
+              id: {
+                anyOf: [{ type: 'string' }, { type: 'number' }],
+              },
+              mjml: {
+                type: 'string',
+              },
+              ...templateProperties,
+            },
+          },
+        },
+        mjml: {
+          type: 'string',
+          description: 'MJML shared by every item',
+        },
+        ...jobSourceProperties,
+        partials: templateProperties.partials,
+        options: mjmlOptionsSchema,
+      },
+    },
+    response: {
+      202: { description: 'Job queued (Location: /jobs/{id})', $ref: 'Job#' },
+      ...errorResponses(400, 401, 404, 413, 429),
+    },
+  };
+
+  const jobParams = {
+    type: 'object',
+    required: ['id'],
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+    },
+  };
+
+  const getJobSchema = {
+    operationId: 'getJob',
+    tags: ['jobs'],
+    summary: 'Job status and progress',
+    params: jobParams,
+    response: {
+      200: { description: 'Job', $ref: 'Job#' },
+      ...errorResponses(400, 401, 404, 429),
+    },
+  };
+
+  const jobResultsSchema = {
+    operationId: 'jobResults',
+    tags: ['jobs'],
+    summary: 'Job results, in item order',
+    params: jobParams,
+    querystring: {
+      type: 'object',
+      properties: {
+        offset: { type: 'integer', minimum: 0, default: 0 },
+        limit: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 1000,
+          default: 100,
+        },
+      },
+    },
+    response: {
+      200: {
+        description: 'A page of results, or every available result with Accept: application/x-ndjson',
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              properties: {
+                id: { type: 'string', format: 'uuid' },
+                status: { type: 'string' },
+                results: { type: 'array', items: { $ref: 'RenderResult#' } },
+                offset: { type: 'integer' },
+                limit: { type: 'integer' },
+                next: { type: 'integer', nullable: true, description: 'Offset of the next page' },
+              },
+            },
+          },
+          [NDJSON_CONTENT_TYPE]: {
+            schema: { type: 'string', description: 'One RenderResult per line' },
+          },
+        },
+      },
+      ...errorResponses(400, 401, 404, 429),
+    },
+  };
+
+  const templateParams = {
+    type: 'object',
+    required: ['id'],
+    properties: {
+      id: { type: 'string', pattern: TEMPLATE_ID_PATTERN },
+    },
+  };
+
+  const listTemplatesSchema = {
+    operationId: 'templates',
+    tags: ['templates'],
+    summary: 'List stored templates',
+    response: {
+      200: {
+        description: 'Templates sorted by id',
+        type: 'object',
+        properties: {
+          templates: { type: 'array', items: { $ref: 'TemplateSummary#' } },
+        },
+      },
+      ...errorResponses(401, 429),
+    },
+  };
+
+  const saveTemplateSchema = {
+    params: templateParams,
+    body: {
+      type: 'object',
+      required: ['mjml'],
+      properties: {
+        mjml: {
+          type: 'string',
+          minLength: 1,
+          description: 'MJML template source',
+        },
+        description: {
+          type: 'string',
+        },
+      },
+    },
+  };
+
+  const createTemplateSchema = {
+    ...saveTemplateSchema,
+    operationId: 'createTemplate',
+    tags: ['templates'],
+    summary: 'Create a template (version 1)',
+    response: {
+      201: { description: 'Template created', $ref: 'TemplateSummary#' },
+      ...errorResponses(400, 401, 409, 413, 429),
+    },
+  };
+
+  const updateTemplateSchema = {
+    ...saveTemplateSchema,
+    operationId: 'updateTemplate',
+    tags: ['templates'],
+    summary: 'Store a new version of a template',
+    response: {
+      200: { description: 'Template updated', $ref: 'TemplateSummary#' },
+      ...errorResponses(400, 401, 404, 413, 429),
+    },
+  };
+
+  const deleteTemplateSchema = {
+    operationId: 'deleteTemplate',
+    tags: ['templates'],
+    summary: 'Delete a template and all its versions',
+    params: templateParams,
+    response: {
+      204: emptyResponse('Template deleted'),
+      ...errorResponses(400, 401, 404, 429),
+    },
+  };
+
+  const getTemplateSchema = {
+    operationId: 'getTemplate',
+    tags: ['templates'],
+    summary: 'Get a template (latest or ?version=n)',
+    params: templateParams,
+    querystring: {
+      type: 'object',
+      properties: {
+        version: { type: 'integer', minimum: 1 },
+      },
+    },
+    response: {
+      200: { description: 'Template source and version history', $ref: 'Template#' },
+      ...errorResponses(400, 401, 404, 429),
+    },
+  };
+
+  const renderTemplateSchema = {
+    operationId: 'renderTemplate',
+    tags: ['templates'],
+    summary: 'Render a stored template',
+    params: templateParams,
+    body: {
+      type: 'object',
+      properties: {
+        version: {
+          type: 'integer',
+          minimum: 1,
+          description: 'Pinned template version (defaults to latest)',
+        },
+        ...templateProperties,
+        options: mjmlOptionsSchema,
+        outputs: outputsSchema,
+        postProcess: postProcessSchema,
+        tracking: trackingSchema,
+        images: imagesSchema,
+      },
+    },
+    response: {
+      200: {
+        description: 'Rendered outputs (with an ETag header)',
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          version: { type: 'integer' },
+          html: { type: 'string' },
+          text: { type: 'string' },
+          attachments: { type: 'array', items: { $ref: 'ImageAttachment#' } },
+          meta: { $ref: 'RenderMeta#' },
+        },
+      },
+      304: emptyResponse('Not modified (If-None-Match)'),
+      ...errorResponses(400, 401, 404, 413, 429, 500, 503, 504),
+    },
+  };
+
+  const healthSchema = {
+    operationId: 'health',
+    tags: ['operations'],
+    summary: 'Health check',
+    security: [],
+    response: {
+      200: {
+        description: 'Server is up',
+        type: 'object',
+        properties: {
+          status: { type: 'string' },
+          timestamp: { type: 'string', format: 'date-time' },
+        },
+      },
+    },
+  };
+
+  const cacheStatsSchema = {
+    operationId: 'cache',
+    tags: ['operations'],
+    summary: 'Render cache stats',
+    response: {
+      200: {
+        description: 'Counters and backend usage',
+        type: 'object',
+        properties: {
+          enabled: { type: 'boolean' },
+          ttl: { type: 'integer' },
+          hits: { type: 'integer' },
+          misses: { type: 'integer' },
+          hitRatio: { type: 'number' },
+          entries: { type: 'integer' },
+          bytes: { type: 'integer' },
+        },
+        additionalProperties: true,
+      },
+      ...errorResponses(401, 429),
+    },
+  };
+
+  const purgeCacheSchema = {
+    operationId: 'purgeCache',
+    tags: ['operations'],
+    summary: 'Purge the render cache',
+    response: {
+      200: {
+        description: 'Number of purged entries',
+        type: 'object',
+        properties: {
+          purged: { type: 'integer' },
+        },
+      },
+      ...errorResponses(401, 429),
+    },
+  };
+
+  const reloadComponentsSchema = {
+    operationId: 'reloadComponents',
+    tags: ['operations'],
+    summary: 'Hot-reload custom components and presets (admin key)',
+    response: {
+      200: {
+        description: 'Loaded components and presets',
+        type: 'object',
+        properties: {
+          components: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                name: { type: 'string' },
+                file: { type: 'string' },
+                endingTag: { type: 'boolean' },
+                attributes: { type: 'array', items: { type: 'string' } },
+              },
+            },
+          },
+          presets: { type: 'array', items: { type: 'string' } },
+          loadedAt: { type: 'string', format: 'date-time' },
+        },
+      },
+      ...errorResponses(400, 401, 403, 429, 500),
+    },
+  };
+
+  const metricsSchema = {
+    operationId: 'metrics',
+    tags: ['operations'],
+    summary: 'Prometheus metrics',
+    security: [],
+    response: {
+      200: {
+        description: 'Prometheus text exposition format',
+        content: {
+          'text/plain': { schema: { type: 'string' } },
+        },
+      },
+    },
+  };
+
+  const infoSchema = {
+    operationId: 'info',
+    tags: ['operations'],
+    summary: 'Server info, runtime stats and endpoint list',
+    response: {
+      200: {
+        description: 'Server info',
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          version: { type: 'string' },
+          endpoints: {
+            type: 'object',
+            description: 'Routes by operationId',
+            additionalProperties: {
+              type: 'object',
+              properties: {
+                method: { type: 'string' },
+                path: { type: 'string' },
+              },
+            },
+          },
+        },
+        additionalProperties: true,
+      },
+      ...errorResponses(401, 429),
+    },
+  };
+
+  // ============ ROUTES ============
+
+  const MAX_BATCH_ITEMS = options.maxBatchItems ?? 100;
+
+  const sendOptionsNotAllowed = (reply, rejected) => reply.code(400).send({
+    error: `MJML option(s) not allowed: ${rejected.join(', ')}`,
+    code: 'OPTION_NOT_ALLOWED',
+  });
+
+  const sendTrackingNotConfigured = (reply, error) => reply.code(ERROR_STATUS.TRACKING_NOT_CONFIGURED).send({
+    error,
+    code: 'TRACKING_NOT_CONFIGURED',
+  });
+
+  /**
+   * Erreurs du pool de rendu : file pleine (503) ou rendu trop long (504)
+   */
+  const POOL_ERROR_STATUS = {
+    POOL_BUSY: 503,
+    RENDER_TIMEOUT: 504,
+  };
+
+  const sendPoolError = (reply, error) => {
+    if (error.code === 'POOL_BUSY') {
+      reply.header('Retry-After', '1');
+    }
+
+    return reply.code(POOL_ERROR_STATUS[error.code]).send({
+      error: error.message,
+      code: error.code,
+    });
+  };
+
+  const sendTemplateNotFound = (reply, id, version) => reply.code(404).send({
+    error: version === undefined
+      ? `Template "${id}" not found`
+      : `Template "${id}" version ${version} not found`,
+    code: 'TEMPLATE_NOT_FOUND',
+  });
+
+  /**
+   * Valide le MJML à l'enregistrement : un template cassé est refusé tout de suite.
+   * Retourne true si une réponse d'erreur a été envoyée.
+   */
+  const rejectInvalidTemplate = async (mjml, reply) => {
+    if (mjml.length > MAX_MJML_SIZE) {
+      reply.code(413).send({
+        error: 'MJML content is too large (max 1MB)',
+        code: 'CONTENT_TOO_LARGE',
+      });
+      return true;
+    }
+
+    const expanded = await preparePayload({ mjml });
+    if (!expanded.success) {
+      reply.code(400).send({
+        error: expanded.error,
+        code: expanded.code,
+        errors: expanded.errors,
+      });
+      return true;
+    }
+
+    const errors = await renderPool.run('validate', expanded.payload);
+    if (errors.length > 0) {
+      reply.code(400).send({
+        error: 'MJML compilation failed',
+        code: 'COMPILATION_ERROR',
+        errors,
+      });
+      return true;
+    }
+
+    return false;
+  };
+
+  /**
+   * Hook d'authentification (clé d'API, rate limit, quota) et de vérification
+   * de la taille du payload avant la validation du schéma
+   */
+  fastify.addHook('preHandler', async (request, reply) => {
+    const requiresKey = apiKeyAuth.enabled && !isPublicRoute(routePath(request));
+    const apiKey = requiresKey ? apiKeyAuth.authenticate(extractApiKey(request.headers)) : null;
+
+    if (requiresKey && !apiKey) {
+      return reply.code(401).header('WWW-Authenticate', 'Bearer').send({
+        error: 'Missing or invalid API key',
+        code: 'UNAUTHORIZED',
+      });
+    }
+
+    // Routes /admin fermées à tous sans clé admin configurée, même si l'authentification est désactivée
+    if (routePath(request)?.startsWith('/admin/') && !apiKey?.admin) {
+      return reply.code(403).send({
+        error: apiKeyAuth.hasAdmin
+          ? 'This endpoint requires an admin API key'
+          : 'Admin endpoints are disabled: no admin API key is configured',
+        code: 'FORBIDDEN',
+      });
+    }
+
+    if (routePath(request) === '/render-batch' && request.method === 'POST') {
+      try {
+        const body = request.body;
+        if (batchRenderCount(body) > MAX_BATCH_ITEMS) {
+          return reply.code(413).send({
+            error: `Too many items (max ${MAX_BATCH_ITEMS} at once)`,
+            code: 'TOO_MANY_ITEMS',
+          });
+        }
+      } catch (error) {
+        // Continuer normalement si erreur
+      }
+    }
+
+    if (apiKey) {
+      const { allowed, code, headers } = apiKeyAuth.consume(apiKey, renderCost(request));
+      reply.headers(headers);
+
+      if (!allowed) {
+        request.log.warn({ apiKey: apiKey.name, code }, 'API key limit reached');
+
+        return reply.code(429).send({
+          error: code === 'QUOTA_EXCEEDED' ? 'Daily render quota exceeded' : 'Rate limit exceeded',
+          code,
+        });
+      }
+
+      request.apiKey = apiKey.name;
+      apiKeyStates.set(request, apiKey);
+    }
+  });
+
+  /**
+   * Health check endpoint
+   */
+  fastify.get('/health', { schema: healthSchema }, async (request, reply) => {
+    return {
+      status: 'ok',
+      timestamp: new Date().toISOString(),
+    };
+  });
+
+  /**
+   * Single MJML render endpoint
+   * POST /render
+   *
+   * Body: { mjml: string, data?: object, templateEngine?: string, partials?: object, locale?: string, options?: object, outputs?: string[], postProcess?: object, tracking?: object, images?: object }
+   * Response: { html?: string, text?: string, attachments?: Array, meta?: { tracking?, images?, postProcess? } }
+   */
+  fastify.post('/render', { schema: renderSchema }, async (request, reply) => {
+    try {
+      const {
+        mjml,
+        data,
+        templateEngine,
+        partials,
+        locale,
+        options,
+        outputs,
+        postProcess,
+        tracking: requestedTracking,
+        images,
+      } = request.body;
+
+      // Validate input
+      if (!mjml || typeof mjml !== 'string') {
+        request.log.warn('Invalid MJML input');
+        return reply.code(400).send({
+          error: 'MJML content is required and must be a string',
+          code: 'INVALID_INPUT',
+        });
+      }
+
+      const { options: mjmlOptions, rejected } = resolveMjmlOptions(options, mjmlOptionsConfig);
+      if (rejected.length > 0) {
+        return sendOptionsNotAllowed(reply, rejected);
+      }
+
+      const { tracking, error: trackingError } = resolveTracking(requestedTracking, trackingConfig);
+      if (trackingError) {
+        return sendTrackingNotConfigured(reply, trackingError);
+      }
+
+      const expanded = await preparePayload({
+        mjml,
+        options: {
+          data,
+          templateEngine,
+          partials,
+          locale,
+          mjmlOptions,
+          outputs,
+          postProcess: resolvePostProcess(postProcess, postProcessConfig),
+          tracking,
+          images: resolveImages(images, imagesConfig),
+        },
+      });
+
+      if (!expanded.success) {
+        request.log.warn({ errors: expanded.errors }, 'MJML render preparation failed');
+
+        return reply.code(ERROR_STATUS[expanded.code]).send({
+          error: expanded.error,
+          code: expanded.code,
+          errors: expanded.errors,
+        });
+      }
+
+      const { payload } = expanded;
+      const key = renderKey(payload);
+      const etag = etagFor(key);
+
+      if (isNotModified(request, etag)) {
+        return reply.code(304).header('ETag', etag).send();
+      }
+
+      request.log.debug({ size: payload.mjml.length }, 'Rendering MJML');
+
+      // Render MJML (cache, then worker pool)
+      const result = await render(payload, key);
+
+      if (!result.success) {
+        if (result.code === 'NO_OUTPUT') {
+          request.log.error('No HTML generated');
+        } else {
+          request.log.warn({
+            code: result.code,
+            size: mjml.length,
+            errors: result.errors?.slice(0, 5), // Log first 5 errors
+          }, 'MJML render failed');
+        }
+
+        return reply.code(ERROR_STATUS[result.code]).send({
+          error: result.error,
+          code: result.code,
+          errors: result.errors,
+        });
+      }
+
+      const { success, ...output } = result;
+
+      request.log.info({
+        htmlSize: output.html?.length,
+        textSize: output.text?.length,
+      }, 'MJML rendered successfully');
+
+      reply.header('Content-Type', 'application/json');
+      reply.header('ETag', etag);
+      return output;
+    } catch (error) {
+      if (POOL_ERROR_STATUS[error.code]) {
+        request.log.warn({ code: error.code }, 'Render pool error');
+        return sendPoolError(reply, error);
+      }
+
+      request.log.error({ err: error }, 'Unexpected error during rendering');
+
+      return reply.code(500).send({
+        error: 'Internal server error',
+        code: 'INTERNAL_ERROR',
+        message: env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  });
+
+  /**
+   * Render MJML to a complete MIME message
+   * POST /render/eml
+   *
+   * Body: { mjml: string, headers: { from, to, subject, replyTo?, cc? }, attachments?: Array, data?, templateEngine?, partials?, locale?, options? }
+   * Response: message/rfc822 (multipart/alternative text + html)
+   */
+  fastify.post('/render/eml', { schema: emlRenderSchema }, async (request, reply) => {
+    const {
+      mjml,
+      data,
+      templateEngine,
+      partials,
+      locale,
+      options,
+      images,
+      headers,
+      attachments = [],
+    } = request.body;
+
+    if (!mjml) {
+      return reply.code(400).send({
+        error: 'MJML content is required and must be a string',
+        code: 'INVALID_INPUT',
+      });
+    }
+
+    const { options: mjmlOptions, rejected } = resolveMjmlOptions(options, mjmlOptionsConfig);
+    if (rejected.length > 0) {
+      return sendOptionsNotAllowed(reply, rejected);
+    }
+
+    const result = await renderWithIncludes({
+      mjml,
+      options: {
+        data,
+        templateEngine,
+        partials,
+        locale,
+        mjmlOptions,
+        outputs: ['html', 'text'],
+        images: resolveImages(images, imagesConfig),
+      },
+    });
+
+    if (!result.success) {
+      request.log.warn({ code: result.code, size: mjml.length }, 'MJML render failed');
+
+      return reply.code(ERROR_STATUS[result.code]).send({
+        error: result.error,
+        code: result.code,
+        errors: result.errors,
+      });
+    }
+
+    const message = await buildEml({
+      headers,
+      html: result.html,
+      text: result.text,
+      // Images embarquées en cid: (images.embed)
+      attachments: [...attachments, ...result.attachments ?? []],
+    });
+
+    request.log.info({ messageSize: message.length }, 'EML message built');
+
+    return reply
+      .header('Content-Type', 'message/rfc822')
+      .header('Content-Disposition', 'attachment; filename="message.eml"')
+      .send(message);
+  });
+
+  /**
+   * Erreurs du navigateur headless : absent (503) ou capture trop longue (504)
+   */
+  const PREVIEW_ERROR_STATUS = {
+    PREVIEW_UNAVAILABLE: 503,
+    PREVIEW_TIMEOUT: 504,
+  };
+
+  /**
+   * Screenshots of the rendered email
+   * POST /preview
+   *
+   * Body: { mjml: string, data?, templateEngine?, partials?, locale?, options?, devices?: string[], darkMode?: boolean }
+   * Response: { images: Array<{ device, width, darkMode, contentType, data }> } (PNG en base64)
+   * Avec Accept: image/png, l'image PNG du premier appareil est renvoyée telle quelle
+   */
+  fastify.post('/preview', { schema: previewSchema }, async (request, reply) => {
+    const {
+      mjml,
+      data,
+      templateEngine,
+      partials,
+      locale,
+      options,
+      devices = ['desktop', 'mobile'],
+      darkMode = false,
+    } = request.body;
+
+    if (!previewRenderer.enabled) {
+      return reply.code(503).send({
+        error: 'Preview is disabled: no headless browser configured',
+        code: 'PREVIEW_UNAVAILABLE',
+      });
+    }
+
+    const { options: mjmlOptions, rejected } = resolveMjmlOptions(options, mjmlOptionsConfig);
+    if (rejected.length > 0) {
+      return sendOptionsNotAllowed(reply, rejected);
+    }
+
+    const result = await renderWithIncludes({
+      mjml,
+      options: {
+        data,
+        templateEngine,
+        partials,
+        locale,
+        mjmlOptions,
+      },
+    });
+
+    if (!result.success) {
+      return reply.code(ERROR_STATUS[result.code]).send({
+        error: result.error,
+        code: result.code,
+        errors: result.errors,
+      });
+    }
+
+    const wantsPng = (request.headers.accept || '').includes('image/png');
+    const targets = wantsPng ? devices.slice(0, 1) : devices;
+
+    try {
+      const images = await Promise.all(targets.map(async (device) => ({
+        device,
+        width: PREVIEW_DEVICES[device].width,
+        darkMode,
+        contentType: 'image/png',
+        png: await previewRenderer.screenshot(result.html, { device, darkMode }),
+      })));
+
+      if (wantsPng) {
+        return reply.header('Content-Type', 'image/png').send(images[0].png);
+      }
+
+      return {
+        images: images.map(({ png, ...image }) => ({ ...image, data: png.toString('base64') })),
+      };
+    } catch (error) {
+      if (!PREVIEW_ERROR_STATUS[error.code]) {
+        throw error;
+      }
+
+      request.log.warn({ code: error.code }, 'Preview failed');
+      return reply.code(PREVIEW_ERROR_STATUS[error.code]).send({
+        error: error.message,
+        code: error.code,
+      });
+    }
+  });
+
+  /**
+   * Analyse d'un template par une tâche du pool (lint, accessibility).
+   * Retourne le rapport { valid, summary, findings, ... } sans le champ success.
+   */
+  const sendAudit = async (task, request, reply) => {
+    const {
+      mjml,
+      data,
+      templateEngine,
+      partials,
+      locale,
+      options,
+    } = request.body;
+
+    if (mjml.length > MAX_MJML_SIZE) {
+      return reply.code(413).send({
+        error: 'MJML content is too large (max 1MB)',
+        code: 'CONTENT_TOO_LARGE',
+      });
+    }
+
+    const { options: mjmlOptions, rejected } = resolveMjmlOptions(options, mjmlOptionsConfig);
+    if (rejected.length > 0) {
+      return sendOptionsNotAllowed(reply, rejected);
+    }
+
+    const expanded = await preparePayload({
+      mjml,
+      options: {
+        data,
+        templateEngine,
+        partials,
+        locale,
+        mjmlOptions,
+      },
+    });
+    const result = expanded.success ? await renderPool.run(task, expanded.payload) : expanded;
+
+    if (!result.success) {
+      return reply.code(ERROR_STATUS[result.code]).send({
+        error: result.error,
+        code: result.code,
+        errors: result.errors,
+      });
+    }
+
+    const { success, ...report } = result;
+
+    request.log.info(report.summary, `MJML ${task} report`);
+    return report;
+  };
+
+  /**
+   * Email client compatibility lint
+   * POST /lint
+   *
+   * Body: { mjml: string, data?: object, templateEngine?: string, partials?: object, locale?: string, options?: object }
+   * Response: { valid, summary, htmlSize, findings: Array<{ line, message, tagName, severity, rule }> }
+   */
+  fastify.post('/lint', { schema: lintSchema }, async (request, reply) => sendAudit('lint', request, reply));
+
+  /**
+   * Accessibility audit (WCAG 2.1 AA)
+   * POST /accessibility
+   *
+   * Body: { mjml: string, data?: object, templateEngine?: string, partials?: object, locale?: string }
+   * Response: { valid, summary, findings: Array<{ line, message, tagName, severity, rule }> }
+   */
+  fastify.post('/accessibility', { schema: accessibilitySchema }, async (request, reply) => sendAudit('accessibility', request, reply));
+
+  // Items rendus en parallèle par un batch NDJSON (le pool garde sa propre file)
+  const STREAM_CONCURRENCY = Math.max(2, poolConfig.size * 2);
+
+  /**
+   * Payload d'un item de batch ; les jetons de tracking portent l'id de l'item comme messageId par défaut
+   */
+  const batchPayload = ({
+    mjml,
+    data,
+    templateEngine,
+    partials,
+    locale,
+  }, id, {
+    mjmlOptions,
+    outputs,
+    postProcess,
+    tracking,
+    images,
+  }) => ({
+    mjml,
+    options: {
+      data,
+      templateEngine,
+      partials,
+      locale,
+      mjmlOptions,
+      outputs,
+      postProcess,
+      tracking: tracking && { ...tracking, messageId: tracking.messageId ?? String(id) },
+      images,
+    },
+  });
+
+  /**
+   * Rendus d'un item de batch : un par locale de `locales` si l'item n'a pas la sienne
+   */
+  const fanOutItem = (item, locales) => (item.locale === undefined && locales
+    ? locales.map((locale) => ({ ...item, locale }))
+    : [item]);
+
+  // Champs qui identifient un résultat de batch : id, et locale si l'item en a une
+  const resultRef = (id, item) => (item.locale === undefined ? { id } : { id, locale: item.locale });
+
+  /**
+   * Rendu d'un item de batch (résultat de preparePayload) : les erreurs deviennent un résultat en échec
+   */
+  const renderBatchItem = async (ref, expanded, key) => {
+    if (!expanded.success) {
+      return { ...ref, ...expanded };
+    }
+
+    try {
+      return {
+        ...ref,
+        ...await render(expanded.payload, key),
+      };
+    } catch (error) {
+      fastify.log.error({ ...ref, err: error }, 'Batch item error');
+
+      return {
+        ...ref,
+        success: false,
+        error: error.message,
+        code: POOL_ERROR_STATUS[error.code] ? error.code : 'PROCESSING_ERROR',
+      };
+    }
+  };
+
+  /**
+   * Batch en NDJSON : chaque résultat est écrit dès qu'il est rendu (dans l'ordre
+   * de fin de rendu), puis une dernière ligne { summary }.
+   * Les items viennent d'un corps NDJSON lu ligne par ligne, ou du tableau items JSON.
+   */
+  const streamBatch = (request, reply, {
+    streamed,
+    locales,
+    ...settings
+  }) => {
+    const output = new PassThrough();
+    const apiKey = streamed ? apiKeyStates.get(request) : null;
+    const summary = { total: 0, success: 0, failed: 0 };
+    const inFlight = new Set();
+
+    const entries = streamed
+      ? parseNdjson(request.body, { maxLineBytes: request.routeOptions.bodyLimit })
+      : request.body.items.map((value) => ({ value }));
+
+    // Respecte la contre-pression du client ; s'arrête s'il se déconnecte
+    const emit = async (line) => {
+      if (output.destroyed || output.write(`${JSON.stringify(line)}\n`)) {
+        return;
+      }
+
+      await new Promise((resolve) => {
+        const done = () => {
+          output.off('drain', done);
+          output.off('close', done);
+          resolve();
+        };
+        output.on('drain', done);
+        output.on('close', done);
+      });
+    };
+
+    const emitResult = async (result) => {
+      summary.total += 1;
+      summary[result.success ? 'success' : 'failed'] += 1;
+      await emit(result);
+    };
+
+    const run = async () => {
+      let index = 0;
+      let renders = 0;
+
+      try {
+        for await (const { value: item, error } of entries) {
+          if (output.destroyed) {
+            break;
+          }
+
+          const id = item?.id !== undefined ? item.id : index;
+          const localized = error || typeof item?.mjml !== 'string' ? [item] : fanOutItem(item, locales);
+          index += 1;
+          renders += localized.length;
+
+          if (renders > MAX_BATCH_ITEMS) {
+            await emit({ error: `Too many items (max ${MAX_BATCH_ITEMS} at once)`, code: 'TOO_MANY_ITEMS' });
+            break;
+          }
+
+          if (error || typeof item?.mjml !== 'string') {
+            await emitResult({
+              id,
+              success: false,
+              error: error || 'MJML content is required and must be a string',
+              code: 'INVALID_INPUT',
+            });
+            continue;
+          }
+
+          if (apiKey && !apiKeyAuth.chargeQuota(apiKey, localized.length)) {
+            await emitResult({
+              id,
+              success: false,
+              error: 'Daily render quota exceeded',
+              code: 'QUOTA_EXCEEDED',
+            });
+            break;
+          }
+
+          for (const entry of localized) {
+            const pending = preparePayload(batchPayload(entry, id, settings))
+              .then((expanded) => renderBatchItem(resultRef(id, entry), expanded))
+              .then(emitResult)
+              .finally(() => inFlight.delete(pending));
+            inFlight.add(pending);
+
+            if (inFlight.size >= STREAM_CONCURRENCY) {
+              await Promise.race(inFlight);
+            }
+          }
+        }
+      } catch (error) {
+        // Corps illisible ou ligne trop longue : les résultats déjà envoyés restent valides
+        await emit({
+          error: error.message,
+          code: error.statusCode === 413 ? 'CONTENT_TOO_LARGE' : 'INVALID_INPUT',
+        });
+      }
+
+      await Promise.all(inFlight);
+      metrics.observeBatch(summary.total);
+
+      request.log.info(summary, 'Streamed batch render completed');
+      await emit({ summary });
+      output.end();
+    };
+
+    run().catch((error) => {
+      request.log.error({ err: error }, 'Streamed batch render failed');
+      output.destroy(error);
+    });
+
+    return reply
+      .header('Content-Type', NDJSON_CONTENT_TYPE)
+      .send(output);
+  };
+
+  /**
+   * Batch MJML render endpoint
+   * POST /render-batch
+   *
+   * Body: {
+   *   items: Array<{ id?: string|number, mjml: string, data?: object, templateEngine?: string, partials?: object, locale?: string }>,
+   *   options?: object,
+   *   outputs?: string[],
+   *   locales?: string[],
+   *   postProcess?: object,
+   *   tracking?: object,
+   *   images?: object
+   * }
+   * Response: { results: Array<{ id, locale?, success, html?, text?, attachments?, meta?, errors? }> }
+   *
+   * Mode NDJSON (corps application/x-ndjson et/ou Accept: application/x-ndjson) :
+   * un item par ligne en entrée, un résultat par ligne en sortie puis { summary }
+   */
+  fastify.post('/render-batch', {
+    schema: batchRenderSchema,
+    config: { streamNdjson: true },
+  }, async (request, reply) => {
+    try {
+      const streamed = request.body instanceof Readable;
+      const {
+        items,
+        options,
+        outputs,
+        locales,
+        postProcess: requestedPostProcess,
+        tracking: requestedTracking,
+        images,
+      } = streamed ? request.query : request.body ?? {};
+
+      if (!streamed && (!Array.isArray(items) || items.length === 0)) {
+        return reply.code(400).send({
+          error: 'items array is required and must contain at least 1 item',
+          code: 'INVALID_INPUT',
+        });
+      }
+
+      const { options: mjmlOptions, rejected } = resolveMjmlOptions(options, mjmlOptionsConfig);
+      if (rejected.length > 0) {
+        return sendOptionsNotAllowed(reply, rejected);
+      }
+
+      // Corps NDJSON : étapes par défaut du serveur et pas de tracking, comme pour les options mjml
+      const { tracking, error: trackingError } = resolveTracking(streamed ? undefined : requestedTracking, trackingConfig);
+      if (trackingError) {
+        return sendTrackingNotConfigured(reply, trackingError);
+      }
+
+      const settings = {
+        mjmlOptions,
+        outputs,
+        postProcess: resolvePostProcess(streamed ? undefined : requestedPostProcess, postProcessConfig),
+        tracking,
+        images: resolveImages(streamed ? undefined : images, imagesConfig),
+      };
+
+      if (streamed || acceptsNdjson(request)) {
+        return streamBatch(request, reply, { streamed, locales, ...settings });
+      }
+
+      // Un rendu par item, ou par item et par locale avec locales (résultats dans cet ordre)
+      const renders = items.flatMap((item, index) => fanOutItem(item, locales).map((entry) => ({
+        ref: resultRef(item.id !== undefined ? item.id : index, entry),
+        entry,
+      })));
+
+      const expanded = await Promise.all(renders.map(({ ref, entry }) => preparePayload(batchPayload(entry, ref.id, settings))));
+      const keys = expanded.map((entry) => renderKey(entry.success ? entry.payload : entry));
+      const etag = etagFor(renderKey({
+        ids: renders.map(({ ref }) => ref),
+        keys,
+      }));
+
+      if (isNotModified(request, etag)) {
+        return reply.code(304).header('ETag', etag).send();
+      }
+
+      // Refuse tout le batch plutôt que d'en rendre une partie
+      if (!renderPool.canAccept(renders.length)) {
+        return sendPoolError(reply, { code: 'POOL_BUSY', message: 'Render queue is full' });
+      }
+
+      request.log.info({ itemCount: items.length, renderCount: renders.length }, 'Processing batch render');
+      metrics.observeBatch(renders.length);
+
+      // Les items sont rendus en parallèle par le pool
+      const results = await Promise.all(renders.map(({ ref }, index) => renderBatchItem(
+        ref,
+        expanded[index],
+        keys[index],
+      )));
+
+      const successCount = results.filter((r) => r.success).length;
+      const failureCount = results.length - successCount;
+
+      request.log.info({
+        successCount,
+        failureCount,
+      }, 'Batch render completed');
+
+      reply.header('ETag', etag);
+      return {
+        summary: {
+          total: results.length,
+          success: successCount,
+          failed: failureCount,
+        },
+        results,
+      };
+    } catch (error) {
+      request.log.error({ err: error }, 'Unexpected error during batch rendering');
+
+      return reply.code(500).send({
+        error: 'Internal server error',
+        code: 'INTERNAL_ERROR',
+        message: env.NODE_ENV === 'development' ? error.message : undefined,
+      });
+    }
+  });
+
+  /**
+   * Asynchronous batch job
+   * POST /jobs
+   *
+   * Body (application/json): {
+   *   items: Array<{ id?, mjml?, data?, templateEngine?, partials?, locale? }>,
+   *   mjml?: string, templateId?: string, version?: number,
+   *   templateEngine?, partials?, locale?, options?, outputs?, callbackUrl?
+   * }
+   * Body (application/x-ndjson): un item par ligne, paramètres du job en query string
+   * Response: 202 { id, status, summary, ... }
+   */
+  fastify.post('/jobs', { schema: createJobSchema, bodyLimit: jobsConfig.bodyLimit }, async (request, reply) => {
+    const {
+      items,
+      mjml,
+      templateId,
+      version,
+      templateEngine,
+      partials,
+      locale,
+      options,
+      outputs,
+      callbackUrl,
+    } = { ...request.query, ...request.body };
+
+    if (items.length > jobsConfig.maxItems) {
+      return reply.code(413).send({
+        error: `Too many items (max ${jobsConfig.maxItems} per job)`,
+        code: 'TOO_MANY_ITEMS',
+      });
+    }
+
+    const refused = callbackUrl && await checkCallbackUrl(callbackUrl, jobsConfig);
+    if (refused) {
+      return reply.code(400).send({
+        error: `callbackUrl is not allowed: ${refused}`,
+        code: 'INVALID_INPUT',
+      });
+    }
+
+    const { options: mjmlOptions, rejected } = resolveMjmlOptions(options, mjmlOptionsConfig);
+    if (rejected.length > 0) {
+      return sendOptionsNotAllowed(reply, rejected);
+    }
+
+    let source = null;
+    let jobMjml = mjml;
+
+    if (templateId) {
+      const entry = await templateStore.getVersion(templateId, version);
+      if (!entry) {
+        return sendTemplateNotFound(reply, templateId, version);
+      }
+
+      source = { templateId, version: entry.version };
+      jobMjml = entry.mjml;
+    }
+
+    const missing = jobMjml ? -1 : items.findIndex((item) => typeof item.mjml !== 'string');
+    if (missing !== -1) {
+      return reply.code(400).send({
+        error: `Item ${missing} has no mjml and the job has no mjml or templateId`,
+        code: 'INVALID_INPUT',
+      });
+    }
+
+    const job = await jobManager.submit({
+      items,
+      mjml: jobMjml,
+      templateEngine,
+      partials,
+      locale,
+      mjmlOptions,
+      outputs,
+      callbackUrl,
+      source,
+      requestId: request.id,
+      owner: request.apiKey ?? null,
+    });
+
+    request.log.info({ jobId: job.id, itemCount: items.length }, 'Render job queued');
+
+    return reply
+      .code(202)
+      .header('Location', `/jobs/${job.id}`)
+      .send(describeJob(job));
+  });
+
+  const sendJobNotFound = (reply, id) => reply.code(404).send({
+    error: `Job "${id}" not found`,
+    code: 'JOB_NOT_FOUND',
+  });
+
+  /**
+   * Job visible par l'appelant : créé avec sa clé d'API, ou appelant admin.
+   * Un job d'une autre clé est signalé comme introuvable.
+   */
+  const findJob = (request, id) => {
+    const job = jobManager.get(id);
+
+    if (job?.owner && job.owner !== request.apiKey && !apiKeyStates.get(request)?.admin) {
+      return null;
+    }
+    return job;
+  };
+
+  /**
+   * Job status and progress
+   * GET /jobs/:id
+   */
+  fastify.get('/jobs/:id', { schema: getJobSchema }, async (request, reply) => {
+    const job = findJob(request, request.params.id);
+
+    if (!job) {
+      return sendJobNotFound(reply, request.params.id);
+    }
+
+    return describeJob(job);
+  });
+
+  /**
+   * Job results, in item order
+   * GET /jobs/:id/results?offset=0&limit=100
+   *
+   * Response: { id, status, results, offset, limit, next }
+   * Avec Accept: application/x-ndjson, tous les résultats disponibles sont streamés
+   */
+  fastify.get('/jobs/:id/results', { schema: jobResultsSchema }, async (request, reply) => {
+    const { id } = request.params;
+    const job = findJob(request, id);
+
+    if (!job) {
+      return sendJobNotFound(reply, id);
+    }
+
+    if (acceptsNdjson(request)) {
+      return reply
+        .header('Content-Type', NDJSON_CONTENT_TYPE)
+        .send(await jobManager.streamResults(id));
+    }
+
+    return {
+      id,
+      status: job.status,
+      ...await jobManager.readResults(id, request.query),
+    };
+  });
+
+  /**
+   * Template registry - list stored templates
+   * GET /templates
+   */
+  fastify.get('/templates', { schema: listTemplatesSchema }, async (request, reply) => {
+    return { templates: await templateStore.list() };
+  });
+
+  /**
+   * Template registry - create a template (version 1)
+   * POST /templates/:id
+   *
+   * Body: { mjml: string, description?: string }
+   */
+  fastify.post('/templates/:id', { schema: createTemplateSchema }, async (request, reply) => {
+    const { id } = request.params;
+    const { mjml, description } = request.body;
+
+    const sendTemplateExists = () => reply.code(409).send({
+      error: `Template "${id}" already exists`,
+      code: 'TEMPLATE_EXISTS',
+    });
+
+    if (await templateStore.get(id)) {
+      return sendTemplateExists();
+    }
+
+    if (await rejectInvalidTemplate(mjml, reply)) {
+      return reply;
+    }
+
+    // Créé entre-temps par une autre requête
+    const record = await templateStore.create(id, { mjml, description });
+    if (!record) {
+      return sendTemplateExists();
+    }
+
+    request.log.info({ id }, 'Template created');
+
+    return reply.code(201).send(summarizeTemplate(record));
+  });
+
+  /**
+   * Template registry - get a template (latest or ?version=n)
+   * GET /templates/:id
+   */
+  fastify.get('/templates/:id', { schema: getTemplateSchema }, async (request, reply) => {
+    const { id } = request.params;
+    const record = await templateStore.get(id);
+    const entry = record && await templateStore.getVersion(id, request.query.version);
+
+    if (!entry) {
+      return sendTemplateNotFound(reply, id, request.query.version);
+    }
+
+    return {
+      ...summarizeTemplate(record),
+      version: entry.version,
+      mjml: entry.mjml,
+      versions: record.versions.map(({ version, createdAt }) => ({ version, createdAt })),
+    };
+  });
+
+  /**
+   * Template registry - store a new version of a template
+   * PUT /templates/:id
+   *
+   * Body: { mjml: string, description?: string }
+   */
+  fastify.put('/templates/:id', { schema: updateTemplateSchema }, async (request, reply) => {
+    const { id } = request.params;
+    const { mjml, description } = request.body;
+    if (!(await templateStore.get(id))) {
+      return sendTemplateNotFound(reply, id);
+    }
+
+    if (await rejectInvalidTemplate(mjml, reply)) {
+      return reply;
+    }
+
+    // Relu sous verrou : une mise à jour simultanée n'est pas écrasée
+    const updated = await templateStore.update(id, { mjml, description });
+    if (!updated) {
+      return sendTemplateNotFound(reply, id);
+    }
+    request.log.info({ id, version: updated.versions.length }, 'Template updated');
+
+    return summarizeTemplate(updated);
+  });
+
+  /**
+   * Template registry - delete a template and all its versions
+   * DELETE /templates/:id
+   */
+  fastify.delete('/templates/:id', { schema: deleteTemplateSchema }, async (request, reply) => {
+    const { id } = request.params;
+
+    if (!(await templateStore.remove(id))) {
+      return sendTemplateNotFound(reply, id);
+    }
+
+    request.log.info({ id }, 'Template deleted');
+    return reply.code(204).send();
+  });
+
+  /**
+   * Render a stored template
+   * POST /templates/:id/render
+   *
+   * Body: { data?: object, version?: number, templateEngine?: string, partials?: object, locale?: string, options?: object, outputs?: string[], postProcess?: object, tracking?: object, images?: object }
+   * Response: { id, version, html?, text?, attachments?, meta? }
+   */
+  fastify.post('/templates/:id/render', { schema: renderTemplateSchema }, async (request, reply) => {
+    const { id } = request.params;
+    const {
+      version,
+      data,
+      templateEngine,
+      partials,
+      locale,
+      options,
+      outputs,
+      postProcess,
+      tracking: requestedTracking,
+      images,
+    } = request.body ?? {};
+
+    const { options: mjmlOptions, rejected } = resolveMjmlOptions(options, mjmlOptionsConfig);
+    if (rejected.length > 0) {
+      return sendOptionsNotAllowed(reply, rejected);
+    }
+
+    const { tracking, error: trackingError } = resolveTracking(requestedTracking, trackingConfig);
+    if (trackingError) {
+      return sendTrackingNotConfigured(reply, trackingError);
+    }
+
+    const entry = await templateStore.getVersion(id, version);
+
+    if (!entry) {
+      return sendTemplateNotFound(reply, id, version);
+    }
+
+    const expanded = await preparePayload({
+      mjml: entry.mjml,
+      options: {
+        data,
+        templateEngine,
+        partials,
+        locale,
+        mjmlOptions,
+        outputs,
+        postProcess: resolvePostProcess(postProcess, postProcessConfig),
+        tracking,
+        images: resolveImages(images, imagesConfig),
+      },
+    });
+
+    if (!expanded.success) {
+      request.log.warn({ id, version: entry.version }, 'Stored template preparation failed');
+
+      return reply.code(ERROR_STATUS[expanded.code]).send({
+        error: expanded.error,
+        code: expanded.code,
+        errors: expanded.errors,
+      });
+    }
+
+    const { payload } = expanded;
+    const key = renderKey(payload);
+    const etag = etagFor(key);
+
+    if (isNotModified(request, etag)) {
+      return reply.code(304).header('ETag', etag).send();
+    }
+
+    const result = await render(payload, key);
+
+    if (!result.success) {
+      request.log.warn({ id, version: entry.version, code: result.code }, 'Stored template render failed');
+
+      return reply.code(ERROR_STATUS[result.code]).send({
+        error: result.error,
+        code: result.code,
+        errors: result.errors,
+      });
+    }
+
+    const { success, ...output } = result;
+
+    reply.header('ETag', etag);
+    return { id, version: entry.version, ...output };
+  });
+
+  /**
+   * Render cache stats
+   * GET /cache
+   */
+  fastify.get('/cache', { schema: cacheStatsSchema }, async (request, reply) => {
+    return renderCache.stats();
+  });
+
+  /**
+   * Purge the render cache
+   * DELETE /cache
+   *
+   * Response: { purged: number }
+   */
+  fastify.delete('/cache', { schema: purgeCacheSchema }, async (request, reply) => {
+    const purged = await renderCache.clear();
+    request.log.info({ purged }, 'Render cache purged');
+
+    return { purged };
+  });
+
+  /**
+   * Hot-reload des composants personnalisés et presets (MJML_COMPONENTS_DIR)
+   * POST /admin/components/reload
+   *
+   * Response: { components: object[], presets: string[], loadedAt: string }
+   */
+  fastify.post('/admin/components/reload', { schema: reloadComponentsSchema }, async (request, reply) => {
+    if (!componentsConfig.directory) {
+      return reply.code(400).send({
+        error: 'No component directory configured (MJML_COMPONENTS_DIR)',
+        code: 'COMPONENTS_DISABLED',
+      });
+    }
+
+    const result = await reloadComponents();
+
+    if (!result.success) {
+      request.log.warn({ errors: result.errors }, 'Custom components reload failed');
+
+      return reply.code(500).send({
+        error: 'Custom components failed to load; previous components are still active',
+        code: 'COMPONENTS_LOAD_ERROR',
+        errors: result.errors,
+      });
+    }
+
+    request.log.info(`Reloaded ${result.components.length} custom component(s)`);
+    return customComponents;
+  });
+
+  /**
+   * Prometheus metrics endpoint
+   * GET /metrics
+   */
+  fastify.get('/metrics', { schema: metricsSchema }, async (request, reply) => {
+    return reply
+      .header('Content-Type', metrics.registry.contentType)
+      .send(await metrics.registry.metrics());
+  });
+
+  /**
+   * Info endpoint - returns server info
+   */
+  fastify.get('/info', { schema: infoSchema }, async (request, reply) => {
+    return {
+      name: 'MJML Rendering Server',
+      version: SERVER_VERSION,
+      mjmlVersion: '4.14.1',
+      nodeVersion: process.version,
+      uptime: process.uptime(),
+      timestamp: new Date().toISOString(),
+      renderPool: renderPool.stats(),
+      renderCache: await renderCache.stats(),
+      jobs: jobManager.stats(),
+      preview: { enabled: previewRenderer.enabled },
+      components: { enabled: Boolean(componentsConfig.directory), ...customComponents },
+      i18n: { enabled: i18n.enabled, defaultLocale: i18nConfig.defaultLocale, locales: i18n.locales() },
+      postProcess: { steps: postProcessConfig.steps, darkModeColors: postProcessConfig.darkModeColors },
+      images: { enabled: Boolean(imagesConfig.directory), baseUrl: imagesConfig.baseUrl, maxBytes: imagesConfig.maxBytes },
+      tracing: { enabled: Boolean(tracingConfig.endpoint || tracingConfig.exporter), serviceName: tracingConfig.serviceName },
+      tracking: {
+        clickTracking: Boolean(trackingConfig.clickUrl && trackingConfig.secret),
+        openTracking: Boolean(trackingConfig.openUrl && trackingConfig.secret),
+        utm: trackingConfig.utm,
+      },
+      endpoints,
+    };
+  });
+
+  /**
+   * 404 handler
+   */
+  fastify.setNotFoundHandler((request, reply) => {
+    return reply.code(404).send({
+      error: 'Endpoint not found',
+      code: 'NOT_FOUND',
+      path: request.url,
+    });
+  });
+
+  /**
+   * Error handler - gère les erreurs de validation de schéma et autres erreurs
+   */
+  fastify.setErrorHandler((error, request, reply) => {
+    request.log.error({ err: error, url: request.url }, 'Request error');
+
+    // Gère les erreurs de validation de schéma JSON
+    if (error.statusCode === 400 && error.code === 'FST_ERR_VALIDATION') {
+      return reply.code(400).send({
+        error: error.message || 'Validation error',
+        code: 'INVALID_INPUT',
+      });
+    }
+
+    // Gère les erreurs du pool de rendu (routes sans try/catch)
+    if (POOL_ERROR_STATUS[error.code]) {
+      return sendPoolError(reply, error);
+    }
+
+    // Gère les erreurs de payload trop volumineux
+    if (error.statusCode === 413) {
+      return reply.code(413).send({
+        error: error.message || 'Payload too large',
+        code: 'CONTENT_TOO_LARGE',
+      });
+    }
+
+    return reply.code(error.statusCode || 500).send({
+      error: error.message || 'Internal server error',
+      code: error.code || 'INTERNAL_ERROR',
+      statusCode: error.statusCode || 500,
+    });
+  });
+
+  // ============ DÉMARRAGE ============
+
+  // Au démarrage (listen, ready ou premier inject), avant de servir des requêtes
+  fastify.addHook('onReady', async () => {
+    if (componentsConfig.directory) {
+      const loaded = await reloadComponents();
+      if (!loaded.success) {
+        throw new Error(`Custom components failed to load: ${loaded.errors.map((e) => `${e.file ?? componentsConfig.directory}: ${e.message}`).join('; ')}`);
+      }
+      fastify.log.info(`Loaded ${loaded.components.length} custom component(s) and ${loaded.presets.length} preset(s)`);
+    }
+
+    if (i18n.enabled) {
+      const locales = await i18n.load();
+      fastify.log.info(`Loaded translation catalogs: ${locales.join(', ') || 'none'}`);
+    }
+
+    const resumed = await jobManager.start();
+    if (resumed > 0) {
+      fastify.log.info(`Resuming ${resumed} render job(s)`);
+    }
+  });
+};
+
+/**
+ * Crée une instance Fastify avec le plugin, sans l'écouter :
+ * app.listen() pour servir, app.inject() dans les tests.
+ *
+ * Options : celles de mjmlServerPlugin, plus logger (option logger de Fastify,
+ * défaut selon loadLoggingConfig : JSON ou pino-pretty au niveau LOG_LEVEL).
+ * L'identifiant de requête reprend l'en-tête X-Request-Id (REQUEST_ID_HEADER) s'il est valide.
+ */
+export const buildApp = async ({ logger, ...options } = {}) => {
+  const loggingConfig = { ...loadLoggingConfig(options.env ?? process.env), ...options.logging };
+
+  const app = Fastify({
+    logger: logger ?? loggerOptions(loggingConfig),
+    genReqId: requestIdGenerator(loggingConfig.requestIdHeader),
+    requestIdLogLabel: 'requestId',
+  });
+
+  await app.register(mjmlServerPlugin, options);
+  return app;
+};
@@ -0,0 +1,479 @@
+import { watch } from 'node:fs';
+import { mkdir, readdir, readFile, stat, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { createClient, MjmlApiError } from '../client/index.js';
+import { loadComponents, loadComponentsConfig } from './components.js';
+import { createI18n, loadI18nConfig } from './i18n.js';
+import { createIncludeResolver, loadIncludesConfig } from './includes.js';
+import { renderTasks } from './render.js';
+
+/**
+ * Codes de sortie (CI) :
+ * - 0 : tous les fichiers sont rendus
+ * - 1 : au moins un fichier en erreur (compilation, template, include)
+ * - 2 : usage invalide (commande, options, --data, aucun fichier)
+ * - 3 : serveur injoignable ou erreur inattendue
+ */
+export const EXIT_CODES = {
+  OK: 0,
+  FAILED: 1,
+  USAGE: 2,
+  UNAVAILABLE: 3,
+};
+
+const COMMANDS = ['render', 'check'];
+
+// Erreurs de fichier : rapportées par fichier ; les autres statuts arrêtent la commande
+const FILE_ERROR_STATUS = [400, 413];
+
+const SERVER_CONCURRENCY = 4;
+
+const WATCH_DEBOUNCE_MS = 100;
+
+const USAGE = `Usage: mjml-api <render|check> <file|dir|glob...> [options]
+
+Commands:
+  render   Render MJML files to HTML (stdout for a single file, else <name>.html files)
+  check    Report compilation errors; exits with 1 if a file fails
+
+Options:
+  --server <url>           Render through a running server instead of in-process
+  --api-key <key>          API key for --server (default: MJML_API_KEY)
+  --data <json|file>       Template variables, as JSON or a path to a JSON file
+  --template-engine <name> handlebars (default) or mustache
+  --locale <tag>           Translate {{t}} message keys and set lang/dir (e.g. fr-CA)
+  --i18n-dir <dir>         Translation catalogs <locale>.json (default: I18N_DIR)
+  -o, --out-dir <dir>      Output directory (default: next to each source file)
+  --text                   Also write the plain-text version (<name>.txt)
+  --include-root <dir>     Root for mj-include paths (default: MJML_INCLUDES_DIR, else each file's directory)
+  --components <dir>       Custom components and presets (default: MJML_COMPONENTS_DIR)
+  --json                   check: print failures as JSON lines { file, error, code, errors }
+  -w, --watch              Re-render files when they change
+  -h, --help               Show this help
+
+Exit codes: 0 success, 1 file errors, 2 usage error, 3 server unavailable`;
+
+const usageError = (message) => Object.assign(new Error(message), { exitCode: EXIT_CODES.USAGE });
+
+const unavailableError = (message) => Object.assign(new Error(message), { exitCode: EXIT_CODES.UNAVAILABLE });
+
+/**
+ * Arguments de la ligne de commande : { command, patterns, options }
+ */
+export const parseCliArgs = (argv) => {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        server: { type: 'string' },
+        'api-key': { type: 'string' },
+        data: { type: 'string' },
+        'template-engine': { type: 'string' },
+        locale: { type: 'string' },
+        'i18n-dir': { type: 'string' },
+        'out-dir': { type: 'string', short: 'o' },
+        text: { type: 'boolean', default: false },
+        'include-root': { type: 'string' },
+        components: { type: 'string' },
+        json: { type: 'boolean', default: false },
+        watch: { type: 'boolean', short: 'w', default: false },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    });
+  } catch (error) {
+    throw usageError(error.message);
+  }
+
+  const [command, ...patterns] = parsed.positionals;
+  return { command, patterns, options: parsed.values };
+};
+
+/**
+ * --data : JSON en ligne ou chemin d'un fichier JSON
+ */
+const readData = async (value) => {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  let source = value;
+  if (!/^\s*[{[]/.test(value)) {
+    try {
+      source = await readFile(value, 'utf8');
+    } catch (error) {
+      throw usageError(`Cannot read --data file: ${error.message}`);
+    }
+  }
+
+  try {
+    return JSON.parse(source);
+  } catch (error) {
+    throw usageError(`--data is not valid JSON: ${error.message}`);
+  }
+};
+
+// ============ FICHIERS ============
+
+const GLOB_CHARS = /[*?[]/;
+
+/**
+ * Motif glob (*, **, ?, [abc]) en expression régulière sur un chemin relatif
+ */
+const globToRegExp = (pattern) => {
+  let source = '';
+
+  for (let index = 0; index < pattern.length; index += 1) {
+    const char = pattern[index];
+
+    if (char === '*' && pattern[index + 1] === '*') {
+      // "**/" accepte aussi zéro dossier
+      source += pattern[index + 2] === '/' ? '(?:.*/)?' : '.*';
+      index += pattern[index + 2] === '/' ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', index);
+      source += end === -1 ? '\\[' : pattern.slice(index, end + 1);
+      index = end === -1 ? index : end;
+    } else {
+      source += char.replace(/[.+^${}()|\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+};
+
+// Fichiers d'un dossier, récursivement (hors dossiers cachés et node_modules)
+const walkFiles = async (directory) => {
+  const entries = await readdir(directory, { withFileTypes: true }).catch(() => []);
+  const files = [];
+
+  for (const entry of entries) {
+    const fullPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      if (!entry.name.startsWith('.') && entry.name !== 'node_modules') {
+        files.push(...await walkFiles(fullPath));
+      }
+    } else if (entry.isFile()) {
+      files.push(fullPath);
+    }
+  }
+
+  return files;
+};
+
+/**
+ * Fichiers .mjml désignés par des chemins, dossiers ou globs (triés, sans doublon)
+ */
+export const expandFiles = async (patterns) => {
+  const files = new Set();
+
+  for (const pattern of patterns) {
+    const normalized = pattern.split(path.sep).join('/');
+
+    if (GLOB_CHARS.test(normalized)) {
+      const segments = normalized.split('/');
+      const firstGlob = segments.findIndex((segment) => GLOB_CHARS.test(segment));
+      const base = segments.slice(0, firstGlob).join('/') || '.';
+      const matcher = globToRegExp(segments.slice(firstGlob).join('/'));
+
+      (await walkFiles(base))
+        .filter((file) => matcher.test(path.relative(base, file).split(path.sep).join('/')))
+        .forEach((file) => files.add(file));
+    } else {
+      const info = await stat(pattern).catch(() => null);
+      if (info?.isDirectory()) {
+        (await walkFiles(pattern))
+          .filter((file) => file.endsWith('.mjml'))
+          .forEach((file) => files.add(file));
+      } else if (info) {
+        files.add(pattern);
+      }
+    }
+  }
+
+  return [...files].sort();
+};
+
+// ============ RENDU ============
+
+/**
+ * Catalogue de --locale ({ locale, messages }), chargé comme au démarrage du serveur
+ */
+const loadTranslation = async ({ directory, defaultLocale }, locale) => {
+  if (!directory) {
+    throw usageError('--locale needs translation catalogs (--i18n-dir or I18N_DIR)');
+  }
+
+  const i18n = createI18n({ directory, defaultLocale });
+  try {
+    await i18n.load();
+  } catch (error) {
+    throw usageError(`Translation catalogs failed to load: ${error.message}`);
+  }
+
+  const translation = i18n.resolve(locale);
+  if (!translation) {
+    throw usageError(`No translation catalog for locale "${locale}"`);
+  }
+  return translation;
+};
+
+/**
+ * Rendu dans ce processus, avec le pipeline des workers du serveur
+ * (mj-include, composants personnalisés, traductions, template, mjml2html)
+ */
+const createLocalRenderer = async ({
+  includesConfig,
+  componentsDir,
+  i18nConfig,
+  locale,
+}) => {
+  if (componentsDir) {
+    const loaded = await loadComponents(componentsDir);
+    if (!loaded.success) {
+      throw usageError(`Custom components failed to load: ${loaded.errors.map((e) => `${e.file ?? componentsDir}: ${e.message}`).join('; ')}`);
+    }
+  }
+
+  const { directory, maxDepth } = includesConfig;
+  const translation = locale === undefined ? undefined : await loadTranslation(i18nConfig, locale);
+
+  return async ({ file, mjml }, options) => {
+    const resolver = createIncludeResolver({ directory: directory ?? path.dirname(file), maxDepth });
+    const expanded = await resolver.expand(mjml);
+
+    return expanded.success
+      ? renderTasks.render({ mjml: expanded.mjml, options: { ...options, translation }, lines: expanded.lines })
+      : expanded;
+  };
+};
+
+/**
+ * Rendu par POST /render d'un serveur ; les mj-include sont résolus par le serveur
+ */
+const createServerRenderer = ({ server, apiKey }) => {
+  const client = createClient({ baseUrl: server, apiKey });
+
+  return async ({ mjml }, {
+    data,
+    templateEngine,
+    locale,
+    outputs,
+  }) => {
+    try {
+      return {
+        success: true,
+        ...await client.render({
+          mjml,
+          data,
+          templateEngine,
+          locale,
+          outputs,
+        }),
+      };
+    } catch (error) {
+      if (error instanceof MjmlApiError && FILE_ERROR_STATUS.includes(error.status)) {
+        return {
+          success: false,
+          error: error.message,
+          code: error.code,
+          errors: error.errors,
+        };
+      }
+
+      throw unavailableError(`Server ${server} failed: ${error.message}`);
+    }
+  };
+};
+
+/**
+ * Applique render à chaque fichier, `concurrency` à la fois, dans l'ordre des fichiers
+ */
+const renderFiles = async (files, render, options, concurrency) => {
+  const results = new Array(files.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < files.length) {
+      const index = next;
+      next += 1;
+
+      const file = files[index];
+      const mjml = await readFile(file, 'utf8');
+      results[index] = { file, ...await render({ file, mjml }, options) };
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, files.length) }, worker));
+  return results;
+};
+
+// ============ SORTIE ============
+
+/**
+ * Erreurs d'un fichier, une par ligne : fichier:ligne [tagName] message.
+ * Une erreur venant d'un include indique aussi le fichier inclus.
+ */
+export const formatFailure = ({ file, error, errors }) => {
+  if (!errors || errors.length === 0) {
+    return `${file}: ${error}`;
+  }
+
+  return errors.map(({ line, message, tagName, file: included }) => {
+    const location = included ? `${file} (${included}:${line ?? '?'})` : `${file}:${line ?? '?'}`;
+    return `${location}${tagName ? ` [${tagName}]` : ''} ${message}`;
+  }).join('\n');
+};
+
+const outputPath = (file, outDir, extension) => path.join(
+  outDir ?? path.dirname(file),
+  `${path.basename(file, path.extname(file))}${extension}`,
+);
+
+const report = async (command, results, { options, stdout, stderr, single }) => {
+  for (const result of results) {
+    if (!result.success) {
+      if (command === 'check' && options.json) {
+        const { file, error, code, errors } = result;
+        stdout.write(`${JSON.stringify({ file, error, code, errors })}\n`);
+      } else {
+        stderr.write(`${formatFailure(result)}\n`);
+      }
+    } else if (command === 'check') {
+      if (!options.json) {
+        stderr.write(`✓ ${result.file}\n`);
+      }
+    } else if (single && !options['out-dir'] && !options.text) {
+      stdout.write(result.html);
+    } else {
+      const htmlPath = outputPath(result.file, options['out-dir'], '.html');
+      await mkdir(path.dirname(htmlPath), { recursive: true });
+      await writeFile(htmlPath, result.html);
+      if (options.text) {
+        await writeFile(outputPath(result.file, options['out-dir'], '.txt'), result.text);
+      }
+      stderr.write(`✓ ${result.file} → ${htmlPath}\n`);
+    }
+  }
+
+  const failed = results.filter((result) => !result.success).length;
+  if (command === 'check' && !options.json) {
+    stderr.write(`${results.length} file(s) checked, ${failed} failed\n`);
+  }
+
+  return failed > 0 ? EXIT_CODES.FAILED : EXIT_CODES.OK;
+};
+
+// ============ COMMANDE ============
+
+/**
+ * Surveille les fichiers et relance le rendu de ceux qui changent, jusqu'à signal.abort()
+ */
+const watchFiles = (files, onChange, { signal, stderr }) => new Promise((resolve) => {
+  const timers = new Map();
+  const watchers = files.map((file) => watch(file, () => {
+    clearTimeout(timers.get(file));
+    timers.set(file, setTimeout(() => {
+      onChange(file).catch((error) => stderr.write(`${file}: ${error.message}\n`));
+    }, WATCH_DEBOUNCE_MS));
+  }));
+
+  const stop = () => {
+    watchers.forEach((watcher) => watcher.close());
+    timers.forEach((timer) => clearTimeout(timer));
+    resolve();
+  };
+
+  if (signal?.aborted) {
+    stop();
+  } else {
+    signal?.addEventListener('abort', stop, { once: true });
+  }
+});
+
+/**
+ * Exécute la CLI et retourne le code de sortie.
+ * io : { stdout, stderr, env, signal } (signal arrête le mode --watch)
+ */
+export const run = async (argv, {
+  stdout = process.stdout,
+  stderr = process.stderr,
+  env = process.env,
+  signal,
+} = {}) => {
+  try {
+    const { command, patterns, options } = parseCliArgs(argv);
+
+    if (options.help) {
+      stdout.write(`${USAGE}\n`);
+      return EXIT_CODES.OK;
+    }
+
+    if (!COMMANDS.includes(command)) {
+      throw usageError(command ? `Unknown command "${command}"` : 'Missing command');
+    }
+
+    if (patterns.length === 0) {
+      throw usageError('No input file');
+    }
+
+    const files = await expandFiles(patterns);
+    if (files.length === 0) {
+      throw usageError(`No file matches ${patterns.join(' ')}`);
+    }
+
+    const renderOptions = {
+      data: await readData(options.data),
+      templateEngine: options['template-engine'],
+      locale: options.locale,
+      outputs: command === 'render' && options.text ? ['html', 'text'] : ['html'],
+    };
+
+    const render = options.server
+      ? createServerRenderer({ server: options.server, apiKey: options['api-key'] ?? env.MJML_API_KEY })
+      : await createLocalRenderer({
+        includesConfig: { ...loadIncludesConfig(env), ...(options['include-root'] && { directory: options['include-root'] }) },
+        componentsDir: options.components ?? loadComponentsConfig(env).directory,
+        i18nConfig: { ...loadI18nConfig(env), ...(options['i18n-dir'] && { directory: options['i18n-dir'] }) },
+        locale: options.locale,
+      });
+    const concurrency = options.server ? SERVER_CONCURRENCY : 1;
+
+    const renderAndReport = async (targets) => report(
+      command,
+      await renderFiles(targets, render, renderOptions, concurrency),
+      {
+        options,
+        stdout,
+        stderr,
+        single: files.length === 1,
+      },
+    );
+
+    const code = await renderAndReport(files);
+
+    if (!options.watch) {
+      return code;
+    }
+
+    stderr.write(`Watching ${files.length} file(s)...\n`);
+    await watchFiles(files, (file) => renderAndReport([file]), { signal, stderr });
+    return EXIT_CODES.OK;
+  } catch (error) {
+    if (!error.exitCode) {
+      throw error;
+    }
+
+    stderr.write(`mjml-api: ${error.message}\n`);
+    if (error.exitCode === EXIT_CODES.USAGE) {
+      stderr.write('Run mjml-api --help for usage\n');
+    }
+    return error.exitCode;
+  }
+};
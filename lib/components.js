@@ -0,0 +1,193 @@
+import { createHash } from 'node:crypto';
+import { readdir, readFile } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+// Les composants natifs doivent être enregistrés avant la copie de référence
+import 'mjml';
+import * as mjmlCore from 'mjml-core';
+
+const { components, registerComponent } = mjmlCore;
+
+// Même instance de mjml-validator que celle utilisée par mjml-core pour valider
+const require = createRequire(import.meta.url);
+const { dependencies, registerDependencies } = createRequire(require.resolve('mjml-core'))('mjml-validator');
+
+const MODULE_EXTENSIONS = ['.js', '.mjs'];
+const PRESET_EXTENSION = '.mjml';
+
+// Registres natifs, restaurés avant chaque (re)chargement
+const BUILTIN_COMPONENTS = { ...components };
+const BUILTIN_DEPENDENCIES = Object.fromEntries(
+  Object.entries(dependencies).map(([tag, children]) => [tag, [...children]]),
+);
+
+let presets = '';
+let registered = [];
+
+/**
+ * Lit la configuration des composants personnalisés :
+ * - MJML_COMPONENTS_DIR : dossier de plugins (*.js, *.mjs) et de presets mj-attributes (*.mjml)
+ */
+export const loadComponentsConfig = (env = process.env) => ({
+  directory: env.MJML_COMPONENTS_DIR || null,
+});
+
+const kebabCase = (name) => name.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+
+const componentName = (Component) => Component.componentName || kebabCase(Component.name);
+
+const isComponent = (value) => typeof value === 'function'
+  && (typeof value.prototype?.render === 'function' || typeof value.prototype?.handler === 'function');
+
+/**
+ * Export par défaut d'un plugin : une classe de composant, un tableau de classes,
+ * ou une fonction recevant mjml-core ({ BodyComponent, HeadComponent }) et retournant l'un des deux.
+ * La fonction évite au plugin de résoudre mjml-core depuis son propre dossier.
+ */
+const pluginComponents = (exported) => {
+  const value = typeof exported === 'function' && !isComponent(exported)
+    ? exported(mjmlCore)
+    : exported;
+  const list = Array.isArray(value) ? value : [value];
+
+  if (list.length === 0 || !list.every(isComponent)) {
+    throw new Error('Default export must be a component class, an array of classes, or a function returning them');
+  }
+
+  list.forEach((Component) => {
+    if (!componentName(Component).startsWith('mj-')) {
+      throw new Error(`Component name "${componentName(Component)}" must start with "mj-"`);
+    }
+  });
+
+  return list;
+};
+
+/**
+ * Preset : bloc(s) <mj-attributes> ramené(s) sur une ligne,
+ * pour ne pas décaler les numéros de ligne des erreurs
+ */
+const parsePreset = (source) => {
+  const blocks = source.match(/<mj-attributes\b[^>]*>[\s\S]*?<\/mj-attributes>/g);
+  if (!blocks) {
+    throw new Error('Preset must contain an <mj-attributes> block');
+  }
+
+  return blocks.join('').replace(/<!--[\s\S]*?-->/g, '').replace(/\s+/g, ' ');
+};
+
+const restoreBuiltins = () => {
+  registered.forEach(({ name }) => {
+    if (BUILTIN_COMPONENTS[name]) {
+      components[name] = BUILTIN_COMPONENTS[name];
+    } else {
+      delete components[name];
+    }
+  });
+
+  Object.keys(dependencies).forEach((tag) => {
+    if (BUILTIN_DEPENDENCIES[tag]) {
+      dependencies[tag] = [...BUILTIN_DEPENDENCIES[tag]];
+    } else {
+      delete dependencies[tag];
+    }
+  });
+};
+
+/**
+ * Charge les composants et presets du dossier, dans l'ordre alphabétique des fichiers.
+ * Tout ou rien : si un fichier est invalide, les composants déjà chargés restent actifs.
+ *
+ * Un module est réimporté seulement si son contenu a changé : chaque version modifiée
+ * reste en mémoire (les modules ES ne pouvant pas être déchargés), un rechargement
+ * sans modification ne coûte rien.
+ * Les fichiers importés par un plugin ne sont pas rechargés.
+ *
+ * Retourne { success: true, components, presets } ou { success: false, errors: [{ file, message }] }
+ */
+export const loadComponents = async (directory) => {
+  const errors = [];
+  const loaded = [];
+  const loadedPresets = [];
+
+  let files;
+  try {
+    files = (await readdir(directory)).sort();
+  } catch (error) {
+    return {
+      success: false,
+      errors: [{ file: null, message: `Cannot read component directory: ${error.message}` }],
+    };
+  }
+
+  for (const file of files) {
+    const filePath = path.resolve(directory, file);
+    const extension = path.extname(file);
+
+    try {
+      if (MODULE_EXTENSIONS.includes(extension)) {
+        const version = createHash('sha256').update(await readFile(filePath)).digest('hex').slice(0, 16);
+        const module = await import(`${pathToFileURL(filePath).href}?v=${version}`);
+        pluginComponents(module.default).forEach((Component) => {
+          loaded.push({ file, Component });
+        });
+      } else if (extension === PRESET_EXTENSION) {
+        loadedPresets.push({ file, source: parsePreset(await readFile(filePath, 'utf8')) });
+      }
+    } catch (error) {
+      errors.push({ file, message: error.message });
+    }
+  }
+
+  const names = loaded.map(({ Component }) => componentName(Component));
+  names
+    .filter((name, index) => names.indexOf(name) !== index)
+    .forEach((name) => errors.push({ file: null, message: `Component "${name}" is defined more than once` }));
+
+  if (errors.length > 0) {
+    return { success: false, errors };
+  }
+
+  restoreBuiltins();
+  loaded.forEach(({ Component }) => {
+    registerComponent(Component);
+    if (Component.dependencies) {
+      registerDependencies(Component.dependencies);
+    }
+  });
+
+  registered = loaded.map(({ file, Component }) => ({
+    name: componentName(Component),
+    file,
+    endingTag: Boolean(Component.endingTag),
+    attributes: Object.keys(Component.allowedAttributes || {}),
+  }));
+  presets = loadedPresets.map(({ source }) => source).join('');
+
+  return {
+    success: true,
+    components: registered,
+    presets: loadedPresets.map(({ file }) => file),
+  };
+};
+
+/**
+ * Ajoute les presets en tête de mj-head (créé si absent) : les mj-attributes
+ * du template, placés après, restent prioritaires. L'insertion se fait sur la ligne
+ * de la balise, sans décaler les numéros de ligne.
+ */
+export const applyPresets = (mjml) => {
+  if (!presets) {
+    return mjml;
+  }
+
+  const head = mjml.match(/<mj-head\b[^>]*>/);
+  if (head) {
+    const tag = head[0];
+    const replacement = tag.endsWith('/>') ? `<mj-head>${presets}</mj-head>` : `${tag}${presets}`;
+    return mjml.slice(0, head.index) + replacement + mjml.slice(head.index + tag.length);
+  }
+
+  return mjml.replace(/<mjml\b[^>]*>/, (tag) => `${tag}<mj-head>${presets}</mj-head>`);
+};
@@ -0,0 +1,70 @@
+import MailComposer from 'nodemailer/lib/mail-composer/index.js';
+
+const DATA_URI_IMAGE = /(<img\b[^>]*?\bsrc=)(["'])data:(image\/[a-z0-9.+-]+);base64,([^"']+)\2/gi;
+
+/**
+ * Remplace les images en data URI par des références cid: et retourne
+ * les pièces jointes inline correspondantes (multipart/related)
+ */
+export const extractDataUriImages = (html) => {
+  const attachments = [];
+
+  const rewritten = html.replace(DATA_URI_IMAGE, (match, prefix, quote, contentType, base64) => {
+    const index = attachments.length + 1;
+    const cid = `image-${index}@mjml-api`;
+    const extension = contentType.split('/')[1].replace('+xml', '').replace('jpeg', 'jpg');
+
+    attachments.push({
+      cid,
+      filename: `image-${index}.${extension}`,
+      contentType,
+      content: Buffer.from(base64, 'base64'),
+      contentDisposition: 'inline',
+    });
+
+    return `${prefix}${quote}cid:${cid}${quote}`;
+  });
+
+  return { html: rewritten, attachments };
+};
+
+/**
+ * Construit un message RFC 5322 multipart/alternative (text + html).
+ * Les images cid: (fournies dans attachments ou issues de data URIs)
+ * sont jointes en multipart/related avec la partie HTML.
+ *
+ * headers: { from, to, subject, replyTo?, cc? }
+ * attachments: Array<{ cid, filename?, contentType?, content: base64 string }>
+ */
+export const buildEml = ({
+  headers,
+  html,
+  text,
+  attachments = [],
+}) => {
+  const inlined = extractDataUriImages(html);
+
+  const mail = new MailComposer({
+    from: headers.from,
+    to: headers.to,
+    cc: headers.cc,
+    replyTo: headers.replyTo,
+    subject: headers.subject,
+    html: inlined.html,
+    text,
+    attachments: [
+      ...attachments.map(({ cid, filename, contentType, content }) => ({
+        cid,
+        filename: filename ?? cid,
+        contentType,
+        content: Buffer.from(content, 'base64'),
+        contentDisposition: 'inline',
+      })),
+      ...inlined.attachments,
+    ],
+  });
+
+  return new Promise((resolve, reject) => {
+    mail.compile().build((error, message) => (error ? reject(error) : resolve(message)));
+  });
+};
@@ -0,0 +1,190 @@
+import { readdir, readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { IntlMessageFormat } from 'intl-messageformat';
+
+// Écritures de droite à gauche (sous-tag de script ISO 15924)
+const RTL_SCRIPTS = new Set(['Adlm', 'Arab', 'Hebr', 'Mand', 'Nkoo', 'Rohg', 'Samr', 'Syrc', 'Thaa']);
+
+const MAX_CACHED_FORMATS = 1000;
+
+/**
+ * Lit la configuration des traductions :
+ * - I18N_DIR : dossier des catalogues <locale>.json (traductions désactivées si vide)
+ * - I18N_DEFAULT_LOCALE : catalogue utilisé pour les clés absentes des autres
+ */
+export const loadI18nConfig = (env = process.env) => ({
+  directory: env.I18N_DIR || null,
+  defaultLocale: env.I18N_DEFAULT_LOCALE || null,
+});
+
+/**
+ * Locale BCP 47 canonique (fr-ca -> fr-CA), ou null si elle est invalide
+ */
+export const canonicalLocale = (locale) => {
+  try {
+    return Intl.getCanonicalLocales(locale)[0] ?? null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Sens d'écriture d'une locale, d'après son script (explicite ou probable : ar -> Arab)
+ */
+export const textDirection = (locale) => {
+  const { script } = new Intl.Locale(locale).maximize();
+  return RTL_SCRIPTS.has(script) ? 'rtl' : 'ltr';
+};
+
+/**
+ * Ajoute lang et dir sur la balise <mjml> (sauf s'ils y sont déjà) :
+ * mjml les reporte sur la balise <html> du rendu.
+ */
+export const setDocumentLocale = (mjml, locale) => mjml.replace(/<mjml\b[^>]*>/, (tag) => {
+  const attributes = [['lang', locale], ['dir', textDirection(locale)]]
+    .filter(([name]) => !new RegExp(`\\s${name}\\s*=`).test(tag))
+    .map(([name, value]) => ` ${name}="${value}"`)
+    .join('');
+
+  return `<mjml${attributes}${tag.slice('<mjml'.length)}`;
+});
+
+// ============ CATALOGUES ============
+
+/**
+ * Aplatit un catalogue imbriqué : { welcome: { title: '...' } } -> { 'welcome.title': '...' }
+ */
+const flattenMessages = (messages, prefix = '') => Object.entries(messages).flatMap(([key, value]) => {
+  const name = `${prefix}${key}`;
+
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    return flattenMessages(value, `${name}.`);
+  }
+  if (typeof value !== 'string') {
+    throw new Error(`Message "${name}" must be a string`);
+  }
+  return [[name, value]];
+});
+
+/**
+ * Charge les catalogues <locale>.json d'un dossier : Map(locale canonique -> { clé: message ICU }).
+ * Les messages sont analysés au chargement : une erreur de syntaxe empêche le démarrage.
+ */
+export const loadCatalogs = async (directory) => {
+  const files = (await readdir(directory)).filter((file) => file.endsWith('.json')).sort();
+  const catalogs = new Map();
+
+  for (const file of files) {
+    const locale = canonicalLocale(path.basename(file, '.json'));
+    if (!locale) {
+      throw new Error(`${file}: file name is not a valid locale`);
+    }
+
+    const messages = Object.fromEntries(flattenMessages(JSON.parse(await readFile(path.join(directory, file), 'utf8'))));
+
+    for (const [key, message] of Object.entries(messages)) {
+      try {
+        new IntlMessageFormat(message, locale, undefined, { ignoreTag: true });
+      } catch (error) {
+        throw new Error(`${file}: invalid message "${key}" (${error.message})`);
+      }
+    }
+
+    catalogs.set(locale, messages);
+  }
+
+  return catalogs;
+};
+
+/**
+ * Catalogues de traduction chargés depuis `directory`.
+ * resolve('fr-CA') fusionne le catalogue par défaut, fr puis fr-CA (le plus précis l'emporte).
+ */
+export const createI18n = ({ directory, defaultLocale }) => {
+  let catalogs = new Map();
+
+  return {
+    enabled: directory !== null,
+
+    /**
+     * (Re)charge les catalogues ; retourne les locales disponibles
+     */
+    async load() {
+      catalogs = await loadCatalogs(directory);
+      return this.locales();
+    },
+
+    locales: () => [...catalogs.keys()].sort(),
+
+    /**
+     * Retourne { locale, messages } ou null si aucun catalogue ne correspond à la locale
+     */
+    resolve(requested) {
+      const locale = canonicalLocale(requested);
+      if (!locale) {
+        return null;
+      }
+
+      // fr-CA -> fr-CA, fr ; zh-Hant-TW -> zh-Hant-TW, zh-Hant, zh
+      const subtags = locale.split('-');
+      const candidates = subtags.map((_, index) => subtags.slice(0, subtags.length - index).join('-'));
+      const matching = candidates.filter((candidate) => catalogs.has(candidate));
+
+      if (matching.length === 0) {
+        return null;
+      }
+
+      const fallback = defaultLocale ? catalogs.get(canonicalLocale(defaultLocale)) : undefined;
+      const messages = Object.assign({}, fallback, ...matching.reverse().map((candidate) => catalogs.get(candidate)));
+
+      return { locale, messages };
+    },
+  };
+};
+
+// ============ FORMATAGE ============
+
+// Les dates arrivent en JSON sous forme de chaînes ISO 8601
+const formatters = {
+  getNumberFormat: (locales, options) => new Intl.NumberFormat(locales, options),
+  getPluralRules: (locales, options) => new Intl.PluralRules(locales, options),
+  getDateTimeFormat: (locales, options) => {
+    const format = new Intl.DateTimeFormat(locales, options);
+    return { format: (value) => format.format(typeof value === 'string' ? new Date(value) : value) };
+  },
+};
+
+// Messages compilés, par locale (chaque worker a le sien)
+const formats = new Map();
+
+const compile = (message, locale) => {
+  const cacheKey = `${locale}\u0000${message}`;
+  let format = formats.get(cacheKey);
+
+  if (!format) {
+    if (formats.size >= MAX_CACHED_FORMATS) {
+      formats.clear();
+    }
+    // ignoreTag : le HTML des messages est recopié tel quel
+    format = new IntlMessageFormat(message, locale, undefined, { formatters, ignoreTag: true });
+    formats.set(cacheKey, format);
+  }
+
+  return format;
+};
+
+/**
+ * Formate le message `key` (ICU : pluriels, select, dates, nombres) avec `values`.
+ * Lève une erreur si la clé est absente ou si une valeur manque.
+ */
+export const formatMessage = (messages, locale, key, values = {}) => {
+  if (typeof messages[key] !== 'string') {
+    throw new Error(`Missing message "${key}" for locale "${locale}"`);
+  }
+
+  try {
+    return String(compile(messages[key], locale).format(values));
+  } catch (error) {
+    throw new Error(`Message "${key}": ${error.message}`);
+  }
+};
@@ -0,0 +1,329 @@
+import { createHash } from 'node:crypto';
+import { readFile, realpath, stat } from 'node:fs/promises';
+import path from 'node:path';
+import sharp from 'sharp';
+
+export const IMAGE_EMBED_MODES = ['none', 'inline', 'cid'];
+
+// Au-delà, le fichier n'est pas lu (ce n'est pas une image d'email)
+const MAX_SOURCE_BYTES = 10 * 1024 * 1024;
+
+const CONTENT_TYPES = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  svg: 'image/svg+xml',
+};
+
+export const imagesSchema = {
+  type: 'object',
+  additionalProperties: false,
+  description: 'mj-image processing for local assets (IMAGES_DIR) and data URIs',
+  properties: {
+    embed: {
+      type: 'string',
+      enum: IMAGE_EMBED_MODES,
+      description: 'none (default): keep URLs; inline: data URIs; cid: cid: references with the images as attachments',
+    },
+    fillDimensions: {
+      type: 'boolean',
+      description: 'Fill missing width (and height, with an explicit width) from the image (default: true)',
+    },
+    srcset: {
+      type: 'boolean',
+      description: 'Generate 1x/2x variants for embedded images with an explicit width',
+    },
+  },
+};
+
+/**
+ * Lit la configuration des images :
+ * - IMAGES_DIR : dossier des images référencées par un chemin relatif (src="img/logo.png")
+ * - IMAGES_BASE_URL : URL publique de IMAGES_DIR, pour les images non embarquées
+ * - IMAGES_MAX_BYTES : taille au-delà de laquelle une image est signalée (défaut : 200 Ko)
+ */
+export const loadImagesConfig = (env = process.env) => ({
+  directory: env.IMAGES_DIR ? path.resolve(env.IMAGES_DIR) : null,
+  baseUrl: env.IMAGES_BASE_URL ? env.IMAGES_BASE_URL.replace(/\/+$/, '') : null,
+  maxBytes: parseInt(env.IMAGES_MAX_BYTES || String(200 * 1024), 10),
+});
+
+/**
+ * Options d'images d'une requête complétées par la configuration, ou undefined sans images demandé
+ */
+export const resolveImages = (requested, config) => (requested
+  ? {
+    ...config,
+    embed: requested.embed ?? 'none',
+    fillDimensions: requested.fillDimensions ?? true,
+    srcset: requested.srcset ?? false,
+  }
+  : undefined);
+
+// ============ OUTILS ============
+
+const IMAGE_TAG = /<mj-image\b(\s[^>]*?)?(\/?)>/g;
+const ATTRIBUTE = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+const DATA_URI = /^data:(image\/[a-z0-9.+-]+);base64,([a-z0-9+/=\s]+)$/i;
+const PIXELS = /^(\d+)(?:px)?$/;
+
+class ImageFailure extends Error {}
+
+const lineAt = (source, offset) => source.slice(0, offset).split('\n').length;
+
+const parseAttributes = (source) => Object.fromEntries(
+  [...source.matchAll(ATTRIBUTE)].map((match) => [match[1], match[2] ?? match[3]]),
+);
+
+const setAttribute = (attributes, name, value) => {
+  const existing = new RegExp(`(\\s${name}\\s*=\\s*)(?:"[^"]*"|'[^']*')`);
+  return existing.test(attributes)
+    ? attributes.replace(existing, (_, prefix) => `${prefix}"${value}"`)
+    : attributes.replace(/\s*$/, (space) => ` ${name}="${value}"${space}`);
+};
+
+const kilobytes = (bytes) => `${Math.round(bytes / 1024)} KB`;
+
+// Les data URIs sont abrégées dans les rapports
+const describeSource = (src) => (src.startsWith('data:') ? `${src.slice(0, src.indexOf(',') + 1)}...` : src);
+
+/**
+ * Contenu d'une image locale ou en data URI ; null pour une URL distante (non téléchargée)
+ */
+const loadSource = async (src, { directory }) => {
+  const dataUri = DATA_URI.exec(src);
+  if (dataUri) {
+    return { content: Buffer.from(dataUri[2], 'base64'), name: 'image' };
+  }
+
+  if (src.startsWith('data:')) {
+    throw new ImageFailure('Only base64 image data URIs are supported');
+  }
+
+  // http:, https:, cid:, //cdn... : laissées telles quelles
+  if (/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(src)) {
+    return null;
+  }
+
+  if (!directory) {
+    throw new ImageFailure(`Local image "${src}" needs IMAGES_DIR`);
+  }
+
+  let relative;
+  try {
+    relative = decodeURIComponent(src.split(/[?#]/)[0]);
+  } catch {
+    throw new ImageFailure(`Image path "${src}" is not a valid URI`);
+  }
+
+  const file = path.resolve(directory, relative.replace(/^\/+/, ''));
+
+  if (path.relative(directory, file).startsWith('..')) {
+    throw new ImageFailure(`Image "${src}" is outside IMAGES_DIR`);
+  }
+
+  try {
+    // Liens symboliques compris : le fichier réel doit rester sous IMAGES_DIR
+    const realDirectory = await realpath(directory);
+    if (!(await realpath(file)).startsWith(`${realDirectory}${path.sep}`)) {
+      throw new ImageFailure(`Image "${src}" is outside IMAGES_DIR`);
+    }
+
+    if ((await stat(file)).size > MAX_SOURCE_BYTES) {
+      throw new ImageFailure(`Image "${src}" is larger than ${kilobytes(MAX_SOURCE_BYTES)}`);
+    }
+    return { content: await readFile(file), name: path.basename(file, path.extname(file)), relative };
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'EISDIR') {
+      throw new ImageFailure(`Image "${src}" not found`);
+    }
+    throw error;
+  }
+};
+
+const readMetadata = async (src, content) => {
+  try {
+    const { width, height, format } = await sharp(content).metadata();
+    if (!CONTENT_TYPES[format] || !width || !height) {
+      throw new Error(`unsupported format ${format}`);
+    }
+    return { width, height, format };
+  } catch (error) {
+    throw new ImageFailure(`Image "${src}" cannot be read (${error.message})`);
+  }
+};
+
+/**
+ * Avertissements de taille : poids, image agrandie (floue), trop grande ou déformée
+ */
+const checkImage = ({
+  src, bytes, width, height,
+}, { displayWidth, displayHeight }, { maxBytes, srcset }) => {
+  const warnings = [];
+  const name = describeSource(src);
+
+  if (bytes > maxBytes) {
+    warnings.push(`"${name}" is ${kilobytes(bytes)} (max ${kilobytes(maxBytes)})`);
+  }
+  if (displayWidth && width < displayWidth) {
+    warnings.push(`"${name}" is ${width}px wide but displayed at ${displayWidth}px: it will look blurry`);
+  }
+  if (displayWidth && width > displayWidth * 2 && !srcset) {
+    warnings.push(`"${name}" is ${width}px wide for ${displayWidth}px: resize it to ${displayWidth * 2}px`);
+  }
+  if (displayWidth && displayHeight && Math.abs(displayWidth / displayHeight - width / height) > 0.02 * (width / height)) {
+    warnings.push(`"${name}" is ${width}x${height} but displayed at ${displayWidth}x${displayHeight}: it will be distorted`);
+  }
+
+  return warnings;
+};
+
+// ============ TRAITEMENT ============
+
+/**
+ * Traite les mj-image de mj-body (après fusion des données) :
+ * lit les images locales (IMAGES_DIR) et en data URI, complète width/height,
+ * signale les images trop lourdes ou mal dimensionnées, génère les variantes 1x/2x (srcset)
+ * et embarque les images en data URI ou en cid: selon options.embed.
+ *
+ * Retourne { success: true, mjml, images, attachments } ou l'erreur IMAGE_ERROR au format des rendus.
+ */
+export const processImages = async (mjml, options) => {
+  const bodyStart = mjml.search(/<mj-body\b/);
+  if (bodyStart === -1) {
+    return {
+      success: true, mjml, images: [], attachments: [],
+    };
+  }
+
+  const tags = [...mjml.slice(bodyStart).matchAll(IMAGE_TAG)];
+  const images = [];
+  const attachments = [];
+  const errors = [];
+  const embedded = new Map();
+
+  // Référence (data URI ou cid:) d'un contenu, ajouté une seule fois aux pièces jointes
+  const embed = (content, format, filename) => {
+    const hash = createHash('sha256').update(content).digest('hex').slice(0, 12);
+    if (!embedded.has(hash)) {
+      const contentType = CONTENT_TYPES[format];
+
+      if (options.embed === 'inline') {
+        embedded.set(hash, `data:${contentType};base64,${content.toString('base64')}`);
+      } else {
+        const cid = `${filename.replace(/[^\w.-]/g, '_')}-${hash}@mjml-api`;
+        attachments.push({
+          cid,
+          filename: `${filename}.${format === 'jpeg' ? 'jpg' : format}`,
+          contentType,
+          content: content.toString('base64'),
+        });
+        embedded.set(hash, `cid:${cid}`);
+      }
+    }
+    return embedded.get(hash);
+  };
+
+  const replacements = [];
+
+  for (const match of tags) {
+    const [tag, attributes = '', selfClosing] = match;
+    const { src, width: widthAttribute, height: heightAttribute } = parseAttributes(attributes);
+
+    if (!src) {
+      continue;
+    }
+
+    try {
+      const source = await loadSource(src.trim(), options);
+      if (!source) {
+        continue;
+      }
+
+      const { width, height, format } = await readMetadata(src, source.content);
+      const displayWidth = PIXELS.test(widthAttribute ?? '') ? parseInt(widthAttribute, 10) : null;
+      const displayHeight = PIXELS.test(heightAttribute ?? '') ? parseInt(heightAttribute, 10) : null;
+
+      let updated = attributes;
+      const filled = [];
+
+      if (options.fillDimensions && !widthAttribute) {
+        updated = setAttribute(updated, 'width', `${width}px`);
+        filled.push('width');
+      }
+      // Sans largeur explicite, la hauteur reste auto : mjml réduit l'image à la largeur de la colonne
+      if (options.fillDimensions && displayWidth && !heightAttribute) {
+        updated = setAttribute(updated, 'height', `${Math.round((height * displayWidth) / width)}px`);
+        filled.push('height');
+      }
+
+      // Variantes 1x/2x : images matricielles fixes, affichées au plus à la moitié de leur largeur
+      const variants = options.srcset && options.embed !== 'none' && displayWidth
+        && width >= displayWidth * 2 && !['svg', 'gif'].includes(format);
+
+      if (variants) {
+        const [standard, retina] = await Promise.all([displayWidth, displayWidth * 2].map((size) => sharp(source.content)
+          .resize({ width: size })
+          .toBuffer()));
+
+        const standardSrc = embed(standard, format, `${source.name}-${displayWidth}w`);
+        const retinaSrc = embed(retina, format, `${source.name}-${displayWidth * 2}w`);
+
+        updated = setAttribute(updated, 'src', standardSrc);
+        updated = setAttribute(updated, 'srcset', `${standardSrc} 1x, ${retinaSrc} 2x`);
+      } else if (options.embed !== 'none') {
+        updated = setAttribute(updated, 'src', embed(source.content, format, source.name));
+      } else if (source.relative && options.baseUrl) {
+        updated = setAttribute(updated, 'src', `${options.baseUrl}/${source.relative.replace(/^\/+/, '').split('/').map(encodeURIComponent).join('/')}`);
+      }
+
+      images.push({
+        src: describeSource(src),
+        format,
+        width,
+        height,
+        bytes: source.content.length,
+        filled,
+        srcset: Boolean(variants),
+        warnings: checkImage({
+          src, bytes: source.content.length, width, height,
+        }, { displayWidth, displayHeight }, { ...options, srcset: variants }),
+      });
+
+      replacements.push({ tag, index: match.index, replacement: `<mj-image${updated}${selfClosing}>` });
+    } catch (error) {
+      if (!(error instanceof ImageFailure)) {
+        throw error;
+      }
+
+      errors.push({
+        line: lineAt(mjml, bodyStart + match.index),
+        message: error.message,
+        tagName: 'mj-image',
+      });
+    }
+  }
+
+  if (errors.length > 0) {
+    return {
+      success: false,
+      error: 'Image processing failed',
+      code: 'IMAGE_ERROR',
+      errors,
+    };
+  }
+
+  // Remplacements de la fin vers le début : les positions restent valides
+  const body = replacements.reduceRight(
+    (current, { tag, index, replacement }) => current.slice(0, index) + replacement + current.slice(index + tag.length),
+    mjml.slice(bodyStart),
+  );
+
+  return {
+    success: true,
+    mjml: mjml.slice(0, bodyStart) + body,
+    images,
+    attachments,
+  };
+};
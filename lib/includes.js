@@ -0,0 +1,389 @@
+import { readFile, realpath } from 'node:fs/promises';
+import path from 'node:path';
+
+// Même limite que renderMjml, appliquée pendant le développement des includes
+const MAX_EXPANDED_SIZE = 1024 * 1024;
+
+const TEMPLATE_PREFIX = 'template:';
+
+const INCLUDE_TAG = /<mj-include\b([^>]*?)\/?>(?:\s*<\/mj-include>)?/g;
+const ATTRIBUTE = /([\w-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+const COMMENT = /<!--[\s\S]*?-->/g;
+
+/**
+ * Lit la configuration des mj-include :
+ * - MJML_INCLUDES_DIR : racine des fichiers inclus (includes de fichiers désactivés si vide)
+ * - MJML_INCLUDE_MAX_DEPTH : profondeur max d'includes imbriqués
+ *
+ * Les templates du registre sont inclus avec path="template:<id>" ou "template:<id>@<version>".
+ */
+export const loadIncludesConfig = (env = process.env) => ({
+  directory: env.MJML_INCLUDES_DIR || null,
+  maxDepth: parseInt(env.MJML_INCLUDE_MAX_DEPTH || '5', 10),
+});
+
+const lineAt = (source, offset) => source.slice(0, offset).split('\n').length;
+
+const parseAttributes = (source) => Object.fromEntries(
+  [...source.matchAll(ATTRIBUTE)].map((match) => [match[1], match[2] ?? match[3]]),
+);
+
+const innerOf = (source, tagName) => {
+  const match = source.match(new RegExp(`<${tagName}\\b[^>]*>([\\s\\S]*?)</${tagName}>`));
+  return match ? { content: match[1], offset: match.index + match[0].indexOf('>') + 1 } : null;
+};
+
+/**
+ * Erreur au format des errors[] de rendu, sur la balise mj-include
+ */
+const includeError = ({ line, file }, include, message) => ({
+  line,
+  message,
+  tagName: 'mj-include',
+  include,
+  ...(file ? { file } : {}),
+});
+
+class IncludeFailure extends Error {}
+
+/**
+ * Chemin d'un mj-include, encodé en URL comme le fait mjml
+ */
+const decodeIncludePath = (include) => {
+  try {
+    return decodeURIComponent(include);
+  } catch {
+    throw new IncludeFailure(`Include path "${include}" is not a valid URI`);
+  }
+};
+
+/**
+ * Résolution des mj-include, hors de mjml-parser-xml qui lit n'importe quel chemin du disque.
+ *
+ * Les includes de fichiers sont résolus sous `directory` (relatifs au fichier qui les inclut,
+ * liens symboliques compris) ; les includes "template:<id>" viennent du registre.
+ * Le résultat est un seul source MJML, rendu ensuite avec ignoreIncludes.
+ */
+export const createIncludeResolver = ({ directory, maxDepth, templateStore }) => {
+  const root = directory ? path.resolve(directory) : null;
+  let realRoot = null;
+
+  const readTemplate = async (include) => {
+    if (!templateStore) {
+      throw new IncludeFailure('Template includes are not available');
+    }
+
+    const [, id, version] = include.slice(TEMPLATE_PREFIX.length).match(/^([^@]+)(?:@(\d+))?$/) || [];
+    if (!id || !templateStore.isValidId(id)) {
+      throw new IncludeFailure(`Invalid template include "${include}" (expected template:<id> or template:<id>@<version>)`);
+    }
+
+    const entry = await templateStore.getVersion(id, version === undefined ? undefined : parseInt(version, 10));
+    if (!entry) {
+      throw new IncludeFailure(`Included template "${include}" not found`);
+    }
+
+    return { file: include, source: entry.mjml };
+  };
+
+  const readIncludeFile = async (include, from) => {
+    if (!root) {
+      throw new IncludeFailure('File includes are disabled (MJML_INCLUDES_DIR is not set)');
+    }
+
+    const normalized = include.replace(/\\/g, '/');
+    if (path.posix.isAbsolute(normalized)) {
+      throw new IncludeFailure(`Include path "${include}" must be relative`);
+    }
+
+    // Relatif au fichier qui inclut ; le template principal et le registre sont à la racine
+    const base = from && !from.startsWith(TEMPLATE_PREFIX) ? path.posix.dirname(from) : '.';
+    const file = path.posix.join(base, normalized);
+    if (file === '..' || file.startsWith('../')) {
+      throw new IncludeFailure(`Include path "${include}" is outside the include root`);
+    }
+
+    let real;
+    try {
+      realRoot = realRoot ?? await realpath(root);
+      real = await realpath(path.join(root, file));
+    } catch (error) {
+      throw new IncludeFailure(error.code === 'ENOENT'
+        ? `Included file "${file}" not found`
+        : `Included file "${file}" cannot be read: ${error.code || error.message}`);
+    }
+
+    if (!real.startsWith(`${realRoot}${path.sep}`)) {
+      throw new IncludeFailure(`Include path "${include}" is outside the include root`);
+    }
+
+    try {
+      return { file, source: await readFile(real, 'utf8') };
+    } catch (error) {
+      throw new IncludeFailure(`Included file "${file}" cannot be read: ${error.code || error.message}`);
+    }
+  };
+
+  /**
+   * Développe `source` (venant de `file`, null pour le template principal) en morceaux
+   * { text, file, line } ; les morceaux de mj-head des includes vont dans `head`.
+   */
+  const expandSource = async (source, file, context) => {
+    const pieces = [];
+    const errors = [];
+    const comments = [...source.matchAll(COMMENT)].map((m) => [m.index, m.index + m[0].length]);
+    let cursor = 0;
+
+    const push = (text, line) => {
+      context.size += text.length;
+      if (context.size > MAX_EXPANDED_SIZE) {
+        throw new IncludeFailure('MJML content with includes is too large (max 1MB)');
+      }
+      pieces.push({ text, file, line });
+    };
+
+    for (const match of source.matchAll(INCLUDE_TAG)) {
+      if (comments.some(([start, end]) => match.index >= start && match.index < end)) {
+        continue;
+      }
+
+      const location = { line: lineAt(source, match.index), file };
+      const attributes = parseAttributes(match[1]);
+      let include = attributes.path || '';
+
+      push(source.slice(cursor, match.index), lineAt(source, cursor));
+      cursor = match.index + match[0].length;
+
+      try {
+        if (!include) {
+          throw new IncludeFailure('mj-include needs a path attribute');
+        }
+        include = decodeIncludePath(include);
+        if (context.stack.length > maxDepth) {
+          throw new IncludeFailure(`Include depth exceeds ${maxDepth}`);
+        }
+
+        const included = include.startsWith(TEMPLATE_PREFIX)
+          ? await readTemplate(include)
+          : await readIncludeFile(include, file);
+
+        if (context.stack.includes(included.file)) {
+          throw new IncludeFailure(`Circular include: ${[...context.stack, included.file].filter(Boolean).join(' -> ')}`);
+        }
+
+        const nested = { ...context, stack: [...context.stack, included.file] };
+
+        if (attributes.type === 'css') {
+          const inline = attributes['css-inline'] === 'inline' ? ' inline="inline"' : '';
+          context.head.push(
+            { text: `<mj-style${inline}>\n`, file: null },
+            { text: included.source, file: included.file, line: 1 },
+            { text: '\n</mj-style>', file: null },
+          );
+          context.size += included.source.length;
+        } else if (attributes.type === 'html') {
+          pieces.push(
+            { text: '<mj-raw>\n', file: null },
+            { text: included.source, file: included.file, line: 1 },
+            { text: '\n</mj-raw>', file: null },
+          );
+          context.size += included.source.length;
+        } else if (!/<mjml[\s>]/.test(included.source)) {
+          // Fragment (mj-section...) : inséré à la place de la balise, comme le fait mjml
+          pieces.push(
+            { text: '\n', file: null },
+            ...await expandSource(included.source, included.file, nested),
+            { text: '\n', file: null },
+          );
+        } else {
+          // Document complet : le contenu de mj-body sur place, celui de mj-head à la fin du mj-head principal
+          const body = innerOf(included.source, 'mj-body');
+          const head = innerOf(included.source, 'mj-head');
+
+          if (body) {
+            const bodyPieces = await expandSource(body.content, included.file, nested);
+            const offset = lineAt(included.source, body.offset) - 1;
+            pieces.push(
+              { text: '\n', file: null },
+              ...bodyPieces.map((p) => (p.line ? { ...p, line: p.line + offset } : p)),
+              { text: '\n', file: null },
+            );
+          }
+          if (head) {
+            const headPieces = await expandSource(head.content, included.file, nested);
+            const offset = lineAt(included.source, head.offset) - 1;
+            context.head.push(...headPieces.map((p) => (p.line ? { ...p, line: p.line + offset } : p)));
+          }
+        }
+      } catch (error) {
+        if (!(error instanceof IncludeFailure)) {
+          throw error;
+        }
+        if (error.errors) {
+          errors.push(...error.errors);
+        } else {
+          errors.push(includeError(location, include, error.message));
+        }
+      }
+    }
+
+    push(source.slice(cursor), lineAt(source, cursor));
+
+    if (errors.length > 0) {
+      throw Object.assign(new IncludeFailure(errors[0].message), { errors });
+    }
+
+    return pieces;
+  };
+
+  /**
+   * Insère les morceaux de mj-head des includes à la fin du mj-head principal (créé si absent)
+   */
+  const mergeHead = (pieces, head) => {
+    // Coupe un morceau du template principal à la position `at` et insère `inserted`
+    const insertAt = (index, at, inserted) => {
+      const piece = pieces[index];
+      const before = piece.text.slice(0, at);
+
+      return [
+        ...pieces.slice(0, index),
+        { ...piece, text: before },
+        ...inserted,
+        { ...piece, text: piece.text.slice(at), line: piece.line + before.split('\n').length - 1 },
+        ...pieces.slice(index + 1),
+      ];
+    };
+    const isRoot = (piece) => piece.file === null && piece.line;
+
+    if (head.length === 0) {
+      return pieces;
+    }
+
+    const closing = pieces.findIndex((p) => isRoot(p) && p.text.includes('</mj-head>'));
+    if (closing !== -1) {
+      return insertAt(closing, pieces[closing].text.indexOf('</mj-head>'), [
+        { text: '\n', file: null },
+        ...head,
+        { text: '\n', file: null },
+      ]);
+    }
+
+    const opening = pieces.findIndex((p) => isRoot(p) && /<mjml\b[^>]*>/.test(p.text));
+    if (opening === -1) {
+      return pieces;
+    }
+
+    const tag = pieces[opening].text.match(/<mjml\b[^>]*>/);
+    return insertAt(opening, tag.index + tag[0].length, [
+      { text: '<mj-head>\n', file: null },
+      ...head,
+      { text: '\n</mj-head>', file: null },
+    ]);
+  };
+
+  /**
+   * Assemble les morceaux en un source et une table de correspondance des lignes :
+   * segments [{ start, file, line }] (start : ligne du source assemblé)
+   */
+  const assemble = (pieces) => {
+    const segments = [];
+    let text = '';
+    let current = 1;
+
+    pieces.forEach((piece) => {
+      if (piece.line) {
+        const last = segments[segments.length - 1];
+        const continues = last && last.file === piece.file && last.line + (current - last.start) === piece.line;
+        if (!continues) {
+          segments.push({ start: current, file: piece.file, line: piece.line });
+        }
+      }
+
+      text += piece.text;
+      current += piece.text.split('\n').length - 1;
+    });
+
+    return { mjml: text, lines: segments };
+  };
+
+  return {
+    /**
+     * Développe les mj-include de mjml.
+     *
+     * Retourne { success: true, mjml, lines? } (lines absent sans include) ou
+     * { success: false, error, code: 'INCLUDE_ERROR', errors: [{ line, message, tagName, include, file? }] }
+     */
+    async expand(mjml) {
+      if (!mjml.includes('<mj-include')) {
+        return { success: true, mjml };
+      }
+
+      const context = { stack: [null], head: [], size: 0 };
+
+      try {
+        const pieces = await expandSource(mjml, null, context);
+        if (!pieces.some((p) => p.file !== null)) {
+          return { success: true, mjml };
+        }
+
+        return { success: true, ...assemble(mergeHead(pieces, context.head)) };
+      } catch (error) {
+        if (!(error instanceof IncludeFailure)) {
+          throw error;
+        }
+
+        return {
+          success: false,
+          error: error.errors?.length > 1 ? `${error.errors.length} includes failed` : error.message,
+          code: 'INCLUDE_ERROR',
+          errors: error.errors ?? [{ line: null, message: error.message, tagName: 'mj-include' }],
+        };
+      }
+    },
+  };
+};
+
+/**
+ * Rapporte les lignes d'un résultat (errors[], findings[] ou tableau d'erreurs) au fichier
+ * d'origine : { line, file } pour une ligne venant d'un include, line seule sinon.
+ */
+export const mapIncludeLines = (result, lines) => {
+  if (!lines) {
+    return result;
+  }
+
+  const origin = (line) => {
+    if (!line) {
+      return { line };
+    }
+
+    let segment = null;
+    for (const candidate of lines) {
+      if (candidate.start > line) {
+        break;
+      }
+      segment = candidate;
+    }
+
+    if (!segment) {
+      return { line };
+    }
+
+    return {
+      line: segment.line + (line - segment.start),
+      ...(segment.file ? { file: segment.file } : {}),
+    };
+  };
+
+  const map = (items) => items.map((item) => ({ ...item, ...origin(item.line) }));
+
+  if (Array.isArray(result)) {
+    return map(result);
+  }
+
+  return {
+    ...result,
+    ...(result.errors ? { errors: map(result.errors) } : {}),
+    ...(result.findings ? { findings: map(result.findings) } : {}),
+  };
+};
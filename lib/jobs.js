@@ -0,0 +1,567 @@
+import { createHmac, randomUUID } from 'node:crypto';
+import { createReadStream } from 'node:fs';
+import {
+  appendFile,
+  mkdir,
+  readdir,
+  readFile,
+  rename,
+  rm,
+  stat,
+  truncate,
+  writeFile,
+} from 'node:fs/promises';
+import http from 'node:http';
+import https from 'node:https';
+import path from 'node:path';
+import { createInterface } from 'node:readline';
+import { resolvePublicUrl } from './network.js';
+
+const JOB_ID_PATTERN = /^[0-9a-f-]{36}$/;
+const POOL_BUSY_DELAY_MS = 500;
+// Intervalle entre deux purges des jobs expirés
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => { setTimeout(resolve, ms); });
+
+/**
+ * Lit un fichier NDJSON ligne par ligne (lignes vides ignorées)
+ */
+async function* readNdjson(file) {
+  const lines = createInterface({ input: createReadStream(file), crlfDelay: Infinity });
+
+  for await (const line of lines) {
+    if (line.trim()) {
+      yield JSON.parse(line);
+    }
+  }
+}
+
+/**
+ * Lit la configuration des jobs depuis l'environnement :
+ * - JOBS_DIR : répertoire de persistance (défaut ./data/jobs)
+ * - JOBS_MAX_ITEMS, JOBS_BODY_LIMIT : taille maximale d'un job
+ * - JOBS_CONCURRENCY : items rendus en parallèle par job
+ * - JOBS_CALLBACK_SECRET : secret HMAC des callbacks
+ * - JOBS_CALLBACK_HOSTS : hôtes de callback autorisés, séparés par des virgules (*.example.com pour les
+ *   sous-domaines) ; sans liste, les callbacks doivent être en https vers une adresse publique
+ * - JOBS_RETENTION_MS : durée de conservation des jobs terminés (défaut 7 jours)
+ */
+export const loadJobsConfig = (env = process.env) => ({
+  directory: env.JOBS_DIR || './data/jobs',
+  maxItems: parseInt(env.JOBS_MAX_ITEMS || '10000', 10),
+  bodyLimit: parseInt(env.JOBS_BODY_LIMIT || String(50 * 1024 * 1024), 10),
+  concurrency: parseInt(env.JOBS_CONCURRENCY || '4', 10),
+  callbackSecret: env.JOBS_CALLBACK_SECRET || null,
+  callbackHosts: (env.JOBS_CALLBACK_HOSTS || '').split(',').map((host) => host.trim().toLowerCase()).filter(Boolean),
+  retention: parseInt(env.JOBS_RETENTION_MS || String(7 * 24 * 60 * 60 * 1000), 10),
+});
+
+/**
+ * Résout une URL de callback : hôte de callbackHosts (http ou https), ou à défaut
+ * https vers une adresse publique, dont les adresses vérifiées sont fixées (voir resolvePublicUrl).
+ * Retourne { refused } avec la raison du refus, ou { lookup } (absent pour callbackHosts).
+ */
+const resolveCallbackUrl = async (value, { callbackHosts = [] } = {}) => {
+  if (callbackHosts.length === 0) {
+    return resolvePublicUrl(value, { protocols: ['https:'] });
+  }
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return { refused: 'invalid URL' };
+  }
+
+  const host = url.hostname.toLowerCase();
+  const allowed = callbackHosts.some((pattern) => (pattern.startsWith('*.')
+    ? host.endsWith(pattern.slice(1))
+    : host === pattern));
+
+  if (!['http:', 'https:'].includes(url.protocol) || !allowed) {
+    return { refused: `host ${host} is not in JOBS_CALLBACK_HOSTS` };
+  }
+  return {};
+};
+
+/**
+ * Vérifie une URL de callback (voir resolveCallbackUrl). Retourne null, ou la raison du refus.
+ */
+export const checkCallbackUrl = async (value, options) => (await resolveCallbackUrl(value, options)).refused ?? null;
+
+/**
+ * POST d'un callback ; contrairement à fetch, http.request accepte un lookup, qui fixe l'adresse
+ * de connexion. Les redirections ne sont pas suivies : elles pourraient mener vers une adresse interne.
+ * Résout le code de statut de la réponse.
+ */
+const postCallback = (url, { headers, body, lookup }) => new Promise((resolve, reject) => {
+  const request = (url.startsWith('https:') ? https : http).request(url, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    lookup,
+    signal: AbortSignal.timeout(10000),
+  }, (response) => {
+    response.resume();
+    response.on('end', () => resolve(response.statusCode));
+    response.on('error', reject);
+  });
+
+  request.on('error', reject);
+  request.end(body);
+});
+
+/**
+ * Signature HMAC des callbacks : sha256 de "<timestamp>.<body>"
+ */
+export const signCallback = (secret, timestamp, body) => createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+/**
+ * Vue publique d'un job
+ */
+export const describeJob = (job) => ({
+  id: job.id,
+  status: job.status,
+  summary: {
+    total: job.total,
+    processed: job.processed,
+    success: job.success,
+    failed: job.failed,
+  },
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  completedAt: job.completedAt,
+  error: job.error,
+  callback: job.callback,
+});
+
+/**
+ * Gestionnaire de jobs de rendu asynchrones.
+ *
+ * Chaque job est un répertoire : job.json (état), items.ndjson (entrée)
+ * et results.ndjson (résultats, ajoutés dans l'ordre des items).
+ * Les jobs interrompus par un redémarrage reprennent au premier item non traité.
+ * Les jobs terminés depuis plus de retention ms sont supprimés (au démarrage puis toutes les heures).
+ *
+ * render(payload) retourne le résultat de renderMjml pour { mjml, options }.
+ */
+export const createJobManager = ({
+  directory,
+  render,
+  concurrency = 4,
+  callbackSecret,
+  callbackHosts = [],
+  callbackRetries = 3,
+  retention = 7 * 24 * 60 * 60 * 1000,
+  log,
+}) => {
+  const jobs = new Map();
+  const queue = [];
+  let running = null;
+  let closed = false;
+  let purgeTimer = null;
+
+  const jobDir = (id) => path.join(directory, id);
+  const jobFile = (id, name) => path.join(jobDir(id), name);
+
+  const persist = async (job) => {
+    const tmp = jobFile(job.id, 'job.json.tmp');
+    await writeFile(tmp, JSON.stringify(job));
+    await rename(tmp, jobFile(job.id, 'job.json'));
+  };
+
+  // ============ CALLBACK ============
+
+  const sendCallback = async (job) => {
+    const body = JSON.stringify(describeJob(job));
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Job-Id': job.id,
+      'X-Signature-Timestamp': String(timestamp),
+    };
+
+    // Identifiant de la requête qui a créé le job
+    if (job.requestId) {
+      headers['X-Request-Id'] = job.requestId;
+    }
+
+    if (callbackSecret) {
+      headers['X-Signature'] = `sha256=${signCallback(callbackSecret, timestamp, body)}`;
+    }
+
+    for (let attempt = 1; attempt <= callbackRetries && !closed; attempt += 1) {
+      job.callback.attempts = attempt;
+
+      try {
+        // Vérifiée à chaque envoi : l'adresse DNS de l'hôte a pu changer depuis la création du job
+        const { refused, lookup } = await resolveCallbackUrl(job.callback.url, { callbackHosts });
+        if (refused) {
+          job.callback.error = `Callback URL refused: ${refused}`;
+          break;
+        }
+
+        const statusCode = await postCallback(job.callback.url, { headers, body, lookup });
+        job.callback.statusCode = statusCode;
+
+        if (statusCode >= 200 && statusCode < 300) {
+          job.callback.status = 'delivered';
+          return;
+        }
+      } catch (error) {
+        job.callback.error = error.message;
+      }
+
+      if (attempt < callbackRetries && !closed) {
+        await sleep(1000 * 2 ** (attempt - 1));
+      }
+    }
+
+    // Interrompu par l'arrêt du serveur : nouvel essai au redémarrage
+    if (closed) {
+      return;
+    }
+
+    job.callback.status = 'failed';
+    log?.warn({ jobId: job.id, requestId: job.requestId, url: job.callback.url }, 'Job callback failed');
+  };
+
+  /**
+   * Envoie le callback d'un job terminé (une seule fois, même après redémarrage)
+   */
+  const notify = (job) => {
+    if (!job.callback || job.callback.status) {
+      return;
+    }
+
+    sendCallback(job)
+      .then(() => persist(job))
+      .catch((error) => log?.error({ jobId: job.id, err: error }, 'Job callback error'));
+  };
+
+  // ============ RUNNER ============
+
+  const renderItem = async (job, item, index) => {
+    const id = item.id !== undefined ? item.id : index;
+    const payload = {
+      mjml: item.mjml ?? job.mjml,
+      options: {
+        data: item.data,
+        templateEngine: item.templateEngine ?? job.templateEngine,
+        partials: item.partials ?? job.partials,
+        locale: item.locale ?? job.locale,
+        mjmlOptions: job.mjmlOptions,
+        outputs: job.outputs,
+      },
+    };
+
+    try {
+      // Les jobs passent après le trafic interactif : on attend que le pool se libère
+      for (;;) {
+        try {
+          return { id, ...await render(payload) };
+        } catch (error) {
+          if (error.code !== 'POOL_BUSY' || closed) {
+            throw error;
+          }
+          await sleep(POOL_BUSY_DELAY_MS);
+        }
+      }
+    } catch (error) {
+      return {
+        id,
+        success: false,
+        error: error.message,
+        code: error.code === 'RENDER_TIMEOUT' ? error.code : 'PROCESSING_ERROR',
+      };
+    }
+  };
+
+  const runJob = async (job) => {
+    job.status = 'running';
+    job.startedAt = job.startedAt ?? new Date().toISOString();
+    await persist(job);
+
+    let index = 0;
+    let chunk = [];
+
+    const flush = async () => {
+      const results = await Promise.all(chunk);
+      await appendFile(jobFile(job.id, 'results.ndjson'), results.map((r) => `${JSON.stringify(r)}\n`).join(''));
+
+      job.processed += results.length;
+      job.success += results.filter((r) => r.success).length;
+      job.failed = job.processed - job.success;
+      chunk = [];
+      await persist(job);
+    };
+
+    for await (const item of readNdjson(jobFile(job.id, 'items.ndjson'))) {
+      if (closed) {
+        return;
+      }
+
+      // Items déjà traités avant un redémarrage
+      if (index >= job.processed) {
+        chunk.push(renderItem(job, item, index));
+        if (chunk.length >= concurrency) {
+          await flush();
+        }
+      }
+      index += 1;
+    }
+
+    if (chunk.length > 0) {
+      await flush();
+    }
+
+    job.status = 'completed';
+    job.completedAt = new Date().toISOString();
+    await persist(job);
+
+    log?.info({
+      jobId: job.id, requestId: job.requestId, success: job.success, failed: job.failed,
+    }, 'Render job completed');
+  };
+
+  const next = async () => {
+    if (running || closed) {
+      return;
+    }
+
+    const job = queue.shift();
+    if (!job) {
+      return;
+    }
+
+    running = runJob(job)
+      .catch(async (error) => {
+        job.status = 'failed';
+        job.error = error.message;
+        job.completedAt = new Date().toISOString();
+        await persist(job).catch(() => {});
+        log?.error({ jobId: job.id, requestId: job.requestId, err: error }, 'Render job failed');
+      })
+      .then(() => {
+        if (job.completedAt) {
+          notify(job);
+        }
+      });
+
+    await running;
+    running = null;
+    next();
+  };
+
+  const enqueue = (job) => {
+    queue.push(job);
+    next();
+  };
+
+  // ============ RESUME ============
+
+  /**
+   * Compte les résultats complets et supprime une éventuelle ligne tronquée
+   */
+  const recoverResults = async (id) => {
+    const file = jobFile(id, 'results.ndjson');
+    const content = await readFile(file, 'utf8').catch(() => '');
+    const complete = content.slice(0, content.lastIndexOf('\n') + 1);
+
+    if (complete.length !== content.length) {
+      await truncate(file, Buffer.byteLength(complete));
+    }
+
+    return complete.split('\n').filter(Boolean).map((line) => JSON.parse(line));
+  };
+
+  // ============ RETENTION ============
+
+  /**
+   * Supprime les jobs terminés depuis plus de retention ms (fichiers et entrée en mémoire)
+   */
+  const purgeExpired = async (now = Date.now()) => {
+    let purged = 0;
+
+    for (const [id, job] of jobs) {
+      if (job.completedAt && now - Date.parse(job.completedAt) > retention) {
+        jobs.delete(id);
+        await rm(jobDir(id), { recursive: true, force: true });
+        purged += 1;
+      }
+    }
+
+    if (purged > 0) {
+      log?.info({ purged }, 'Expired render jobs removed');
+    }
+    return purged;
+  };
+
+  return {
+    purgeExpired,
+
+    /**
+     * Recharge les jobs existants et relance ceux qui n'étaient pas terminés
+     */
+    async start() {
+      await mkdir(directory, { recursive: true });
+      const ids = (await readdir(directory)).filter((id) => JOB_ID_PATTERN.test(id));
+      const pending = [];
+
+      for (const id of ids) {
+        const job = JSON.parse(await readFile(jobFile(id, 'job.json'), 'utf8').catch(() => 'null'));
+        if (!job) {
+          continue;
+        }
+
+        if (job.status === 'queued' || job.status === 'running') {
+          const results = await recoverResults(id);
+          job.processed = results.length;
+          job.success = results.filter((r) => r.success).length;
+          job.failed = job.processed - job.success;
+          job.status = 'queued';
+          pending.push(job);
+        }
+
+        jobs.set(id, job);
+      }
+
+      // Callbacks restant à envoyer des jobs terminés et conservés
+      await purgeExpired();
+      jobs.forEach((job) => {
+        if (job.completedAt) {
+          notify(job);
+        }
+      });
+      purgeTimer = setInterval(() => {
+        purgeExpired().catch((error) => log?.error({ err: error }, 'Job purge error'));
+      }, PURGE_INTERVAL_MS);
+      purgeTimer.unref();
+
+      pending
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+        .forEach(enqueue);
+
+      return pending.length;
+    },
+
+    /**
+     * Enregistre un job et le met en file. items est un itérable (éventuellement async).
+     * requestId (requête de création) est repris dans les logs et l'en-tête X-Request-Id du callback.
+     * owner (nom de la clé d'API) limite la consultation du job à son créateur (voir les routes /jobs).
+     */
+    async submit({
+      items,
+      mjml,
+      templateEngine,
+      partials,
+      locale,
+      mjmlOptions,
+      outputs,
+      callbackUrl,
+      source,
+      requestId,
+      owner = null,
+    }) {
+      const id = randomUUID();
+      await mkdir(jobDir(id), { recursive: true });
+
+      let total = 0;
+      const lines = [];
+      for await (const item of items) {
+        lines.push(`${JSON.stringify(item)}\n`);
+        total += 1;
+      }
+      await writeFile(jobFile(id, 'items.ndjson'), lines.join(''));
+      await writeFile(jobFile(id, 'results.ndjson'), '');
+
+      const job = {
+        id,
+        status: 'queued',
+        total,
+        processed: 0,
+        success: 0,
+        failed: 0,
+        mjml,
+        templateEngine,
+        partials,
+        locale,
+        mjmlOptions,
+        outputs,
+        source,
+        requestId,
+        owner,
+        callback: callbackUrl ? { url: callbackUrl } : undefined,
+        createdAt: new Date().toISOString(),
+      };
+
+      await persist(job);
+      jobs.set(id, job);
+      enqueue(job);
+
+      return job;
+    },
+
+    get(id) {
+      return jobs.get(id) ?? null;
+    },
+
+    /**
+     * Page de résultats : { results, offset, limit, next }
+     */
+    async readResults(id, { offset = 0, limit = 100 } = {}) {
+      const results = [];
+      let index = 0;
+
+      for await (const result of readNdjson(jobFile(id, 'results.ndjson'))) {
+        if (index >= offset + limit) {
+          break;
+        }
+        if (index >= offset) {
+          results.push(result);
+        }
+        index += 1;
+      }
+
+      const job = jobs.get(id);
+      const nextOffset = offset + results.length;
+
+      return {
+        results,
+        offset,
+        limit,
+        next: nextOffset < job.total && results.length === limit ? nextOffset : null,
+      };
+    },
+
+    /**
+     * Flux brut des résultats (NDJSON)
+     */
+    async streamResults(id) {
+      await stat(jobFile(id, 'results.ndjson'));
+      return createReadStream(jobFile(id, 'results.ndjson'));
+    },
+
+    stats() {
+      const counts = {
+        queued: 0,
+        running: 0,
+        completed: 0,
+        failed: 0,
+      };
+      jobs.forEach((job) => { counts[job.status] += 1; });
+      return counts;
+    },
+
+    /**
+     * Arrête le traitement après le lot en cours ; le job reprendra au redémarrage
+     */
+    async close() {
+      closed = true;
+      clearInterval(purgeTimer);
+      await running;
+    },
+  };
+};
@@ -0,0 +1,193 @@
+import mjml2html from 'mjml';
+import {
+  contentLineResolver,
+  finding,
+  parseMjmlTree,
+  summarizeFindings,
+  walk,
+} from './mjml-tree.js';
+import { applyPresets } from './components.js';
+import { prepareSource } from './render.js';
+
+// Au-delà, Gmail tronque le message ("[Message clipped]")
+export const GMAIL_CLIP_BYTES = 102 * 1024;
+
+const MAX_WEB_FONTS = 2;
+
+/**
+ * Propriétés CSS mal supportées, par client
+ * (clé "propriété" ou "propriété:valeur")
+ */
+const UNSUPPORTED_CSS = {
+  position: ['outlook', 'gmail'],
+  float: ['outlook'],
+  'border-radius': ['outlook'],
+  'box-shadow': ['outlook'],
+  'text-shadow': ['outlook'],
+  'background-image': ['outlook'],
+  'max-width': ['outlook'],
+  'min-width': ['outlook'],
+  'max-height': ['outlook'],
+  opacity: ['outlook'],
+  'object-fit': ['outlook', 'gmail'],
+  transform: ['outlook', 'gmail'],
+  transition: ['outlook', 'gmail'],
+  animation: ['outlook', 'gmail'],
+  'display:flex': ['outlook', 'gmail'],
+  'display:grid': ['outlook', 'gmail'],
+};
+
+const CLIENT_NAMES = { outlook: 'Outlook', gmail: 'Gmail' };
+
+// Attributs MJML portant une URL
+const URL_ATTRIBUTES = ['href', 'src', 'background-url', 'url'];
+
+// ============ RULES ============
+
+const checkCss = (css, at, findings) => {
+  const declarations = /([a-z-]+)\s*:\s*([^;}"']+)/gi;
+
+  for (const match of css.matchAll(declarations)) {
+    const property = match[1].toLowerCase();
+    const value = match[2].trim().toLowerCase();
+    const key = UNSUPPORTED_CSS[`${property}:${value}`] ? `${property}:${value}` : property;
+    const clients = UNSUPPORTED_CSS[key];
+
+    if (clients) {
+      findings.push(finding('warning', 'unsupported-css', at(match.index), `CSS "${key.replace(':', ': ')}" is not supported by ${clients.map((c) => CLIENT_NAMES[c]).join(', ')}`, { clients }));
+    }
+  }
+};
+
+const checkHtmlContent = (content, at, findings) => {
+  for (const match of content.matchAll(/style\s*=\s*("([^"]*)"|'([^']*)')/gi)) {
+    const css = match[2] ?? match[3];
+    const offset = match.index + match[0].indexOf(css);
+    checkCss(css, (index) => at(offset + index), findings);
+  }
+
+  for (const match of content.matchAll(/<img\b[^>]*>/gi)) {
+    if (!/\balt\s*=/i.test(match[0])) {
+      findings.push(finding('warning', 'image-alt', { ...at(match.index), tagName: 'img' }, 'Image has no alt attribute'));
+    }
+  }
+
+  for (const match of content.matchAll(/\b(href|src)\s*=\s*["']?(http:\/\/[^"'\s>]+)/gi)) {
+    findings.push(finding('warning', 'insecure-url', at(match.index), `Non-HTTPS ${match[1] === 'src' ? 'image' : 'link'} URL: ${match[2]}`));
+  }
+};
+
+const lintTree = (tree, source) => {
+  const findings = [];
+  const contentLine = contentLineResolver(source);
+  let hasPreview = false;
+  let head = null;
+  const fonts = [];
+
+  walk(tree, (node) => {
+    const { tagName, attributes = {} } = node;
+    const at = (index) => ({ line: contentLine(node, index), tagName });
+
+    switch (tagName) {
+      case 'mj-head':
+        head = node;
+        break;
+      case 'mj-preview':
+        hasPreview = Boolean(node.content?.trim());
+        break;
+      case 'mj-font':
+        fonts.push({ node, name: attributes.name });
+        break;
+      case 'mj-image':
+        if (attributes.alt === undefined) {
+          findings.push(finding('warning', 'image-alt', node, 'mj-image has no alt attribute (use alt="" for decorative images)'));
+        }
+        break;
+      default:
+        break;
+    }
+
+    URL_ATTRIBUTES.forEach((name) => {
+      const value = attributes[name];
+      if (typeof value === 'string' && /^http:\/\//i.test(value)) {
+        findings.push(finding('warning', 'insecure-url', node, `Non-HTTPS URL in ${name}: ${value}`));
+      }
+    });
+
+    if (!node.content) {
+      return;
+    }
+
+    if (tagName === 'mj-style') {
+      checkCss(node.content, at, findings);
+
+      for (const match of node.content.matchAll(/@import\s+url\(\s*['"]?([^'")]+)|@font-face/gi)) {
+        fonts.push({ node: at(match.index), name: match[1] || '@font-face' });
+      }
+      for (const match of node.content.matchAll(/url\(\s*['"]?(http:\/\/[^'")\s]+)/gi)) {
+        findings.push(finding('warning', 'insecure-url', at(match.index), `Non-HTTPS URL in CSS: ${match[1]}`));
+      }
+    } else if (tagName !== 'mj-preview' && tagName !== 'mj-title') {
+      checkHtmlContent(node.content, at, findings);
+    }
+  });
+
+  if (!hasPreview) {
+    findings.push(finding('warning', 'preheader', head ?? tree, 'No mj-preview: clients show the first text of the email as preheader'));
+  }
+
+  if (fonts.length > MAX_WEB_FONTS) {
+    const extra = fonts[MAX_WEB_FONTS];
+    findings.push(finding('warning', 'web-fonts', { line: extra.node.line, tagName: extra.node.tagName }, `${fonts.length} web fonts loaded (max ${MAX_WEB_FONTS} recommended); Gmail and Outlook fall back to system fonts`));
+  }
+
+  return findings;
+};
+
+/**
+ * Analyse de compatibilité client d'un template MJML (source et HTML rendu).
+ *
+ * La source est préparée comme pour le rendu (voir prepareSource).
+ * Retourne { success: true, valid, summary, htmlSize, findings } ou, si elle ne peut pas l'être,
+ * l'erreur de renderMjml (TEMPLATE_ERROR, CONTENT_TOO_LARGE).
+ * Chaque finding étend le format des errors[] de /render : { line, message, tagName, severity, rule }.
+ */
+export const lintMjml = (mjml, options = {}) => {
+  const prepared = prepareSource(mjml, options);
+  if (!prepared.success) {
+    return prepared;
+  }
+
+  const source = applyPresets(prepared.source);
+  const { mjmlOptions = {} } = options;
+
+  // Validation souple : on veut le HTML et toutes les erreurs
+  const { html, errors } = mjml2html(source, {
+    ...mjmlOptions,
+    validationLevel: 'soft',
+    filePath: '.',
+    ignoreIncludes: true,
+  });
+
+  const findings = [
+    ...errors.map((e) => finding('error', 'mjml-validation', e, e.message)),
+    ...lintTree(parseMjmlTree(source), source),
+  ];
+
+  const htmlSize = Buffer.byteLength(html || '');
+  if (htmlSize > GMAIL_CLIP_BYTES) {
+    findings.push(finding('warning', 'gmail-clip', { tagName: 'mjml', line: 1 }, `Rendered HTML is ${Math.round(htmlSize / 1024)}KB; Gmail clips messages over 102KB`, { size: htmlSize }));
+  } else if (htmlSize > GMAIL_CLIP_BYTES * 0.9) {
+    findings.push(finding('info', 'gmail-clip', { tagName: 'mjml', line: 1 }, `Rendered HTML is ${Math.round(htmlSize / 1024)}KB, close to Gmail's 102KB clip threshold`, { size: htmlSize }));
+  }
+
+  const { valid, summary, findings: sorted } = summarizeFindings(findings);
+
+  return {
+    success: true,
+    valid,
+    summary,
+    htmlSize,
+    findings: sorted,
+  };
+};
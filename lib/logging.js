@@ -0,0 +1,57 @@
+import { randomUUID } from 'node:crypto';
+import pino from 'pino';
+
+export const LOG_FORMATS = ['json', 'pretty'];
+
+// Identifiant reçu accepté tel quel : ASCII imprimable sans espace, longueur bornée
+const REQUEST_ID_PATTERN = /^[\x21-\x7e]{1,128}$/;
+
+/**
+ * Lit la configuration des logs :
+ * - LOG_LEVEL : niveau pino (défaut info)
+ * - LOG_FORMAT : json (une ligne JSON par entrée) ou pretty (pino-pretty coloré) ;
+ *   défaut json avec NODE_ENV=production, pretty sinon
+ * - REQUEST_ID_HEADER : en-tête de l'identifiant de requête (défaut X-Request-Id)
+ */
+export const loadLoggingConfig = (env = process.env) => {
+  const format = env.LOG_FORMAT || (env.NODE_ENV === 'production' ? 'json' : 'pretty');
+
+  if (!LOG_FORMATS.includes(format)) {
+    throw new Error(`Unknown LOG_FORMAT "${format}" (expected ${LOG_FORMATS.join(' or ')})`);
+  }
+
+  return {
+    level: env.LOG_LEVEL || 'info',
+    format,
+    requestIdHeader: env.REQUEST_ID_HEADER || 'X-Request-Id',
+  };
+};
+
+/**
+ * Options du logger Fastify (pino) : en json, niveau en toutes lettres et date ISO
+ */
+export const loggerOptions = ({ level, format }) => (format === 'pretty'
+  ? {
+    level,
+    transport: {
+      target: 'pino-pretty',
+      options: {
+        colorize: true,
+        translateTime: 'SYS:standard',
+        ignore: 'pid,hostname',
+      },
+    },
+  }
+  : {
+    level,
+    formatters: { level: (label) => ({ level: label }) },
+    timestamp: pino.stdTimeFunctions.isoTime,
+  });
+
+/**
+ * genReqId de Fastify : reprend l'identifiant de l'en-tête s'il est valide, sinon un UUID
+ */
+export const requestIdGenerator = (header = 'X-Request-Id') => (request) => {
+  const received = request.headers[header.toLowerCase()];
+  return typeof received === 'string' && REQUEST_ID_PATTERN.test(received) ? received : randomUUID();
+};
@@ -0,0 +1,158 @@
+import {
+  collectDefaultMetrics,
+  Counter,
+  Gauge,
+  Histogram,
+  Registry,
+} from 'prom-client';
+
+const SIZE_BUCKETS = [1024, 10 * 1024, 50 * 1024, 100 * 1024, 250 * 1024, 512 * 1024, 1024 * 1024, 2 * 1024 * 1024];
+
+/**
+ * Métriques Prometheus du serveur (registre dédié, exposé sur GET /metrics).
+ * poolStats / cacheStats alimentent les gauges au moment du scrape.
+ */
+export const createMetrics = ({ poolStats, cacheStats }) => {
+  const registry = new Registry();
+
+  // Inclut nodejs_eventloop_lag_seconds et les métriques process/GC
+  collectDefaultMetrics({ register: registry });
+
+  const httpRequests = new Counter({
+    name: 'http_requests_total',
+    help: 'HTTP requests by route, method and status code',
+    labelNames: ['route', 'method', 'status_code'],
+    registers: [registry],
+  });
+
+  const httpDuration = new Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request duration by route',
+    labelNames: ['route', 'method'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [registry],
+  });
+
+  const renderDuration = new Histogram({
+    name: 'mjml_render_duration_seconds',
+    help: 'MJML render duration (cache misses only)',
+    labelNames: ['outcome'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [registry],
+  });
+
+  const inputSize = new Histogram({
+    name: 'mjml_input_size_bytes',
+    help: 'Size of the MJML input',
+    buckets: SIZE_BUCKETS,
+    registers: [registry],
+  });
+
+  const outputSize = new Histogram({
+    name: 'mjml_output_size_bytes',
+    help: 'Size of the rendered HTML',
+    buckets: SIZE_BUCKETS,
+    registers: [registry],
+  });
+
+  const renderFailures = new Counter({
+    name: 'mjml_render_failures_total',
+    help: 'Failed renders by error code',
+    labelNames: ['code'],
+    registers: [registry],
+  });
+
+  const compilationErrors = new Counter({
+    name: 'mjml_compilation_errors_total',
+    help: 'MJML compilation errors by tag name',
+    labelNames: ['tag_name'],
+    registers: [registry],
+  });
+
+  const batchSize = new Histogram({
+    name: 'mjml_batch_size',
+    help: 'Number of items per batch render',
+    buckets: [1, 5, 10, 25, 50, 75, 100],
+    registers: [registry],
+  });
+
+  const cacheLookups = new Counter({
+    name: 'mjml_render_cache_lookups_total',
+    help: 'Render cache lookups by result',
+    labelNames: ['result'],
+    registers: [registry],
+  });
+
+  new Gauge({
+    name: 'mjml_render_pool_workers',
+    help: 'Render pool workers by state',
+    labelNames: ['state'],
+    registers: [registry],
+    collect() {
+      const stats = poolStats();
+      this.set({ state: 'busy' }, stats.busy ?? 0);
+      this.set({ state: 'idle' }, stats.idle ?? 0);
+    },
+  });
+
+  new Gauge({
+    name: 'mjml_render_pool_queue_depth',
+    help: 'Renders waiting for a worker',
+    registers: [registry],
+    collect() {
+      this.set(poolStats().queued ?? 0);
+    },
+  });
+
+  new Gauge({
+    name: 'mjml_render_cache_entries',
+    help: 'Entries in the render cache',
+    registers: [registry],
+    async collect() {
+      this.set((await cacheStats()).entries ?? 0);
+    },
+  });
+
+  return {
+    registry,
+
+    observeRequest({ route, method, statusCode, duration }) {
+      httpRequests.inc({ route, method, status_code: statusCode });
+      httpDuration.observe({ route, method }, duration);
+    },
+
+    /**
+     * Enregistre un rendu : durée, tailles et erreurs de compilation par balise.
+     * cached vaut null sans cache (RENDER_CACHE=off) : aucune consultation n'est comptée.
+     */
+    observeRender({ mjml, result, duration, cached }) {
+      if (cached !== null) {
+        cacheLookups.inc({ result: cached ? 'hit' : 'miss' });
+      }
+      inputSize.observe(Buffer.byteLength(mjml));
+
+      if (!cached) {
+        renderDuration.observe({ outcome: result.success ? 'success' : 'failure' }, duration);
+      }
+
+      if (result.success) {
+        if (result.html !== undefined) {
+          outputSize.observe(Buffer.byteLength(result.html));
+        }
+        return;
+      }
+
+      renderFailures.inc({ code: result.code });
+
+      if (result.code === 'COMPILATION_ERROR') {
+        result.errors.forEach((error) => {
+          compilationErrors.inc({ tag_name: error.tagName || 'unknown' });
+        });
+      }
+    },
+
+    observeBatch(size) {
+      batchSize.observe(size);
+    },
+  };
+};
@@ -0,0 +1,81 @@
+/**
+ * Options mjml2html exposées aux appelants.
+ * filePath et ignoreIncludes ne sont volontairement pas exposés : ils sont fixés par le serveur.
+ */
+export const MJML_OPTION_NAMES = [
+  'validationLevel',
+  'minify',
+  'beautify',
+  'keepComments',
+  'fonts',
+  'juicePreserveTags',
+];
+
+export const mjmlOptionsSchema = {
+  type: 'object',
+  additionalProperties: false,
+  description: 'mjml2html options (subject to the server allowlist)',
+  properties: {
+    validationLevel: {
+      type: 'string',
+      enum: ['strict', 'soft', 'skip'],
+    },
+    minify: { type: 'boolean' },
+    beautify: { type: 'boolean' },
+    keepComments: { type: 'boolean' },
+    fonts: {
+      type: 'object',
+      additionalProperties: { type: 'string' },
+      description: 'Font name to stylesheet URL',
+    },
+    juicePreserveTags: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        required: ['start', 'end'],
+        properties: {
+          start: { type: 'string' },
+          end: { type: 'string' },
+        },
+      },
+    },
+  },
+};
+
+// juicePreserveTags modifie l'état global de juice : désactivé par défaut
+const DEFAULT_ALLOWED = MJML_OPTION_NAMES.filter((name) => name !== 'juicePreserveTags');
+
+/**
+ * Lit la configuration des options depuis l'environnement :
+ * - MJML_DEFAULT_OPTIONS : options par défaut (JSON)
+ * - MJML_ALLOWED_OPTIONS : options modifiables par requête (liste séparée par des virgules)
+ */
+export const loadMjmlOptionsConfig = (env = process.env) => {
+  const defaults = env.MJML_DEFAULT_OPTIONS ? JSON.parse(env.MJML_DEFAULT_OPTIONS) : {};
+  const allowed = env.MJML_ALLOWED_OPTIONS !== undefined
+    ? env.MJML_ALLOWED_OPTIONS.split(',').map((name) => name.trim()).filter(Boolean)
+    : DEFAULT_ALLOWED;
+
+  const unknown = [...Object.keys(defaults), ...allowed].filter((name) => !MJML_OPTION_NAMES.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown mjml option(s) in configuration: ${unknown.join(', ')}`);
+  }
+
+  return {
+    defaults: { validationLevel: 'soft', ...defaults },
+    allowed,
+  };
+};
+
+/**
+ * Fusionne les options de la requête avec les valeurs par défaut du serveur.
+ * Retourne { options, rejected } où rejected liste les options interdites.
+ */
+export const resolveMjmlOptions = (requested = {}, config) => {
+  const rejected = Object.keys(requested).filter((name) => !config.allowed.includes(name));
+
+  return {
+    options: { ...config.defaults, ...requested },
+    rejected,
+  };
+};
@@ -0,0 +1,138 @@
+// Enregistre les composants MJML (mj-text, mj-button...) auprès de mjml-core
+import 'mjml';
+import { components } from 'mjml-core';
+import parseMjml from 'mjml-parser-xml';
+
+export const SEVERITIES = ['error', 'warning', 'info'];
+
+const SEVERITY_ORDER = Object.fromEntries(SEVERITIES.map((severity, index) => [severity, index]));
+
+/**
+ * Arbre MJML avec numéros de ligne (mj-include ignorés)
+ */
+export const parseMjmlTree = (source) => parseMjml(source, {
+  components,
+  ignoreIncludes: true,
+  filePath: '.',
+});
+
+/**
+ * Parcours en profondeur : visit(node, ancestors), ancestors du plus proche au plus lointain
+ */
+export const walk = (node, visit, ancestors = []) => {
+  visit(node, ancestors);
+  (node.children || []).forEach((child) => walk(child, visit, [node, ...ancestors]));
+};
+
+/**
+ * Numéro de ligne (dans la source) d'une position dans le contenu d'une balise.
+ * Le parseur retire les espaces autour du contenu : on le retrouve dans la source.
+ */
+export const contentLineResolver = (source) => {
+  const lineStarts = [0];
+  for (let index = source.indexOf('\n'); index !== -1; index = source.indexOf('\n', index + 1)) {
+    lineStarts.push(index + 1);
+  }
+
+  const lineAt = (offset) => {
+    let line = 0;
+    while (line + 1 < lineStarts.length && lineStarts[line + 1] <= offset) {
+      line += 1;
+    }
+    return line + 1;
+  };
+
+  return (node, index) => {
+    const start = source.indexOf(node.content, lineStarts[node.line - 1] ?? 0);
+    if (start === -1) {
+      return node.line;
+    }
+    return lineAt(start + index);
+  };
+};
+
+/**
+ * Valeur effective d'un attribut, dans l'ordre de priorité de MJML :
+ * attribut de la balise, mj-class, mj-attributes de la balise, mj-all, défaut du composant
+ */
+export const attributeResolver = (tree) => {
+  const all = {};
+  const byTag = {};
+  const classes = {};
+
+  walk(tree, (node) => {
+    if (node.tagName !== 'mj-attributes') {
+      return;
+    }
+
+    (node.children || []).forEach(({ tagName, attributes = {} }) => {
+      if (tagName === 'mj-all') {
+        Object.assign(all, attributes);
+      } else if (tagName === 'mj-class') {
+        const { name, ...rest } = attributes;
+        classes[name] = { ...classes[name], ...rest };
+      } else {
+        byTag[tagName] = { ...byTag[tagName], ...attributes };
+      }
+    });
+  });
+
+  return (node, name) => {
+    const attributes = node.attributes || {};
+    if (attributes[name] !== undefined) {
+      return attributes[name];
+    }
+
+    const nodeClasses = (attributes['mj-class'] || '').split(/\s+/).filter(Boolean).reverse();
+    for (const className of nodeClasses) {
+      if (classes[className]?.[name] !== undefined) {
+        return classes[className][name];
+      }
+    }
+
+    if (byTag[node.tagName]?.[name] !== undefined) {
+      return byTag[node.tagName][name];
+    }
+
+    const component = components[node.tagName];
+    if (all[name] !== undefined && component?.allowedAttributes?.[name]) {
+      return all[name];
+    }
+
+    return component?.defaultAttributes?.[name] ?? undefined;
+  };
+};
+
+// ============ FINDINGS ============
+
+/**
+ * Finding au format des errors[] de /render, étendu : { line, message, tagName, severity, rule }
+ */
+export const finding = (severity, rule, { line, tagName }, message, extra = {}) => ({
+  line: line ?? null,
+  message,
+  tagName: tagName ?? null,
+  severity,
+  rule,
+  ...extra,
+});
+
+/**
+ * Trie les findings par ligne et compte par sévérité.
+ * valid est faux dès qu'un finding est de sévérité error.
+ */
+export const summarizeFindings = (findings) => {
+  const sorted = [...findings].sort((a, b) => (a.line ?? 0) - (b.line ?? 0)
+    || SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+
+  const summary = Object.fromEntries(SEVERITIES.map((severity) => [
+    severity,
+    findings.filter((f) => f.severity === severity).length,
+  ]));
+
+  return {
+    valid: summary.error === 0,
+    summary,
+    findings: sorted,
+  };
+};
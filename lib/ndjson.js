@@ -0,0 +1,51 @@
+import { StringDecoder } from 'node:string_decoder';
+
+export const NDJSON_CONTENT_TYPE = 'application/x-ndjson';
+
+const tooLarge = (message) => Object.assign(new Error(message), { statusCode: 413 });
+
+const parseLine = (text, line) => {
+  try {
+    return { line, value: JSON.parse(text) };
+  } catch (error) {
+    return { line, error: `Invalid JSON on line ${line}: ${error.message}` };
+  }
+};
+
+/**
+ * Lit un flux NDJSON ligne par ligne, sans le charger entièrement en mémoire.
+ * Produit { line, value }, ou { line, error } pour une ligne JSON invalide.
+ * Lève une erreur 413 si une ligne dépasse maxLineBytes ou le flux maxBytes.
+ */
+export async function* parseNdjson(stream, { maxLineBytes = Infinity, maxBytes = Infinity } = {}) {
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+  let bytes = 0;
+  let line = 0;
+
+  for await (const chunk of stream) {
+    bytes += chunk.length;
+    if (bytes > maxBytes) {
+      throw tooLarge('Request body is too large');
+    }
+
+    const lines = (buffer + decoder.write(chunk)).split('\n');
+    buffer = lines.pop();
+
+    for (const text of lines) {
+      line += 1;
+      if (text.trim()) {
+        yield parseLine(text, line);
+      }
+    }
+
+    if (buffer.length > maxLineBytes) {
+      throw tooLarge(`Line ${line + 1} is too large`);
+    }
+  }
+
+  buffer += decoder.end();
+  if (buffer.trim()) {
+    yield parseLine(buffer, line + 1);
+  }
+}
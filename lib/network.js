@@ -0,0 +1,89 @@
+import dns from 'node:dns/promises';
+import { BlockList, isIP } from 'node:net';
+
+// Adresses non publiques : locales, privées, lien local, partagées, réservées et multicast
+const PRIVATE_RANGES = new BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3],
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Indique si une adresse IP n'est pas publique (les IPv4 mappées en IPv6 sont vérifiées en IPv4)
+ */
+export const isPrivateAddress = (address) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) {
+    return PRIVATE_RANGES.check(mapped[1], 'ipv4');
+  }
+
+  const family = isIP(address);
+  return family === 0 || PRIVATE_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Option lookup de net.connect / http.request limitée à des adresses déjà résolues
+ */
+const pinnedLookup = (addresses) => (hostname, options, callback) => {
+  if (options.all) {
+    callback(null, addresses);
+  } else {
+    callback(null, addresses[0].address, addresses[0].family);
+  }
+};
+
+/**
+ * Vérifie une URL comme checkPublicUrl et fixe les adresses vérifiées : le lookup retourné,
+ * passé à http.request, ne refait pas de résolution DNS. Une autre réponse DNS au moment
+ * de la connexion (DNS rebinding) ne peut donc pas mener au réseau interne.
+ * Retourne { refused } avec la raison du refus, ou { lookup }.
+ */
+export const resolvePublicUrl = async (value, { protocols = ['http:', 'https:'], lookup = dns.lookup } = {}) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return { refused: 'invalid URL' };
+  }
+
+  if (!protocols.includes(url.protocol)) {
+    return { refused: `protocol ${url.protocol} is not allowed` };
+  }
+
+  const host = url.hostname.replace(/^\[(.*)\]$/, '$1');
+  let addresses;
+
+  try {
+    addresses = isIP(host) ? [{ address: host, family: isIP(host) }] : await lookup(host, { all: true });
+  } catch {
+    return { refused: `host ${host} cannot be resolved` };
+  }
+
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    return { refused: `host ${host} is not a public address` };
+  }
+
+  return { lookup: pinnedLookup(addresses) };
+};
+
+/**
+ * Vérifie qu'une URL peut être appelée par le serveur sans atteindre le réseau interne :
+ * protocole autorisé et hôte (ou toutes ses adresses DNS) public.
+ * Retourne null, ou la raison du refus.
+ */
+export const checkPublicUrl = async (value, options) => (await resolvePublicUrl(value, options)).refused ?? null;
@@ -0,0 +1,315 @@
+import swagger from '@fastify/swagger';
+import swaggerUi from '@fastify/swagger-ui';
+
+export const OPENAPI_PATH = '/openapi.json';
+export const DOCS_PATH = '/docs';
+
+const nullable = (schema) => ({ ...schema, nullable: true });
+
+// ============ SCHEMAS PARTAGÉS ============
+// Publiés dans components.schemas du document, référencés par { $ref: '<$id>#' }
+
+const SHARED_SCHEMAS = [
+  {
+    $id: 'ErrorDetail',
+    type: 'object',
+    description: 'MJML, template or include error; line refers to the submitted source',
+    properties: {
+      line: nullable({ type: 'integer' }),
+      message: { type: 'string' },
+      tagName: nullable({ type: 'string' }),
+      file: nullable({ type: 'string' }),
+      include: { type: 'string' },
+    },
+    additionalProperties: true,
+  },
+  {
+    $id: 'Error',
+    type: 'object',
+    required: ['error', 'code'],
+    properties: {
+      error: { type: 'string', description: 'Human readable message' },
+      code: { type: 'string', description: 'Stable error code' },
+      errors: { type: 'array', items: { $ref: 'ErrorDetail#' } },
+      requestId: { type: 'string', description: 'Request id, also in the X-Request-Id response header' },
+    },
+    additionalProperties: true,
+  },
+  {
+    $id: 'ImageAttachment',
+    type: 'object',
+    description: 'Image embedded as cid: (images.embed = cid)',
+    properties: {
+      cid: { type: 'string' },
+      filename: { type: 'string' },
+      contentType: { type: 'string' },
+      content: { type: 'string', description: 'Base64 encoded content' },
+    },
+  },
+  {
+    $id: 'RenderMeta',
+    type: 'object',
+    description: 'Render metadata',
+    properties: {
+      tracking: {
+        type: 'object',
+        description: 'Link tracking manifest',
+        properties: {
+          links: {
+            type: 'array',
+            description: 'Rewritten links, in document order',
+            items: {
+              type: 'object',
+              properties: {
+                id: { type: 'integer', description: 'Link id, carried in click tokens' },
+                tag: { type: 'string', description: 'mj-button, mj-image or a' },
+                url: { type: 'string', description: 'Destination, with UTM parameters' },
+                href: { type: 'string', description: 'URL written in the HTML (click redirect with clickTracking)' },
+              },
+            },
+          },
+          excluded: { type: 'integer', description: 'Links skipped with data-notrack' },
+          openPixel: { type: 'boolean' },
+        },
+      },
+      images: {
+        type: 'array',
+        description: 'Processed mj-image (local assets and data URIs), in document order',
+        items: {
+          type: 'object',
+          properties: {
+            src: { type: 'string' },
+            format: { type: 'string' },
+            width: { type: 'integer', description: 'Intrinsic width in pixels' },
+            height: { type: 'integer', description: 'Intrinsic height in pixels' },
+            bytes: { type: 'integer' },
+            filled: { type: 'array', items: { type: 'string' }, description: 'mj-image attributes filled from the image' },
+            srcset: { type: 'boolean', description: '1x/2x variants generated' },
+            warnings: { type: 'array', items: { type: 'string' } },
+          },
+        },
+      },
+      postProcess: {
+        type: 'array',
+        description: 'Post-processing steps applied to the HTML, in order, with their statistics',
+        items: {
+          type: 'object',
+          required: ['step'],
+          properties: { step: { type: 'string' } },
+          additionalProperties: true,
+        },
+      },
+    },
+  },
+  {
+    $id: 'RenderOutput',
+    type: 'object',
+    description: 'Requested outputs (see outputs)',
+    properties: {
+      html: { type: 'string' },
+      text: { type: 'string' },
+      attachments: { type: 'array', items: { $ref: 'ImageAttachment#' } },
+      meta: { $ref: 'RenderMeta#' },
+    },
+  },
+  {
+    $id: 'RenderResult',
+    type: 'object',
+    description: 'Batch or job item: outputs on success, error fields on failure',
+    properties: {
+      id: { description: 'Item id (or index)' },
+      locale: { type: 'string', description: 'Locale of the render, when the item has one' },
+      success: { type: 'boolean' },
+      html: { type: 'string' },
+      text: { type: 'string' },
+      attachments: { type: 'array', items: { $ref: 'ImageAttachment#' } },
+      meta: { $ref: 'RenderMeta#' },
+      error: { type: 'string' },
+      code: { type: 'string' },
+      errors: { type: 'array', items: { $ref: 'ErrorDetail#' } },
+    },
+  },
+  {
+    $id: 'BatchSummary',
+    type: 'object',
+    properties: {
+      total: { type: 'integer' },
+      success: { type: 'integer' },
+      failed: { type: 'integer' },
+    },
+  },
+  {
+    $id: 'Finding',
+    type: 'object',
+    properties: {
+      line: nullable({ type: 'integer' }),
+      message: { type: 'string' },
+      tagName: nullable({ type: 'string' }),
+      severity: { type: 'string', enum: ['error', 'warning', 'info'] },
+      rule: { type: 'string' },
+      file: nullable({ type: 'string' }),
+    },
+    additionalProperties: true,
+  },
+  {
+    $id: 'AuditReport',
+    type: 'object',
+    properties: {
+      valid: { type: 'boolean', description: 'false as soon as a finding has severity error' },
+      summary: {
+        type: 'object',
+        properties: {
+          error: { type: 'integer' },
+          warning: { type: 'integer' },
+          info: { type: 'integer' },
+        },
+      },
+      htmlSize: { type: 'integer', description: 'Rendered HTML size in bytes (lint only)' },
+      findings: { type: 'array', items: { $ref: 'Finding#' } },
+    },
+  },
+  {
+    $id: 'Job',
+    type: 'object',
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      status: { type: 'string', enum: ['queued', 'running', 'completed', 'failed'] },
+      summary: {
+        type: 'object',
+        properties: {
+          total: { type: 'integer' },
+          processed: { type: 'integer' },
+          success: { type: 'integer' },
+          failed: { type: 'integer' },
+        },
+      },
+      createdAt: { type: 'string', format: 'date-time' },
+      startedAt: nullable({ type: 'string', format: 'date-time' }),
+      completedAt: nullable({ type: 'string', format: 'date-time' }),
+      error: nullable({ type: 'string' }),
+      callback: nullable({
+        type: 'object',
+        description: 'Callback delivery state (url, attempts, status...)',
+        additionalProperties: true,
+      }),
+    },
+  },
+  {
+    $id: 'TemplateSummary',
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      description: nullable({ type: 'string' }),
+      version: { type: 'integer', description: 'Latest version' },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' },
+    },
+  },
+  {
+    $id: 'Template',
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      description: nullable({ type: 'string' }),
+      version: { type: 'integer', description: 'Returned version' },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' },
+      mjml: { type: 'string' },
+      versions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            version: { type: 'integer' },
+            createdAt: { type: 'string', format: 'date-time' },
+          },
+        },
+      },
+    },
+  },
+];
+
+const ERROR_DESCRIPTIONS = {
+  400: 'Invalid input, MJML compilation or template error',
+  401: 'Missing or invalid API key',
+  403: 'Admin API key required',
+  404: 'Resource not found',
+  409: 'Resource already exists',
+  413: 'Payload too large',
+  429: 'Rate limit or daily quota exceeded',
+  500: 'Internal error',
+  503: 'Render queue full or service unavailable',
+  504: 'Render or capture timed out',
+};
+
+/**
+ * Réponses d'erreur { error, code, errors? } pour les statuts donnés
+ */
+export const errorResponses = (...statuses) => Object.fromEntries(statuses.map((status) => [
+  status,
+  { description: ERROR_DESCRIPTIONS[status], $ref: 'Error#' },
+]));
+
+/**
+ * Réponse sans corps (204, 304)
+ */
+export const emptyResponse = (description) => ({ description, type: 'null' });
+
+/**
+ * Enregistre les schémas partagés, le document OpenAPI 3 (GET /openapi.json)
+ * et l'interface Swagger UI (GET /docs).
+ * À appeler avant la déclaration des routes : le document est construit à partir
+ * de leurs schémas (operationId, tags, summary, body, response).
+ *
+ * Retourne la liste des routes par operationId ({ method, path }), complétée
+ * au fur et à mesure de leur déclaration (utilisée par GET /info).
+ */
+export const registerApiDocs = async (fastify, { version }) => {
+  const endpoints = {};
+
+  fastify.addHook('onRoute', ({ method, url, schema }) => {
+    if (schema?.operationId && method !== 'HEAD') {
+      endpoints[schema.operationId] = { method, path: url };
+    }
+  });
+
+  SHARED_SCHEMAS.forEach((schema) => fastify.addSchema(schema));
+
+  await fastify.register(swagger, {
+    openapi: {
+      info: {
+        title: 'MJML Rendering Server',
+        description: 'Render MJML templates to HTML, text, EML and screenshots. '
+          + 'Errors use the { error, code, errors? } format.',
+        version,
+      },
+      tags: [
+        { name: 'render', description: 'Synchronous rendering' },
+        { name: 'audit', description: 'Lint and accessibility reports' },
+        { name: 'jobs', description: 'Asynchronous batch jobs' },
+        { name: 'templates', description: 'Versioned template registry' },
+        { name: 'operations', description: 'Health, cache, metrics and administration' },
+      ],
+      components: {
+        securitySchemes: {
+          bearerAuth: { type: 'http', scheme: 'bearer', description: 'API key (when API_KEYS is set)' },
+          apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        },
+      },
+      security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+    },
+    // Noms lisibles dans components.schemas (Error, Job...) au lieu de def-0, def-1...
+    refResolver: {
+      buildLocalReference: (json, baseUri, fragment, index) => json.$id || `def-${index}`,
+    },
+  });
+
+  await fastify.register(swaggerUi, { routePrefix: DOCS_PATH });
+  endpoints.docs = { method: 'GET', path: `${fastify.prefix}${DOCS_PATH}` };
+
+  fastify.get(OPENAPI_PATH, {
+    schema: { hide: true, operationId: 'openapi' },
+  }, async () => fastify.swagger());
+
+  return endpoints;
+};
@@ -0,0 +1,375 @@
+import { minify } from 'html-minifier-terser';
+import postcss from 'postcss';
+
+/**
+ * Étapes de post-traitement du HTML rendu, exécutées dans cet ordre :
+ * - darkMode : surcharges prefers-color-scheme et [data-ogsc]/[data-ogsb] (Outlook.com) d'après une table de couleurs
+ * - msoFixes : boutons VML cliquables en entier et fond du body pour Outlook (Word)
+ * - stripUnusedCss : règles des <style> dont les classes ou id n'apparaissent pas dans le document
+ * - minify : minification finale (les commentaires conditionnels sont conservés)
+ */
+export const POSTPROCESS_STEPS = ['darkMode', 'msoFixes', 'stripUnusedCss', 'minify'];
+
+// Couleurs acceptées dans la table darkMode : injectées telles quelles dans le CSS
+export const COLOR_PATTERN = '^(#[0-9A-Fa-f]{3}|#[0-9A-Fa-f]{6}|[A-Za-z]+|rgba?\\([0-9.,%\\s]+\\))$';
+
+const colorRegex = new RegExp(COLOR_PATTERN);
+
+export const postProcessSchema = {
+  type: 'object',
+  additionalProperties: false,
+  description: 'HTML post-processing steps to enable (true) or disable (false), over the server defaults',
+  properties: {
+    ...Object.fromEntries(POSTPROCESS_STEPS.map((step) => [step, { type: 'boolean' }])),
+    darkModeColors: {
+      type: 'object',
+      description: 'Light to dark color map for darkMode (merged over the server map), e.g. { "#ffffff": "#121212" }',
+      propertyNames: { pattern: COLOR_PATTERN },
+      additionalProperties: { type: 'string', pattern: COLOR_PATTERN },
+    },
+  },
+};
+
+/**
+ * Lit la configuration du post-traitement depuis l'environnement :
+ * - POSTPROCESS_STEPS : étapes actives par défaut (liste séparée par des virgules, aucune par défaut)
+ * - POSTPROCESS_DARK_MODE_COLORS : table de couleurs claires -> sombres (JSON)
+ */
+export const loadPostProcessConfig = (env = process.env) => {
+  const steps = (env.POSTPROCESS_STEPS || '').split(',').map((step) => step.trim()).filter(Boolean);
+  const darkModeColors = env.POSTPROCESS_DARK_MODE_COLORS ? JSON.parse(env.POSTPROCESS_DARK_MODE_COLORS) : {};
+
+  const unknown = steps.filter((step) => !POSTPROCESS_STEPS.includes(step));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown post-processing step(s) in configuration: ${unknown.join(', ')}`);
+  }
+
+  const invalid = Object.entries(darkModeColors).filter(([from, to]) => !colorRegex.test(from) || !colorRegex.test(to));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid POSTPROCESS_DARK_MODE_COLORS entry: ${invalid.map(([from, to]) => `${from} -> ${to}`).join(', ')}`);
+  }
+
+  return { steps, darkModeColors };
+};
+
+/**
+ * Fusionne les étapes demandées avec celles du serveur.
+ * Retourne { steps, darkModeColors }, ou undefined si aucune étape n'est active.
+ */
+export const resolvePostProcess = (requested = {}, config) => {
+  const steps = POSTPROCESS_STEPS.filter((step) => requested[step] ?? config.steps.includes(step));
+
+  if (steps.length === 0) {
+    return undefined;
+  }
+
+  return {
+    steps,
+    darkModeColors: steps.includes('darkMode') ? { ...config.darkModeColors, ...requested.darkModeColors } : undefined,
+  };
+};
+
+// ============ OUTILS ============
+
+const START_TAG = /<([a-zA-Z][\w:-]*)(\s[^>]*?)?(\/?)>/g;
+const STYLE_BLOCK = /(<style\b[^>]*>)([\s\S]*?)(<\/style>)/gi;
+
+const attributeValue = (attributes, name) => {
+  const match = new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'i').exec(attributes);
+  return match ? match[1] ?? match[2] : undefined;
+};
+
+const addClass = (attributes, className) => {
+  const current = attributeValue(attributes, 'class');
+  if (current === undefined) {
+    return `${attributes} class="${className}"`;
+  }
+  if (current.split(/\s+/).includes(className)) {
+    return attributes;
+  }
+  return attributes.replace(/(\sclass\s*=\s*)(["'])([^"']*)\2/i, (_, prefix, quote, value) => `${prefix}${quote}${`${value} ${className}`.trim()}${quote}`);
+};
+
+const normalizeColor = (color) => {
+  const value = color.trim().toLowerCase();
+  const short = /^#([0-9a-f])([0-9a-f])([0-9a-f])$/.exec(value);
+  return short ? `#${short[1]}${short[1]}${short[2]}${short[2]}${short[3]}${short[3]}` : value;
+};
+
+const insertInHead = (html, markup) => (/<\/head>/i.test(html)
+  ? html.replace(/<\/head>/i, `${markup}\n</head>`)
+  : html);
+
+// ============ DARK MODE ============
+
+/**
+ * Ajoute une classe dark-c-<couleur> / dark-bg-<couleur> aux éléments dont la couleur
+ * (style color, background, background-color ou bgcolor) est dans la table,
+ * et les surcharges correspondantes pour prefers-color-scheme et Outlook.com.
+ */
+const darkMode = (html, { darkModeColors }) => {
+  const colors = new Map(Object.entries(darkModeColors).map(([from, to]) => [normalizeColor(from), to]));
+  const used = { text: new Map(), background: new Map() };
+  let elements = 0;
+
+  const className = (kind, color) => `dark-${kind === 'text' ? 'c' : 'bg'}-${color.replace(/[^a-z0-9]/g, '')}`;
+
+  const output = html.replace(START_TAG, (tag, name, attributes = '', selfClosing) => {
+    if (/^(html|head|meta|link|style|title)$/i.test(name)) {
+      return tag;
+    }
+
+    const style = attributeValue(attributes, 'style') ?? '';
+    const found = [];
+
+    const text = /(?:^|;)\s*color\s*:\s*([^;!]+)/i.exec(style);
+    if (text && colors.has(normalizeColor(text[1]))) {
+      found.push(['text', normalizeColor(text[1])]);
+    }
+
+    const background = /(?:^|;)\s*background(?:-color)?\s*:\s*([^;!]+)/i.exec(style)?.[1] ?? attributeValue(attributes, 'bgcolor');
+    if (background && colors.has(normalizeColor(background))) {
+      found.push(['background', normalizeColor(background)]);
+    }
+
+    if (found.length === 0) {
+      return tag;
+    }
+
+    elements += 1;
+    const updated = found.reduce((current, [kind, color]) => {
+      used[kind].set(className(kind, color), colors.get(color));
+      return addClass(current, className(kind, color));
+    }, attributes);
+
+    return `<${name}${updated}${selfClosing}>`;
+  });
+
+  const rules = (kind, property, prefix = '') => [...used[kind]]
+    .map(([name, color]) => `${prefix}.${name} { ${property}: ${color} !important; }`);
+
+  const css = [
+    ':root { color-scheme: light dark; supported-color-schemes: light dark; }',
+    '@media (prefers-color-scheme: dark) {',
+    ...[...rules('text', 'color'), ...rules('background', 'background-color')].map((rule) => `  ${rule}`),
+    '}',
+    // Outlook.com inverse les couleurs et marque le document avec data-ogsc (texte) / data-ogsb (fonds)
+    ...rules('text', 'color', '[data-ogsc] '),
+    ...rules('background', 'background-color', '[data-ogsb] '),
+  ].join('\n');
+
+  return {
+    html: insertInHead(output, [
+      '<meta name="color-scheme" content="light dark">',
+      '<meta name="supported-color-schemes" content="light dark">',
+      `<style type="text/css">\n${css}\n</style>`,
+    ].join('\n')),
+    report: { colors: used.text.size + used.background.size, elements },
+  };
+};
+
+// ============ OUTLOOK (MSO) ============
+
+// Tableau généré par mj-button (avec href) : la cellule porte bgcolor et mso-padding-alt
+const BUTTON = /<table\b([^>]*)>\s*<tbody>\s*<tr>\s*<td\b([^>]*\bbgcolor="([^"]+)"[^>]*\bmso-padding-alt:[^>]*)>\s*<a\b([^>]*)>([\s\S]*?)<\/a>\s*<\/td>\s*<\/tr>\s*<\/tbody>\s*<\/table>/gi;
+
+const styleValue = (style, property) => new RegExp(`(?:^|;)\\s*${property}\\s*:\\s*([^;]+)`, 'i').exec(style)?.[1].trim();
+
+const pixels = (value, fallback = 0) => {
+  const parsed = parseFloat(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+const paddingBox = (value = '') => {
+  const [top, right = top, bottom = top, left = right] = value.split(/\s+/).map((part) => pixels(part));
+  return {
+    top, right, bottom, left,
+  };
+};
+
+/**
+ * Bouton VML (v:roundrect) pour Outlook : toute la surface est cliquable et les coins arrondis conservés.
+ * La largeur vient de mj-button width, sinon elle est estimée d'après le libellé.
+ */
+const vmlButton = (tableAttributes, cellAttributes, fillColor, linkAttributes, label) => {
+  const linkStyle = attributeValue(linkAttributes, 'style') ?? '';
+  const href = attributeValue(linkAttributes, 'href');
+  const fontSize = pixels(styleValue(linkStyle, 'font-size'), 13);
+  const lineHeight = styleValue(linkStyle, 'line-height') ?? '120%';
+  const padding = paddingBox(styleValue(attributeValue(cellAttributes, 'style') ?? '', 'mso-padding-alt'));
+  const text = label.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
+
+  const lineBox = lineHeight.endsWith('%') ? (fontSize * pixels(lineHeight)) / 100 : pixels(lineHeight, fontSize * 1.2);
+  const height = Math.round(lineBox + padding.top + padding.bottom);
+  const width = Math.round(pixels(styleValue(attributeValue(tableAttributes, 'style') ?? '', 'width'), 0)
+    || text.length * fontSize * 0.6 + padding.left + padding.right);
+  const radius = pixels(styleValue(attributeValue(cellAttributes, 'style') ?? '', 'border-radius'));
+  const arcsize = Math.min(50, Math.round((radius / height) * 100));
+
+  const font = ['color', 'font-family', 'font-size', 'font-weight']
+    .map((property) => [property, styleValue(linkStyle, property)])
+    .filter(([, value]) => value)
+    .map(([property, value]) => `${property}:${value};`)
+    .join('');
+
+  return `<!--[if mso]><v:roundrect xmlns:v="urn:schemas-microsoft-com:vml" xmlns:w="urn:schemas-microsoft-com:office:word" href="${href}" `
+    + `style="height:${height}px;v-text-anchor:middle;width:${width}px;" arcsize="${arcsize}%" stroke="f" fillcolor="${fillColor}">`
+    + `<w:anchorlock/><center style="${font}">${label.trim()}</center></v:roundrect><![endif]-->`;
+};
+
+const msoFixes = (html) => {
+  let buttons = 0;
+
+  let output = html.replace(BUTTON, (table, tableAttributes, cellAttributes, fillColor, linkAttributes, label) => {
+    if (!attributeValue(linkAttributes, 'href')) {
+      return table;
+    }
+
+    buttons += 1;
+    return `${vmlButton(tableAttributes, cellAttributes, fillColor, linkAttributes, label)}<!--[if !mso]><!-->${table}<!--<![endif]-->`;
+  });
+
+  // Outlook (Word) ignore le fond du body et des div : fond VML de tout le document
+  const bodyColor = /<body\b[^>]*\bstyle="[^"]*\bbackground-color:\s*([^;"]+)/i.exec(output)?.[1].trim();
+  const background = Boolean(bodyColor) && !/<v:background\b/i.test(output);
+
+  if (background) {
+    output = output.replace(/<body\b[^>]*>/i, (tag) => `${tag}\n<!--[if gte mso 9]><v:background xmlns:v="urn:schemas-microsoft-com:vml" fill="t"><v:fill type="tile" color="${bodyColor}"/></v:background><![endif]-->`);
+  }
+
+  return { html: output, report: { buttons, background } };
+};
+
+// ============ CSS INUTILISÉ ============
+
+// Classes et id ajoutés par les clients mail : jamais présents dans le document envoyé
+const CLIENT_HOOKS = new Set(['outlook', 'MessageViewBody', 'ExternalClass', 'ReadMsgBody', 'moz-text-html']);
+
+const SELECTOR_NAMES = /([.#])(-?[_a-zA-Z][\w-]*)/g;
+
+/**
+ * Un sélecteur est utilisé si toutes ses classes et tous ses id sont présents dans le document
+ * (ou ajoutés par un client mail). Les sélecteurs échappés ne sont pas analysés.
+ */
+const isSelectorUsed = (selector, used) => {
+  if (selector.includes('\\')) {
+    return true;
+  }
+
+  const names = [...selector.replace(/\[[^\]]*\]/g, '').matchAll(SELECTOR_NAMES)];
+  return names.every(([, kind, name]) => CLIENT_HOOKS.has(name) || used[kind === '.' ? 'classes' : 'ids'].has(name));
+};
+
+const usedNames = (html) => {
+  const classes = new Set();
+  const ids = new Set();
+
+  for (const [, attributes = ''] of html.matchAll(/<[a-zA-Z][\w:-]*(\s[^>]*?)?\/?>/g)) {
+    attributeValue(attributes, 'class')?.split(/\s+/).filter(Boolean).forEach((name) => classes.add(name));
+    const id = attributeValue(attributes, 'id');
+    if (id) {
+      ids.add(id);
+    }
+  }
+
+  return { classes, ids };
+};
+
+const stripUnusedCss = (html) => {
+  const used = usedNames(html.replace(STYLE_BLOCK, '$1$3'));
+  let removedSelectors = 0;
+  let savedBytes = 0;
+
+  const output = html.replace(STYLE_BLOCK, (block, open, css, close) => {
+    let root;
+    try {
+      root = postcss.parse(css);
+    } catch {
+      // CSS invalide : laissé tel quel
+      return block;
+    }
+
+    root.walkRules((rule) => {
+      if (rule.parent?.type === 'atrule' && /keyframes$/i.test(rule.parent.name)) {
+        return;
+      }
+
+      const selectors = rule.selectors.filter((selector) => isSelectorUsed(selector, used));
+      removedSelectors += rule.selectors.length - selectors.length;
+
+      if (selectors.length === 0) {
+        rule.remove();
+      } else if (selectors.length < rule.selectors.length) {
+        rule.selectors = selectors;
+      }
+    });
+
+    // @media vidés par la suppression de leurs règles
+    root.walkAtRules((atRule) => {
+      if (atRule.nodes && atRule.nodes.length === 0) {
+        atRule.remove();
+      }
+    });
+
+    const stripped = root.toString();
+    savedBytes += Buffer.byteLength(css) - Buffer.byteLength(stripped);
+    return stripped.trim() ? `${open}${stripped}${close}` : '';
+  });
+
+  return { html: output, report: { removedSelectors, savedBytes } };
+};
+
+// ============ MINIFICATION ============
+
+const minifyHtml = async (html) => {
+  const output = await minify(html, {
+    collapseWhitespace: true,
+    conservativeCollapse: true,
+    removeComments: true,
+    minifyCSS: true,
+    // Balises VML (v:roundrect...) et éléments vides d'Office
+    caseSensitive: true,
+    keepClosingSlash: true,
+  });
+
+  return { html: output, report: { savedBytes: Buffer.byteLength(html) - Buffer.byteLength(output) } };
+};
+
+const STEP_HANDLERS = {
+  darkMode,
+  msoFixes,
+  stripUnusedCss,
+  minify: minifyHtml,
+};
+
+// ============ API ============
+
+/**
+ * Applique les étapes actives (voir resolvePostProcess) dans l'ordre de POSTPROCESS_STEPS.
+ * Retourne { html, report } ; report liste les étapes appliquées : [{ step, ...statistiques }].
+ */
+export const postProcessHtml = async (html, config) => {
+  let output = html;
+  const report = [];
+
+  for (const step of POSTPROCESS_STEPS.filter((name) => config.steps.includes(name))) {
+    const result = await STEP_HANDLERS[step](output, config);
+    output = result.html;
+    report.push({ step, ...result.report });
+  }
+
+  return { html: output, report };
+};
+
+/**
+ * Post-traite le HTML d'un résultat de renderMjml ; les étapes appliquées sont
+ * rapportées dans meta.postProcess. Sans HTML demandé ni étape active, le résultat est inchangé.
+ */
+export const postProcessResult = async (result, config) => {
+  if (!config || !result.success || result.html === undefined) {
+    return result;
+  }
+
+  const { html, report } = await postProcessHtml(result.html, config);
+  return { ...result, html, meta: { ...result.meta, postProcess: report } };
+};
@@ -0,0 +1,157 @@
+import puppeteer from 'puppeteer-core';
+import { checkPublicUrl } from './network.js';
+
+/**
+ * Largeurs de capture par appareil
+ */
+export const PREVIEW_DEVICES = {
+  desktop: { width: 600, height: 800, isMobile: false },
+  mobile: { width: 375, height: 667, isMobile: true },
+};
+
+/**
+ * Lit la configuration des captures depuis l'environnement :
+ * - PREVIEW_CHROMIUM_PATH (ou PUPPETEER_EXECUTABLE_PATH) : navigateur headless local ;
+ *   sans navigateur, POST /preview répond 503
+ * - PREVIEW_TIMEOUT_MS : durée max d'une capture
+ * - PREVIEW_CONCURRENCY : captures simultanées
+ * - PREVIEW_ALLOW_REMOTE : charge les images distantes d'hôtes publics (false par défaut)
+ */
+export const loadPreviewConfig = (env = process.env) => ({
+  executablePath: env.PREVIEW_CHROMIUM_PATH || env.PUPPETEER_EXECUTABLE_PATH || null,
+  timeout: parseInt(env.PREVIEW_TIMEOUT_MS || '15000', 10),
+  concurrency: parseInt(env.PREVIEW_CONCURRENCY || '2', 10),
+  allowRemote: env.PREVIEW_ALLOW_REMOTE === 'true',
+});
+
+const previewError = (message, code) => Object.assign(new Error(message), { code });
+
+/**
+ * Filtre des requêtes d'une page de capture : (request) => Promise<boolean>.
+ * Seule la première navigation du cadre principal est admise : les iframes et redirections
+ * (meta refresh...) du HTML ne naviguent pas. Les ressources data: sont chargées ;
+ * les URL http(s) seulement avec allowRemote et vers un hôte public (voir checkPublicUrl).
+ */
+export const createRequestFilter = ({ allowRemote, mainFrame }) => {
+  let navigated = false;
+
+  const allowUrl = async (url) => url.startsWith('data:') || url === 'about:blank'
+    || (allowRemote && /^https?:\/\//i.test(url) && await checkPublicUrl(url) === null);
+
+  return async (request) => {
+    if (request.isNavigationRequest()) {
+      if (navigated || request.frame() !== mainFrame) {
+        return false;
+      }
+      navigated = true;
+    }
+
+    return allowUrl(request.url());
+  };
+};
+
+/**
+ * Captures PNG du HTML rendu, via un navigateur headless lancé à la première demande.
+ * Le JavaScript est désactivé et seules les ressources admises par createRequestFilter sont chargées.
+ */
+export const createPreviewRenderer = ({
+  executablePath,
+  timeout,
+  concurrency,
+  allowRemote,
+}, log) => {
+  let browser = null;
+  let active = 0;
+  const waiting = [];
+
+  const launch = async () => {
+    if (!browser) {
+      browser = puppeteer.launch({
+        executablePath,
+        headless: true,
+        args: ['--no-sandbox', '--disable-dev-shm-usage', '--disable-gpu'],
+      }).then((instance) => {
+        // Relance au prochain appel si le navigateur s'arrête
+        instance.on('disconnected', () => { browser = null; });
+        return instance;
+      }).catch((error) => {
+        browser = null;
+        log?.error({ err: error, executablePath }, 'Headless browser failed to start');
+        throw previewError('Headless browser is not available', 'PREVIEW_UNAVAILABLE');
+      });
+    }
+
+    return browser;
+  };
+
+  // File simple : au plus `concurrency` pages ouvertes
+  const acquire = async () => {
+    if (active >= concurrency) {
+      await new Promise((resolve) => { waiting.push(resolve); });
+    }
+    active += 1;
+  };
+
+  const release = () => {
+    active -= 1;
+    waiting.shift()?.();
+  };
+
+  const capture = async (html, { device, darkMode }) => {
+    const page = await (await launch()).newPage();
+
+    try {
+      await page.setJavaScriptEnabled(false);
+      await page.setViewport({ ...PREVIEW_DEVICES[device], deviceScaleFactor: 1 });
+      await page.emulateMediaFeatures([
+        { name: 'prefers-color-scheme', value: darkMode ? 'dark' : 'light' },
+      ]);
+
+      const allowed = createRequestFilter({ allowRemote, mainFrame: page.mainFrame() });
+
+      await page.setRequestInterception(true);
+      page.on('request', (request) => {
+        allowed(request)
+          .then((allow) => (allow ? request.continue() : request.abort()))
+          .catch(() => {});
+      });
+
+      await page.setContent(html, { waitUntil: 'networkidle2', timeout });
+      return Buffer.from(await page.screenshot({ type: 'png', fullPage: true }));
+    } finally {
+      await page.close().catch(() => {});
+    }
+  };
+
+  return {
+    enabled: Boolean(executablePath),
+
+    /**
+     * Capture PNG pour un appareil (desktop, mobile), en thème clair ou sombre
+     */
+    async screenshot(html, { device = 'desktop', darkMode = false } = {}) {
+      if (!executablePath) {
+        throw previewError('Preview is disabled: no headless browser configured', 'PREVIEW_UNAVAILABLE');
+      }
+
+      await acquire();
+      try {
+        return await capture(html, { device, darkMode });
+      } catch (error) {
+        if (error.name === 'TimeoutError') {
+          throw previewError(`Preview timed out after ${timeout}ms`, 'PREVIEW_TIMEOUT');
+        }
+        throw error;
+      } finally {
+        release();
+      }
+    },
+
+    async close() {
+      if (browser) {
+        const instance = await browser.catch(() => null);
+        await instance?.close();
+      }
+    },
+  };
+};
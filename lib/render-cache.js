@@ -0,0 +1,170 @@
+import { createHash } from 'node:crypto';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { version: mjmlVersion } = require('mjml/package.json');
+
+/**
+ * JSON avec clés triées : deux objets équivalents donnent la même empreinte
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+};
+
+/**
+ * Empreinte d'un rendu : MJML + données + options (+ version de mjml)
+ */
+export const renderKey = (payload) => createHash('sha256')
+  .update(mjmlVersion)
+  .update(stableStringify(payload))
+  .digest('hex');
+
+// ============ BACKENDS ============
+// Un backend expose : get(key), set(key, value, ttl), clear(), stats() (méthodes async)
+
+/**
+ * Backend mémoire LRU, borné en nombre d'entrées et en octets
+ */
+export const createMemoryCacheBackend = ({ maxEntries, maxBytes }) => {
+  const entries = new Map();
+  let bytes = 0;
+
+  const remove = (key) => {
+    const entry = entries.get(key);
+    if (entry) {
+      bytes -= entry.size;
+      entries.delete(key);
+    }
+  };
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) {
+        return undefined;
+      }
+
+      if (entry.expiresAt <= Date.now()) {
+        remove(key);
+        return undefined;
+      }
+
+      // Réinsertion : l'entrée devient la plus récemment utilisée
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    async set(key, value, ttl) {
+      const size = Buffer.byteLength(JSON.stringify(value));
+      if (size > maxBytes) {
+        return;
+      }
+
+      remove(key);
+      entries.set(key, { value, size, expiresAt: Date.now() + ttl });
+      bytes += size;
+
+      // Éviction des entrées les moins récemment utilisées
+      for (const oldest of entries.keys()) {
+        if (entries.size <= maxEntries && bytes <= maxBytes) {
+          break;
+        }
+        remove(oldest);
+      }
+    },
+
+    async clear() {
+      const count = entries.size;
+      entries.clear();
+      bytes = 0;
+      return count;
+    },
+
+    async stats() {
+      return {
+        entries: entries.size,
+        bytes,
+        maxEntries,
+        maxBytes,
+      };
+    },
+  };
+};
+
+/**
+ * Lit la configuration du cache depuis l'environnement :
+ * - RENDER_CACHE : memory (défaut) ou off
+ * - RENDER_CACHE_MAX_ENTRIES, RENDER_CACHE_MAX_BYTES, RENDER_CACHE_TTL_MS
+ */
+export const loadCacheConfig = (env = process.env) => ({
+  enabled: env.RENDER_CACHE !== 'off',
+  maxEntries: parseInt(env.RENDER_CACHE_MAX_ENTRIES || '1000', 10),
+  maxBytes: parseInt(env.RENDER_CACHE_MAX_BYTES || String(50 * 1024 * 1024), 10),
+  ttl: parseInt(env.RENDER_CACHE_TTL_MS || String(60 * 60 * 1000), 10),
+});
+
+// ============ CACHE ============
+
+/**
+ * Cache des rendus réussis devant le pool de rendu.
+ * Seuls les rendus réussis sont mis en cache.
+ */
+export const createRenderCache = ({ backend, ttl, enabled = true }) => {
+  const counters = { hits: 0, misses: 0 };
+
+  return {
+    enabled,
+
+    /**
+     * Retourne le résultat en cache pour key, ou l'obtient via render().
+     * Retourne { result, cached } ; cached vaut null si le cache est désactivé.
+     */
+    async wrap(key, render) {
+      if (enabled) {
+        const cached = await backend.get(key);
+        if (cached !== undefined) {
+          counters.hits += 1;
+          return { result: cached, cached: true };
+        }
+        counters.misses += 1;
+      }
+
+      const result = await render();
+
+      if (enabled && result.success) {
+        await backend.set(key, result, ttl);
+      }
+
+      return { result, cached: enabled ? false : null };
+    },
+
+    async clear() {
+      return backend.clear();
+    },
+
+    async stats() {
+      const lookups = counters.hits + counters.misses;
+
+      return {
+        enabled,
+        ttl,
+        ...counters,
+        hitRatio: lookups > 0 ? counters.hits / lookups : 0,
+        ...await backend.stats(),
+      };
+    },
+  };
+};
@@ -0,0 +1,31 @@
+import { parentPort, workerData } from 'node:worker_threads';
+import { renderTasks } from './render.js';
+import { runInTraceContext, startTracing } from './tracing.js';
+
+// Les messages sont traités un par un : une tâche asynchrone (chargement
+// des composants) se termine avant le rendu suivant.
+// Chaque worker exporte ses propres spans (voir loadTracingConfig), démarrés avant le premier rendu ;
+// si le SDK ne se charge pas, le worker rend sans tracing.
+let previous = workerData?.tracing
+  ? startTracing(workerData.tracing).catch(() => {})
+  : Promise.resolve();
+
+// Modules chargés : le pool ne compte le timeout des rendus qu'à partir de ce message
+previous.then(() => parentPort.postMessage({ ready: true }));
+
+/**
+ * Worker de rendu : exécute mjml2html hors de la boucle d'événements principale,
+ * dans le contexte de trace de l'appelant (trace)
+ */
+parentPort.on('message', ({
+  task, payload, broadcast, trace,
+}) => {
+  previous = previous.then(async () => {
+    try {
+      const result = await runInTraceContext(trace, () => renderTasks[task](payload));
+      parentPort.postMessage({ broadcast, result });
+    } catch (error) {
+      parentPort.postMessage({ broadcast, error: { message: error.message, stack: error.stack } });
+    }
+  });
+});
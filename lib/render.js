@@ -0,0 +1,248 @@
+import mjml2html from 'mjml';
+import { auditAccessibility } from './accessibility.js';
+import { applyPresets, loadComponents } from './components.js';
+import { setDocumentLocale } from './i18n.js';
+import { processImages } from './images.js';
+import { mapIncludeLines } from './includes.js';
+import { lintMjml } from './lint.js';
+import { postProcessResult } from './postprocess.js';
+import { applyTemplate } from './template.js';
+import { addOpenPixel, trackLinks } from './tracking.js';
+import { htmlToText } from './text.js';
+import { flushTracing, withSpan } from './tracing.js';
+
+export const MAX_MJML_SIZE = 1024 * 1024;
+
+/**
+ * Statut HTTP associé à chaque code d'erreur de rendu
+ */
+export const ERROR_STATUS = {
+  CONTENT_TOO_LARGE: 413,
+  TEMPLATE_ERROR: 400,
+  INCLUDE_ERROR: 400,
+  UNKNOWN_LOCALE: 400,
+  IMAGE_ERROR: 400,
+  TRACKING_NOT_CONFIGURED: 400,
+  COMPILATION_ERROR: 400,
+  NO_OUTPUT: 500,
+};
+
+const formatErrors = (errors) => errors.map((e) => ({
+  line: e.line,
+  message: e.message,
+  tagName: e.tagName,
+}));
+
+/**
+ * Source MJML prête à compiler : fusion des données, traductions et liens suivis.
+ * Retourne { success: true, source, trackedLinks } ou une erreur au format des rendus.
+ * Partagée par le rendu, le lint et l'audit d'accessibilité, qui analysent la même source.
+ */
+export const prepareSource = (mjml, {
+  data,
+  templateEngine,
+  partials,
+  translation,
+  tracking,
+}) => {
+  if (mjml.length > MAX_MJML_SIZE) {
+    return {
+      success: false,
+      error: 'MJML content is too large (max 1MB)',
+      code: 'CONTENT_TOO_LARGE',
+    };
+  }
+
+  let source = mjml;
+
+  if (data !== undefined || translation) {
+    const template = applyTemplate(mjml, data ?? {}, { engine: templateEngine, partials, translation });
+
+    if (template.errors.length > 0) {
+      return {
+        success: false,
+        error: 'Template rendering failed',
+        code: 'TEMPLATE_ERROR',
+        errors: template.errors,
+      };
+    }
+
+    source = template.mjml;
+  }
+
+  if (translation) {
+    source = setDocumentLocale(source, translation.locale);
+  }
+
+  let trackedLinks;
+
+  if (tracking) {
+    ({ mjml: source, ...trackedLinks } = trackLinks(source, tracking));
+  }
+
+  return { success: true, source, trackedLinks };
+};
+
+/**
+ * Compile la source préparée en HTML et produit les sorties demandées
+ */
+const compileSource = ({ source, trackedLinks }, {
+  tracking,
+  mjmlOptions = {},
+  outputs = ['html'],
+}) => {
+  let html;
+  let errors;
+
+  try {
+    // Les mj-include sont développés en amont (voir includes.js) : mjml ne lit jamais le disque
+    ({ html, errors } = mjml2html(applyPresets(source), {
+      ...mjmlOptions,
+      filePath: '.',
+      ignoreIncludes: true,
+    }));
+  } catch (error) {
+    // validationLevel: 'strict' lève une ValidationError portant les erreurs
+    if (!Array.isArray(error.errors)) {
+      throw error;
+    }
+    errors = error.errors;
+  }
+
+  if (errors && errors.length > 0) {
+    return {
+      success: false,
+      error: 'MJML compilation failed',
+      code: 'COMPILATION_ERROR',
+      errors: formatErrors(errors),
+    };
+  }
+
+  if (!html || typeof html !== 'string') {
+    return {
+      success: false,
+      error: 'Failed to generate HTML',
+      code: 'NO_OUTPUT',
+    };
+  }
+
+  const openPixel = Boolean(tracking?.openUrl) && /<\/body>/i.test(html);
+  if (openPixel) {
+    html = addOpenPixel(html, tracking);
+  }
+
+  const result = { success: true };
+
+  if (outputs.includes('html')) {
+    result.html = html;
+  }
+
+  if (outputs.includes('text')) {
+    result.text = htmlToText(html);
+  }
+
+  if (tracking) {
+    result.meta = { tracking: { ...trackedLinks, openPixel } };
+  }
+
+  return result;
+};
+
+// Spans OpenTelemetry (voir tracing.js) : parse pour la préparation de la source, render pour la compilation
+const parse = (mjml, options) => withSpan('mjml.parse', { 'mjml.size': mjml.length }, () => prepareSource(mjml, options));
+
+const compile = (prepared, options) => withSpan('mjml.render', {
+  'mjml.outputs': (options.outputs ?? ['html']).join(','),
+}, () => compileSource(prepared, options));
+
+/**
+ * Compile un template MJML (avec fusion optionnelle des données) en HTML.
+ * mjmlOptions doit déjà être résolu (voir resolveMjmlOptions).
+ * Avec translation ({ locale, messages }), les clés {{t}} sont traduites et lang/dir posés sur <mjml>.
+ * Avec tracking (voir resolveTracking), les liens sont réécrits après la fusion des données
+ * et le manifeste est rapporté dans meta.tracking.
+ *
+ * Retourne { success: true, html?, text?, meta? } (selon outputs) ou { success: false, error, code, errors? },
+ * le format des items de /render-batch.
+ */
+export const renderMjml = (mjml, options = {}) => {
+  const prepared = parse(mjml, options);
+  return prepared.success ? compile(prepared, options) : prepared;
+};
+
+/**
+ * renderMjml avec traitement des mj-image (voir processImages et resolveImages) :
+ * le rapport est dans meta.images et les images embarquées en cid: dans attachments.
+ */
+export const renderMjmlWithImages = async (mjml, options) => {
+  const prepared = parse(mjml, options);
+  if (!prepared.success) {
+    return prepared;
+  }
+
+  const processed = await withSpan('mjml.images', {
+    'mjml.images.embed': options.images.embed,
+  }, () => processImages(prepared.source, options.images));
+  if (!processed.success) {
+    return processed;
+  }
+
+  const result = compile({ ...prepared, source: processed.mjml }, options);
+  if (!result.success) {
+    return result;
+  }
+
+  return {
+    ...result,
+    ...(processed.attachments.length > 0 ? { attachments: processed.attachments } : {}),
+    meta: { ...result.meta, images: processed.images },
+  };
+};
+
+/**
+ * Rendu avec images et post-traitement (asynchrones)
+ */
+const renderWithAssets = async ({ mjml, options, lines }) => {
+  const rendered = options.images ? await renderMjmlWithImages(mjml, options) : renderMjml(mjml, options);
+  const result = mapIncludeLines(rendered, lines);
+
+  if (!options.postProcess || !result.success) {
+    return result;
+  }
+
+  return withSpan('mjml.postprocess', {
+    'mjml.postprocess.steps': options.postProcess.steps.join(','),
+  }, () => postProcessResult(result, options.postProcess));
+};
+
+/**
+ * Valide un template MJML sans fusion de données (utilisé à l'enregistrement)
+ */
+export const validateMjml = (mjml) => {
+  const { errors } = mjml2html(applyPresets(mjml), {
+    validationLevel: 'soft',
+    filePath: '.',
+    ignoreIncludes: true,
+  });
+
+  return formatErrors(errors || []);
+};
+
+/**
+ * Tâches exécutables par le pool de rendu (voir worker-pool.js).
+ * `lines` accompagne un mjml aux includes développés : les lignes sont rapportées aux fichiers inclus.
+ * options.images (voir resolveImages) traite les mj-image avant la compilation ;
+ * options.postProcess (voir resolvePostProcess) est appliqué au HTML rendu, le texte reste tiré du HTML d'origine.
+ */
+export const renderTasks = {
+  // Asynchrone seulement avec images ou post-traitement
+  render: (payload) => (payload.options?.images || payload.options?.postProcess
+    ? renderWithAssets(payload)
+    : mapIncludeLines(renderMjml(payload.mjml, payload.options), payload.lines)),
+  validate: ({ mjml, lines }) => mapIncludeLines(validateMjml(mjml), lines),
+  lint: ({ mjml, options, lines }) => mapIncludeLines(lintMjml(mjml, options), lines),
+  accessibility: ({ mjml, options, lines }) => mapIncludeLines(auditAccessibility(mjml, options), lines),
+  loadComponents: ({ directory }) => loadComponents(directory),
+  // Exporte les spans du worker avant son arrêt
+  flushTracing: () => flushTracing(),
+};
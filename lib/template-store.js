@@ -0,0 +1,206 @@
+import { randomUUID } from 'node:crypto';
+import { mkdir, readFile, readdir, rm, writeFile, rename } from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Identifiants autorisés : ils servent de nom de fichier dans le backend disque
+ */
+export const TEMPLATE_ID_PATTERN = '^[A-Za-z0-9_-]{1,128}$';
+
+const idRegex = new RegExp(TEMPLATE_ID_PATTERN);
+
+/**
+ * Résumé d'un template (sans le contenu MJML des versions)
+ */
+export const summarizeTemplate = (record) => ({
+  id: record.id,
+  description: record.description,
+  version: record.versions.length,
+  createdAt: record.createdAt,
+  updatedAt: record.updatedAt,
+});
+
+/**
+ * Lit la configuration du registre depuis l'environnement :
+ * - TEMPLATE_STORE : directory (défaut) ou memory
+ * - TEMPLATE_STORE_DIR : dossier du backend directory
+ */
+export const loadTemplateStoreConfig = (env = process.env) => ({
+  backend: env.TEMPLATE_STORE === 'memory' ? 'memory' : 'directory',
+  directory: env.TEMPLATE_STORE_DIR || './data/templates',
+});
+
+// ============ BACKENDS ============
+// Un backend expose : list(), get(id), put(record), remove(id)
+
+/**
+ * Backend en mémoire (tests, déploiements éphémères)
+ */
+export const createMemoryBackend = () => {
+  const records = new Map();
+
+  return {
+    async list() {
+      return [...records.values()];
+    },
+    async get(id) {
+      return records.get(id) ?? null;
+    },
+    async put(record) {
+      records.set(record.id, structuredClone(record));
+    },
+    async remove(id) {
+      return records.delete(id);
+    },
+  };
+};
+
+/**
+ * Backend disque : un fichier JSON par template, toutes versions incluses
+ */
+export const createDirectoryBackend = (directory) => {
+  const fileFor = (id) => path.join(directory, `${id}.json`);
+  const ready = mkdir(directory, { recursive: true });
+
+  return {
+    async list() {
+      await ready;
+      const files = (await readdir(directory)).filter((file) => file.endsWith('.json'));
+      return Promise.all(files.map(async (file) => JSON.parse(await readFile(path.join(directory, file), 'utf8'))));
+    },
+    async get(id) {
+      await ready;
+      try {
+        return JSON.parse(await readFile(fileFor(id), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    },
+    async put(record) {
+      await ready;
+      // Écriture atomique pour ne jamais laisser un fichier tronqué ; un fichier temporaire par écriture
+      const tmp = `${fileFor(record.id)}.${randomUUID()}.tmp`;
+      await writeFile(tmp, JSON.stringify(record, null, 2));
+      await rename(tmp, fileFor(record.id));
+    },
+    async remove(id) {
+      await ready;
+      try {
+        await rm(fileFor(id));
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return false;
+        }
+        throw error;
+      }
+    },
+  };
+};
+
+// ============ STORE ============
+
+/**
+ * Registre de templates versionnés au-dessus d'un backend.
+ * Chaque create/update ajoute une version ; les versions sont numérotées à partir de 1.
+ * Les écritures d'un même id sont exécutées l'une après l'autre, sur l'enregistrement relu :
+ * deux mises à jour simultanées produisent deux versions.
+ */
+export const createTemplateStore = (backend) => {
+  const locks = new Map();
+
+  // File d'attente par id : fn démarre quand l'écriture précédente est terminée
+  const exclusive = (id, fn) => {
+    const run = (locks.get(id) ?? Promise.resolve()).then(fn);
+    const done = run.catch(() => {});
+    locks.set(id, done);
+    done.then(() => {
+      if (locks.get(id) === done) {
+        locks.delete(id);
+      }
+    });
+    return run;
+  };
+
+  return {
+    isValidId: (id) => idRegex.test(id),
+
+    async list() {
+      const records = await backend.list();
+      return records.map(summarizeTemplate).sort((a, b) => a.id.localeCompare(b.id));
+    },
+
+    async get(id) {
+      return backend.get(id);
+    },
+
+    /**
+     * Retourne une version précise (ou la dernière) : { id, version, mjml, createdAt }
+     */
+    async getVersion(id, version) {
+      const record = await backend.get(id);
+      if (!record) {
+        return null;
+      }
+
+      const entry = version === undefined
+        ? record.versions[record.versions.length - 1]
+        : record.versions.find((v) => v.version === version);
+
+      return entry ? { id, ...entry } : null;
+    },
+
+    /**
+     * Crée la version 1 ; retourne null si l'id existe déjà
+     */
+    create(id, { mjml, description }) {
+      return exclusive(id, async () => {
+        if (await backend.get(id)) {
+          return null;
+        }
+
+        const now = new Date().toISOString();
+        const record = {
+          id,
+          description,
+          createdAt: now,
+          updatedAt: now,
+          versions: [{ version: 1, mjml, createdAt: now }],
+        };
+
+        await backend.put(record);
+        return record;
+      });
+    },
+
+    /**
+     * Ajoute une version ; retourne null si le template n'existe pas (ou plus)
+     */
+    update(id, { mjml, description }) {
+      return exclusive(id, async () => {
+        const record = await backend.get(id);
+        if (!record) {
+          return null;
+        }
+
+        const now = new Date().toISOString();
+        const updated = {
+          ...record,
+          description: description ?? record.description,
+          updatedAt: now,
+          versions: [...record.versions, { version: record.versions.length + 1, mjml, createdAt: now }],
+        };
+
+        await backend.put(updated);
+        return updated;
+      });
+    },
+
+    remove(id) {
+      return exclusive(id, () => backend.remove(id));
+    },
+  };
+};
@@ -0,0 +1,213 @@
+import Handlebars from 'handlebars';
+import Mustache from 'mustache';
+import { formatMessage } from './i18n.js';
+
+/**
+ * Moteurs de template supportés pour la fusion des données dans le MJML
+ */
+export const TEMPLATE_ENGINES = ['handlebars', 'mustache'];
+
+/**
+ * Convertit un offset de caractère en numéro de ligne (1-based)
+ */
+const lineAt = (source, offset) => source.slice(0, offset).split('\n').length;
+
+const templateError = (line, message) => ({
+  line,
+  message,
+  tagName: null,
+});
+
+// ============ HANDLEBARS ============
+
+const renderHandlebars = (source, data, partials, translation) => {
+  const env = Handlebars.create();
+  const compileOptions = { strict: true };
+
+  if (translation) {
+    // {{t "welcome.title" count=items.length}} : les variables du contexte et du hash sont passées au message
+    env.registerHelper('t', function t(key, options) {
+      try {
+        return formatMessage(translation.messages, translation.locale, key, { ...this, ...options.hash });
+      } catch (error) {
+        error.lineNumber = options.loc?.start.line;
+        throw error;
+      }
+    });
+  }
+
+  for (const [name, partial] of Object.entries(partials)) {
+    env.registerPartial(name, env.compile(partial, compileOptions));
+  }
+
+  return env.compile(source, compileOptions)(data);
+};
+
+// Variable absente en mode strict : Exception de Handlebars, ou TypeError brute sur un contexte primitif / un parent absent
+const MISSING_VARIABLE_ERRORS = [
+  /^"([^"]+)" not defined in /,
+  /^Cannot use 'in' operator to search for '([^']+)'/,
+  /^Cannot read properties of (?:undefined|null) \(reading '([^']+)'\)/,
+];
+
+/**
+ * Expressions de chemin du template ({{ user.email }}, paramètres des helpers...), dans l'ordre du source
+ */
+const pathExpressions = (source) => {
+  const paths = [];
+  const visitor = new Handlebars.Visitor();
+  visitor.PathExpression = (node) => {
+    paths.push(node);
+  };
+  visitor.accept(Handlebars.parse(source));
+
+  return paths.sort((a, b) => a.loc.start.line - b.loc.start.line || a.loc.start.column - b.loc.start.column);
+};
+
+/**
+ * Retrouve le chemin complet de la variable absente, pour un message identique à celui de Mustache.
+ * Handlebars ne nomme que le dernier segment ("email" pour user.email) et les TypeError n'ont pas de position.
+ */
+const missingPath = (source, error) => {
+  const name = MISSING_VARIABLE_ERRORS.map((pattern) => pattern.exec(error.message)?.[1]).find(Boolean);
+  if (!name) {
+    return null;
+  }
+
+  let paths;
+  try {
+    paths = pathExpressions(source);
+  } catch {
+    return null;
+  }
+
+  if (error.lineNumber !== undefined) {
+    return paths.find((node) => node.loc.start.line === error.lineNumber && node.loc.start.column === error.column) ?? null;
+  }
+
+  return paths.find((node) => node.parts.includes(name)) ?? null;
+};
+
+const handlebarsErrors = (source, error) => {
+  const missing = missingPath(source, error);
+  if (missing) {
+    return [templateError(missing.loc.start.line, `"${missing.original}" not defined`)];
+  }
+
+  // Les erreurs de parsing n'exposent la ligne que dans le message
+  const parseLine = /Parse error on line (\d+)/.exec(error.message);
+  const line = error.lineNumber ?? (parseLine ? parseInt(parseLine[1], 10) : null);
+  // Le contexte parent n'est pas lisible ("[object Object]"), ou absent ("undefined") si le parent manque
+  const message = error.message
+    .replace(/ in (?:\[object Object\]|undefined|null)/, '')
+    .replace(/ - \d+:\d+$/, '');
+
+  return [templateError(line, message)];
+};
+
+// ============ MUSTACHE ============
+
+/**
+ * Parcourt les tokens Mustache pour détecter les variables absentes du contexte.
+ * Les sections (#/^) sont des conditions : une valeur absente y est simplement fausse.
+ */
+const findMissingVariables = (source, tokens, context, partials, errors, depth = 0) => {
+  for (const token of tokens) {
+    const [type, name, start] = token;
+
+    if (type === 'name' || type === '&') {
+      if (context.lookup(name) === undefined) {
+        errors.push(templateError(lineAt(source, start), `"${name}" not defined`));
+      }
+    } else if (type === '#') {
+      const value = context.lookup(name);
+      const children = token[4];
+
+      if (Array.isArray(value)) {
+        value.forEach((entry) => {
+          findMissingVariables(source, children, context.push(entry), partials, errors, depth);
+        });
+      } else if (value && typeof value === 'object') {
+        findMissingVariables(source, children, context.push(value), partials, errors, depth);
+      } else if (value && typeof value !== 'function') {
+        findMissingVariables(source, children, context, partials, errors, depth);
+      }
+    } else if (type === '^') {
+      const value = context.lookup(name);
+
+      if (!value || (Array.isArray(value) && value.length === 0)) {
+        findMissingVariables(source, token[4], context, partials, errors, depth);
+      }
+    } else if (type === '>') {
+      if (partials[name] === undefined) {
+        errors.push(templateError(lineAt(source, start), `The partial ${name} could not be found`));
+      } else if (depth < 10) {
+        const partial = partials[name];
+        findMissingVariables(partial, Mustache.parse(partial), context, partials, errors, depth + 1);
+      }
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * {{#t}}welcome.title{{/t}} : lambda Mustache, les variables du contexte sont passées au message.
+ * Le message est échappé comme une variable {{ }}.
+ */
+const mustacheTranslator = ({ messages, locale }) => () => function translate(key) {
+  try {
+    return Mustache.escape(formatMessage(messages, locale, key.trim(), this));
+  } catch (error) {
+    error.templateErrors = [templateError(null, error.message)];
+    throw error;
+  }
+};
+
+const renderMustache = (source, data, partials, translation) => {
+  const view = translation ? { ...data, t: mustacheTranslator(translation) } : data;
+  const errors = findMissingVariables(source, Mustache.parse(source), new Mustache.Context(view), partials, []);
+
+  if (errors.length > 0) {
+    const error = new Error(errors[0].message);
+    error.templateErrors = errors;
+    throw error;
+  }
+
+  return Mustache.render(source, view, partials);
+};
+
+const mustacheErrors = (source, error) => {
+  if (error.templateErrors) {
+    return error.templateErrors;
+  }
+
+  // Erreurs de parsing : "Unclosed section "x" at 42"
+  const position = /at (\d+)$/.exec(error.message);
+  const line = position ? lineAt(source, parseInt(position[1], 10)) : null;
+  return [templateError(line, error.message)];
+};
+
+// ============ API ============
+
+/**
+ * Fusionne les données dans un template MJML avant compilation.
+ * Les valeurs sont échappées en HTML par défaut ({{{ }}} pour du HTML brut).
+ * Avec `translation` ({ locale, messages }, voir i18n.js), le helper t traduit les clés de message.
+ *
+ * Retourne { mjml, errors } sur le même modèle que mjml2html.
+ */
+export const applyTemplate = (source, data, { engine = 'handlebars', partials = {}, translation } = {}) => {
+  try {
+    const mjml = engine === 'mustache'
+      ? renderMustache(source, data, partials, translation)
+      : renderHandlebars(source, data, partials, translation);
+
+    return { mjml, errors: [] };
+  } catch (error) {
+    return {
+      mjml: null,
+      errors: engine === 'mustache' ? mustacheErrors(source, error) : handlebarsErrors(source, error),
+    };
+  }
+};
@@ -0,0 +1,36 @@
+import { compile } from 'html-to-text';
+
+/**
+ * Formats de sortie disponibles pour le rendu
+ */
+export const OUTPUT_FORMATS = ['html', 'text'];
+
+const convert = compile({
+  wordwrap: 78,
+  selectors: [
+    // Preheader (mj-preview) et tout contenu masqué
+    { selector: '[style*="display:none"]', format: 'skip' },
+    { selector: '[style*="display: none"]', format: 'skip' },
+    // Images : pixels de tracking (mj-raw) et visuels n'ont pas de sens en texte brut
+    { selector: 'img', format: 'skip' },
+    { selector: 'a', options: { hideLinkHrefIfSameAsText: true } },
+    { selector: 'h1', options: { uppercase: false } },
+    { selector: 'h2', options: { uppercase: false } },
+    { selector: 'h3', options: { uppercase: false } },
+    { selector: 'h4', options: { uppercase: false } },
+    { selector: 'h5', options: { uppercase: false } },
+    { selector: 'h6', options: { uppercase: false } },
+    { selector: 'table', format: 'block' },
+    { selector: 'tr', format: 'block' },
+    { selector: 'td', format: 'block' },
+  ],
+});
+
+/**
+ * Génère l'alternative text/plain d'un email à partir du HTML rendu.
+ * Les liens sont écrits en ligne : "texte [https://...]".
+ */
+export const htmlToText = (html) => convert(html)
+  .replace(/[ \t]+$/gm, '')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
@@ -0,0 +1,161 @@
+import {
+  context,
+  propagation,
+  SpanKind,
+  SpanStatusCode,
+  trace,
+} from '@opentelemetry/api';
+
+// Sans fournisseur enregistré (tracing désactivé), les spans ne coûtent rien et ne sont pas exportés
+const tracer = trace.getTracer('mjml-server');
+
+// Fournisseur démarré par startTracing dans ce thread
+let provider = null;
+
+/**
+ * Lit la configuration du tracing OpenTelemetry (variables standard OTLP) :
+ * - OTEL_EXPORTER_OTLP_TRACES_ENDPOINT : URL d'export des spans (ex. http://localhost:4318/v1/traces)
+ * - OTEL_EXPORTER_OTLP_ENDPOINT : URL du collecteur, /v1/traces ajouté
+ * - OTEL_SERVICE_NAME : nom du service dans les traces (défaut mjml-server)
+ * Sans URL, le tracing est désactivé.
+ */
+export const loadTracingConfig = (env = process.env) => {
+  const base = env.OTEL_EXPORTER_OTLP_ENDPOINT?.replace(/\/+$/, '');
+
+  return {
+    endpoint: env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT || (base ? `${base}/v1/traces` : null),
+    serviceName: env.OTEL_SERVICE_NAME || 'mjml-server',
+  };
+};
+
+/**
+ * Démarre le tracing dans le thread courant (thread principal et chaque worker de rendu) :
+ * export OTLP/HTTP par lots vers endpoint, ou export immédiat vers exporter (tests).
+ * Sans l'un ni l'autre, ou déjà démarré, ne fait rien. Retourne true si cet appel l'a démarré.
+ * Le SDK n'est chargé qu'ici : sans tracing, seule l'API (sans effet) est importée.
+ */
+export const startTracing = async ({ endpoint, serviceName, exporter }) => {
+  if (provider || (!endpoint && !exporter)) {
+    return false;
+  }
+
+  const [
+    { BatchSpanProcessor, NodeTracerProvider, SimpleSpanProcessor },
+    { OTLPTraceExporter },
+    { resourceFromAttributes },
+  ] = await Promise.all([
+    import('@opentelemetry/sdk-trace-node'),
+    import('@opentelemetry/exporter-trace-otlp-http'),
+    import('@opentelemetry/resources'),
+  ]);
+
+  // Démarré entre-temps par un autre appel
+  if (provider) {
+    return false;
+  }
+
+  provider = new NodeTracerProvider({
+    resource: resourceFromAttributes({ 'service.name': serviceName }),
+    spanProcessors: [exporter
+      ? new SimpleSpanProcessor(exporter)
+      : new BatchSpanProcessor(new OTLPTraceExporter({ url: endpoint }))],
+  });
+  provider.register();
+  return true;
+};
+
+/**
+ * Exporte les spans en attente du thread courant
+ */
+export const flushTracing = async () => {
+  await provider?.forceFlush();
+};
+
+/**
+ * Exporte les spans en attente et arrête le tracing du thread courant
+ */
+export const stopTracing = async () => {
+  if (!provider) {
+    return;
+  }
+
+  const stopped = provider;
+  provider = null;
+  await stopped.shutdown();
+  trace.disable();
+  context.disable();
+  propagation.disable();
+};
+
+/**
+ * Exécute fn(span) dans un span enfant du contexte courant, synchrone ou non selon fn.
+ * Un résultat { success: false, code } (format des rendus) ou une exception marquent le span en erreur.
+ */
+export const withSpan = (name, attributes, fn) => tracer.startActiveSpan(name, { attributes }, (span) => {
+  const end = (result) => {
+    if (result?.success === false) {
+      span.setStatus({ code: SpanStatusCode.ERROR, message: result.code });
+    }
+    span.end();
+    return result;
+  };
+
+  const fail = (error) => {
+    span.recordException(error);
+    span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+    span.end();
+    throw error;
+  };
+
+  try {
+    const result = fn(span);
+    return result instanceof Promise ? result.then(end, fail) : end(result);
+  } catch (error) {
+    return fail(error);
+  }
+});
+
+/**
+ * Contexte de trace courant (en-têtes W3C traceparent), transmis aux workers de rendu
+ */
+export const traceContext = () => {
+  const carrier = {};
+  propagation.inject(context.active(), carrier);
+  return carrier;
+};
+
+/**
+ * Exécute fn dans le contexte de trace transmis par traceContext
+ */
+export const runInTraceContext = (carrier, fn) => context.with(propagation.extract(context.active(), carrier ?? {}), fn);
+
+/**
+ * Span d'une requête HTTP, parent des spans de rendu : démarré à la réception, terminé à la réponse.
+ * Rattaché à la trace de l'appelant si la requête porte un en-tête traceparent.
+ */
+export const startRequestSpan = ({
+  method, route, requestId, headers,
+}) => tracer.startSpan(`${method} ${route}`, {
+  kind: SpanKind.SERVER,
+  attributes: {
+    'http.request.method': method,
+    'http.route': route,
+    'mjml.request_id': requestId,
+  },
+}, propagation.extract(context.active(), headers));
+
+/**
+ * Exécute fn avec span comme span actif
+ */
+export const runInSpan = (span, fn) => context.with(trace.setSpan(context.active(), span), fn);
+
+/**
+ * Termine le span d'une requête avec son statut HTTP
+ */
+export const endRequestSpan = (span, statusCode) => {
+  span.setAttribute('http.response.status_code', statusCode);
+  if (statusCode >= 500) {
+    span.setStatus({ code: SpanStatusCode.ERROR });
+  }
+  span.end();
+};
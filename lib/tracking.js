@@ -0,0 +1,238 @@
+import { createHmac, timingSafeEqual } from 'node:crypto';
+import * as mjmlCore from 'mjml-core';
+// Enregistre les composants standard dans mjml-core
+import 'mjml';
+
+export const UTM_PARAMETERS = ['source', 'medium', 'campaign', 'term', 'content'];
+
+// Attribut posé par l'auteur sur un lien à ne pas réécrire
+export const NOTRACK_ATTRIBUTE = 'data-notrack';
+
+// Accepté par la validation mjml sur mj-button et mj-image (et ignoré au rendu), avec ou sans tracking
+for (const tagName of ['mj-button', 'mj-image']) {
+  const Component = mjmlCore.components[tagName];
+  Component.allowedAttributes = { ...Component.allowedAttributes, [NOTRACK_ATTRIBUTE]: 'string' };
+}
+
+export const trackingSchema = {
+  type: 'object',
+  additionalProperties: false,
+  description: 'Link tracking: UTM parameters, signed click redirects and open pixel',
+  properties: {
+    utm: {
+      type: 'object',
+      additionalProperties: false,
+      description: 'utm_* parameters added to every tracked link (merged over the server defaults)',
+      properties: Object.fromEntries(UTM_PARAMETERS.map((name) => [name, { type: 'string', minLength: 1 }])),
+    },
+    clickTracking: {
+      type: 'boolean',
+      description: 'Wrap links in the signed click redirect URL (TRACKING_CLICK_URL)',
+    },
+    openTracking: {
+      type: 'boolean',
+      description: 'Add the open tracking pixel (TRACKING_OPEN_URL) before </body>',
+    },
+    messageId: {
+      type: 'string',
+      description: 'Carried in tracking tokens (defaults to the item id in batches)',
+    },
+    recipientId: {
+      type: 'string',
+      description: 'Carried in tracking tokens',
+    },
+  },
+};
+
+/**
+ * Lit la configuration du tracking :
+ * - TRACKING_SECRET : clé HMAC des jetons de redirection et du pixel
+ * - TRACKING_CLICK_URL : URL de redirection des clics (le jeton est ajouté en paramètre t)
+ * - TRACKING_OPEN_URL : URL du pixel d'ouverture (même paramètre t)
+ * - TRACKING_UTM : paramètres utm par défaut (JSON, ex. {"source":"newsletter","medium":"email"})
+ */
+export const loadTrackingConfig = (env = process.env) => {
+  const utm = env.TRACKING_UTM ? JSON.parse(env.TRACKING_UTM) : {};
+
+  const unknown = Object.keys(utm).filter((name) => !UTM_PARAMETERS.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown UTM parameter(s) in TRACKING_UTM: ${unknown.join(', ')}`);
+  }
+
+  return {
+    secret: env.TRACKING_SECRET || null,
+    clickUrl: env.TRACKING_CLICK_URL || null,
+    openUrl: env.TRACKING_OPEN_URL || null,
+    utm,
+  };
+};
+
+/**
+ * Options de tracking d'une requête, complétées par la configuration du serveur.
+ * Retourne { tracking } (undefined sans tracking demandé) ou { error } si la redirection
+ * ou le pixel sont demandés sans être configurés.
+ */
+export const resolveTracking = (requested, config) => {
+  if (!requested) {
+    return { tracking: undefined };
+  }
+
+  const missing = [
+    requested.clickTracking && !config.clickUrl && 'TRACKING_CLICK_URL',
+    requested.openTracking && !config.openUrl && 'TRACKING_OPEN_URL',
+    (requested.clickTracking || requested.openTracking) && !config.secret && 'TRACKING_SECRET',
+  ].filter(Boolean);
+
+  if (missing.length > 0) {
+    return { error: `Tracking is not configured on this server (${missing.join(', ')})` };
+  }
+
+  return {
+    tracking: {
+      utm: { ...config.utm, ...requested.utm },
+      clickUrl: requested.clickTracking ? config.clickUrl : undefined,
+      openUrl: requested.openTracking ? config.openUrl : undefined,
+      secret: requested.clickTracking || requested.openTracking ? config.secret : undefined,
+      messageId: requested.messageId,
+      recipientId: requested.recipientId,
+    },
+  };
+};
+
+// ============ JETONS ============
+
+const signature = (data, secret) => createHmac('sha256', secret).update(data).digest('base64url');
+
+/**
+ * Jeton signé <données base64url>.<HMAC-SHA256 base64url>
+ */
+export const signTrackingToken = (data, secret) => {
+  const encoded = Buffer.from(JSON.stringify(data)).toString('base64url');
+  return `${encoded}.${signature(encoded, secret)}`;
+};
+
+/**
+ * Données d'un jeton (pour le service de redirection), ou null si la signature est invalide
+ */
+export const verifyTrackingToken = (token, secret) => {
+  const [encoded, signed] = String(token).split('.');
+  if (!encoded || !signed) {
+    return null;
+  }
+
+  const expected = Buffer.from(signature(encoded, secret));
+  const actual = Buffer.from(signed);
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+};
+
+const trackingUrl = (base, token) => `${base}${base.includes('?') ? '&' : '?'}t=${token}`;
+
+// ============ LIENS ============
+
+// Balises MJML portant un lien, et <a> du contenu de mj-text
+const LINK_TAG = /<(mj-button|mj-image|a)(\s[^>]*?)?(\/?)>/g;
+
+const HREF = /(\shref\s*=\s*)(?:"([^"]*)"|'([^']*)')/i;
+
+const NOTRACK = new RegExp(`\\s${NOTRACK_ATTRIBUTE}(?:\\s*=\\s*(?:"[^"]*"|'[^']*'))?(?=[\\s/>]|$)`, 'i');
+
+// Entités produites par l'échappement des variables de template dans un href
+const ENTITIES = {
+  '&amp;': '&', '&quot;': '"', '&#x27;': "'", '&#39;': "'", '&#x3D;': '=', '&#x60;': '`',
+};
+
+const decodeHref = (href) => href.replace(/&(?:amp|quot|#x27|#39|#x3D|#x60);/g, (entity) => ENTITIES[entity]);
+
+const encodeHref = (href) => href.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+
+/**
+ * Ajoute les paramètres utm absents de l'URL ; retourne null pour un lien non suivi
+ * (mailto:, tel:, ancre, lien relatif ou variable non résolue)
+ */
+const destination = (href, utm) => {
+  let url;
+  try {
+    url = new URL(decodeHref(href.trim()));
+  } catch {
+    return null;
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return null;
+  }
+
+  for (const name of UTM_PARAMETERS) {
+    if (utm[name] && !url.searchParams.has(`utm_${name}`)) {
+      url.searchParams.set(`utm_${name}`, utm[name]);
+    }
+  }
+
+  return url.toString();
+};
+
+/**
+ * Réécrit les liens de mj-body (mj-button, mj-image et <a> de mj-text) :
+ * paramètres utm, puis redirection signée si tracking.clickUrl est défini.
+ * Un lien avec data-notrack est laissé tel quel.
+ * Retourne { mjml, links, excluded } ; links est le manifeste { id, tag, url, href } des liens réécrits.
+ */
+export const trackLinks = (mjml, tracking) => {
+  const bodyStart = mjml.search(/<mj-body\b/);
+  if (bodyStart === -1) {
+    return { mjml, links: [], excluded: 0 };
+  }
+
+  const links = [];
+  let excluded = 0;
+
+  const body = mjml.slice(bodyStart).replace(LINK_TAG, (tag, tagName, attributes = '', selfClosing) => {
+    if (NOTRACK.test(attributes)) {
+      excluded += 1;
+      return tag;
+    }
+
+    const match = HREF.exec(attributes);
+    const url = match ? destination(match[2] ?? match[3], tracking.utm) : null;
+    if (!url) {
+      return tag;
+    }
+
+    const id = links.length + 1;
+    const href = tracking.clickUrl
+      ? trackingUrl(tracking.clickUrl, signTrackingToken({
+        e: 'click',
+        l: id,
+        u: url,
+        m: tracking.messageId,
+        r: tracking.recipientId,
+      }, tracking.secret))
+      : url;
+
+    links.push({
+      id, tag: tagName, url, href,
+    });
+
+    return `<${tagName}${attributes.replace(HREF, (_, prefix) => `${prefix}"${encodeHref(href)}"`)}${selfClosing}>`;
+  });
+
+  return { mjml: mjml.slice(0, bodyStart) + body, links, excluded };
+};
+
+/**
+ * Ajoute le pixel d'ouverture (jeton signé) juste avant </body>
+ */
+export const addOpenPixel = (html, tracking) => {
+  const token = signTrackingToken({ e: 'open', m: tracking.messageId, r: tracking.recipientId }, tracking.secret);
+  const pixel = `<img src="${encodeHref(trackingUrl(tracking.openUrl, token))}" width="1" height="1" alt="" `
+    + 'style="display:block;width:1px;height:1px;border:0;" />';
+
+  return html.replace(/<\/body>/i, `${pixel}\n</body>`);
+};
@@ -0,0 +1,274 @@
+import { Worker } from 'node:worker_threads';
+import os from 'node:os';
+import { renderTasks } from './render.js';
+import { traceContext } from './tracing.js';
+
+const WORKER_FILE = new URL('./render-worker.js', import.meta.url);
+
+const poolError = (message, code) => Object.assign(new Error(message), { code });
+
+/**
+ * Lit la configuration du pool depuis l'environnement :
+ * - RENDER_WORKERS : nombre de workers (0 = rendu dans le thread principal)
+ * - RENDER_TIMEOUT_MS : durée max d'un rendu avant arrêt du worker
+ * - RENDER_MAX_QUEUE : nombre max de rendus en attente avant 503
+ */
+export const loadPoolConfig = (env = process.env) => ({
+  size: env.RENDER_WORKERS !== undefined
+    ? parseInt(env.RENDER_WORKERS, 10)
+    : Math.max(1, os.availableParallelism() - 1),
+  timeout: parseInt(env.RENDER_TIMEOUT_MS || '10000', 10),
+  maxQueue: parseInt(env.RENDER_MAX_QUEUE || '1000', 10),
+});
+
+/**
+ * Pool de worker threads pour le rendu MJML.
+ * Avec tracing ({ endpoint, serviceName }, voir loadTracingConfig), chaque worker exporte ses spans,
+ * rattachés à la trace active lors de run().
+ *
+ * run(task, payload) rejette avec :
+ * - code POOL_BUSY si la file d'attente est pleine
+ * - code RENDER_TIMEOUT si le rendu dépasse le timeout (le worker est remplacé) ;
+ *   le timeout ne court qu'une fois le worker prêt, le chargement de mjml n'est pas compté
+ */
+export const createWorkerPool = ({
+  size, timeout, maxQueue, tracing,
+}, log) => {
+  const workers = new Set();
+  const idle = [];
+  const queue = [];
+  const counters = {
+    completed: 0,
+    failed: 0,
+    timedOut: 0,
+    rejected: 0,
+  };
+  // Dernière diffusion de chaque tâche, rejouée sur les workers remplacés
+  const broadcasts = new Map();
+  let broadcastId = 0;
+  let closed = false;
+
+  const send = (worker, task, payload) => new Promise((resolve, reject) => {
+    broadcastId += 1;
+    worker.broadcasts.set(broadcastId, { resolve, reject });
+    worker.postMessage({ task, payload, broadcast: broadcastId });
+  });
+
+  const spawn = () => {
+    const worker = new Worker(WORKER_FILE, { workerData: { tracing } });
+    worker.job = null;
+    worker.ready = false;
+    worker.broadcasts = new Map();
+
+    broadcasts.forEach((payload, task) => {
+      send(worker, task, payload).catch((error) => {
+        log?.error({ err: error, task }, 'Render worker initialization failed');
+      });
+    });
+
+    worker.on('message', ({
+      ready, broadcast, result, error,
+    }) => {
+      if (ready) {
+        worker.ready = true;
+        if (worker.job) {
+          startTimer(worker, worker.job);
+        }
+        return;
+      }
+
+      if (broadcast !== undefined) {
+        const pending = worker.broadcasts.get(broadcast);
+        worker.broadcasts.delete(broadcast);
+
+        if (error) {
+          pending?.reject(Object.assign(new Error(error.message), { stack: error.stack }));
+        } else {
+          pending?.resolve(result);
+        }
+        return;
+      }
+
+      const { job } = worker;
+
+      // Réponse tardive d'un worker déjà arrêté pour timeout
+      if (!job) {
+        return;
+      }
+
+      worker.job = null;
+      clearTimeout(job.timer);
+
+      if (error) {
+        counters.failed += 1;
+        job.reject(Object.assign(new Error(error.message), { stack: error.stack }));
+      } else {
+        counters.completed += 1;
+        job.resolve(result);
+      }
+
+      release(worker);
+    });
+
+    worker.on('error', (error) => {
+      log?.error({ err: error }, 'Render worker crashed');
+    });
+
+    worker.on('exit', () => {
+      workers.delete(worker);
+      const index = idle.indexOf(worker);
+      if (index !== -1) {
+        idle.splice(index, 1);
+      }
+
+      worker.broadcasts.forEach(({ reject }) => {
+        reject(poolError('Render worker exited unexpectedly', 'PROCESSING_ERROR'));
+      });
+      worker.broadcasts.clear();
+
+      // Un worker mort en cours de tâche (crash ou timeout) est remplacé
+      if (worker.job) {
+        clearTimeout(worker.job.timer);
+        counters.failed += 1;
+        worker.job.reject(poolError('Render worker exited unexpectedly', 'PROCESSING_ERROR'));
+        worker.job = null;
+      }
+
+      if (!closed) {
+        release(spawn());
+      }
+    });
+
+    workers.add(worker);
+    return worker;
+  };
+
+  function startTimer(worker, job) {
+    job.timer = setTimeout(() => {
+      counters.timedOut += 1;
+      worker.job = null;
+      job.reject(poolError(`Render timed out after ${timeout}ms`, 'RENDER_TIMEOUT'));
+      worker.terminate();
+    }, timeout);
+  }
+
+  const dispatch = (worker, job) => {
+    worker.job = job;
+    // Worker encore en chargement : le timeout démarre à son message ready
+    if (worker.ready) {
+      startTimer(worker, job);
+    }
+
+    worker.postMessage({ task: job.task, payload: job.payload, trace: job.trace });
+  };
+
+  // Un worker libéré prend la prochaine tâche en attente
+  function release(worker) {
+    const next = queue.shift();
+    if (next) {
+      dispatch(worker, next);
+    } else {
+      idle.push(worker);
+    }
+  }
+
+  for (let i = 0; i < size; i += 1) {
+    idle.push(spawn());
+  }
+
+  return {
+    /**
+     * Indique si n tâches supplémentaires peuvent être mises en file
+     */
+    canAccept(n = 1) {
+      return queue.length + Math.max(0, n - idle.length) <= maxQueue;
+    },
+
+    run(task, payload) {
+      if (closed) {
+        return Promise.reject(poolError('Render pool is closed', 'POOL_BUSY'));
+      }
+
+      return new Promise((resolve, reject) => {
+        const job = {
+          task,
+          payload,
+          trace: traceContext(),
+          resolve,
+          reject,
+        };
+        const worker = idle.pop();
+
+        if (worker) {
+          dispatch(worker, job);
+        } else if (queue.length < maxQueue) {
+          queue.push(job);
+        } else {
+          counters.rejected += 1;
+          reject(poolError('Render queue is full', 'POOL_BUSY'));
+        }
+      });
+    },
+
+    /**
+     * Exécute la tâche sur chaque worker (hors file d'attente, après leur tâche en cours)
+     * et la rejoue sur les workers créés ensuite. Retourne les résultats par worker.
+     */
+    broadcast(task, payload) {
+      if (closed) {
+        return Promise.reject(poolError('Render pool is closed', 'POOL_BUSY'));
+      }
+
+      broadcasts.set(task, payload);
+      return Promise.all([...workers].map((worker) => send(worker, task, payload)));
+    },
+
+    stats() {
+      return {
+        workers: workers.size,
+        busy: workers.size - idle.length,
+        idle: idle.length,
+        queued: queue.length,
+        maxQueue,
+        timeout,
+        ...counters,
+      };
+    },
+
+    async close() {
+      closed = true;
+      queue.splice(0).forEach((job) => job.reject(poolError('Render pool is closed', 'POOL_BUSY')));
+
+      // Spans en attente dans les workers, exportés après leur tâche en cours
+      if (tracing) {
+        await Promise.all([...workers].map((worker) => send(worker, 'flushTracing').catch(() => {})));
+      }
+
+      await Promise.all([...workers].map((worker) => worker.terminate()));
+    },
+  };
+};
+
+/**
+ * Pool « inline » (RENDER_WORKERS=0) : même interface, rendu dans le thread principal
+ */
+export const createInlinePool = () => {
+  const counters = { completed: 0, failed: 0 };
+
+  return {
+    canAccept: () => true,
+    async run(task, payload) {
+      try {
+        const result = await renderTasks[task](payload);
+        counters.completed += 1;
+        return result;
+      } catch (error) {
+        counters.failed += 1;
+        throw error;
+      }
+    },
+    broadcast: async (task, payload) => [await renderTasks[task](payload)],
+    stats: () => ({ workers: 0, inline: true, ...counters }),
+    async close() {},
+  };
+};
@@ -0,0 +1,118 @@
+import test from 'ava';
+import { createApiKeyAuth, extractApiKey, loadApiKeysConfig } from '../lib/api-keys.js';
+
+const clock = (start = Date.UTC(2025, 0, 1, 12)) => {
+        let current = start;
+        const now = () => current;
+        now.advance = (ms) => {
+                current += ms;
+        };
+        return now;
+};
+
+const keyConfig = (overrides = {}) => ({
+        keys: [{
+                name: 'billing',
+                key: 'secret',
+                rateLimit: { capacity: 2, refillPerSecond: 1 },
+                dailyQuota: 5,
+                ...overrides,
+        }],
+});
+
+// ============ CONFIG TESTS ============
+
+test('loadApiKeysConfig reads name:key pairs from API_KEYS', (t) => {
+        const { keys } = loadApiKeysConfig({ API_KEYS: 'billing:abc, crm:def', API_DAILY_QUOTA: '100' });
+
+        t.deepEqual(keys.map((k) => [k.name, k.key, k.dailyQuota]), [['billing', 'abc', 100], ['crm', 'def', 100]]);
+        t.is(keys[0].rateLimit.capacity, 60);
+});
+
+test('loadApiKeysConfig flags admin keys from API_ADMIN_KEYS', (t) => {
+        const { keys } = loadApiKeysConfig({ API_KEYS: 'billing:abc, ops:def', API_ADMIN_KEYS: 'ops' });
+
+        t.deepEqual(keys.map((k) => [k.name, k.admin]), [['billing', false], ['ops', true]]);
+});
+
+test('loadApiKeysConfig without keys disables authentication', (t) => {
+        const auth = createApiKeyAuth(loadApiKeysConfig({}));
+
+        t.false(auth.enabled);
+});
+
+// ============ HEADER TESTS ============
+
+test('extractApiKey reads Bearer and X-API-Key headers', (t) => {
+        t.is(extractApiKey({ authorization: 'Bearer abc' }), 'abc');
+        t.is(extractApiKey({ 'x-api-key': 'def' }), 'def');
+        t.is(extractApiKey({ authorization: 'Basic xyz' }), null);
+});
+
+// ============ LIMIT TESTS ============
+
+test('authenticate rejects unknown keys', (t) => {
+        const auth = createApiKeyAuth(keyConfig());
+
+        t.truthy(auth.authenticate('secret'));
+        t.is(auth.authenticate('wrong'), null);
+        t.is(auth.authenticate(null), null);
+});
+
+test('token bucket limits requests and refills over time', (t) => {
+        const now = clock();
+        const auth = createApiKeyAuth(keyConfig(), now);
+        const key = auth.authenticate('secret');
+
+        t.true(auth.consume(key).allowed);
+        t.true(auth.consume(key).allowed);
+
+        const limited = auth.consume(key);
+        t.false(limited.allowed);
+        t.is(limited.code, 'RATE_LIMITED');
+        t.is(limited.headers['Retry-After'], 1);
+        t.is(limited.headers['X-RateLimit-Remaining'], 0);
+
+        now.advance(1000);
+        t.true(auth.consume(key).allowed);
+});
+
+test('daily quota counts renders and resets at midnight UTC', (t) => {
+        const now = clock();
+        const auth = createApiKeyAuth(keyConfig({ rateLimit: { capacity: 100, refillPerSecond: 1 } }), now);
+        const key = auth.authenticate('secret');
+
+        const first = auth.consume(key, 4);
+        t.true(first.allowed);
+        t.is(first.headers['X-Quota-Remaining'], 1);
+
+        const exceeded = auth.consume(key, 2);
+        t.false(exceeded.allowed);
+        t.is(exceeded.code, 'QUOTA_EXCEEDED');
+        t.is(exceeded.headers['Retry-After'], 12 * 60 * 60);
+
+        now.advance(12 * 60 * 60 * 1000);
+        t.true(auth.consume(key, 2).allowed);
+});
+
+test('refused requests consume neither tokens nor quota', (t) => {
+        const now = clock();
+        const auth = createApiKeyAuth(keyConfig({ rateLimit: { capacity: 1, refillPerSecond: 1 } }), now);
+        const key = auth.authenticate('secret');
+
+        t.is(auth.consume(key, 1).headers['X-Quota-Remaining'], 4);
+        t.is(auth.consume(key, 1).headers['X-Quota-Remaining'], 4);
+
+        now.advance(1000);
+        t.is(auth.consume(key, 1).headers['X-Quota-Remaining'], 3);
+});
+
+test('chargeQuota counts streamed renders without spending request tokens', (t) => {
+        const auth = createApiKeyAuth(keyConfig(), clock());
+        const key = auth.authenticate('secret');
+
+        t.true(auth.consume(key).allowed);
+        t.true(auth.chargeQuota(key, 5));
+        t.false(auth.chargeQuota(key, 1));
+        t.true(auth.consume(key).allowed);
+});
@@ -0,0 +1,162 @@
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import test from 'ava';
+import { EXIT_CODES, expandFiles, run } from '../lib/cli.js';
+import { startServer } from './helpers/server.js';
+
+const FIXTURES = 'tests/fixtures/cli';
+
+let server;
+let BASE_URL;
+
+test.before(async () => {
+        server = await startServer({ pool: { size: 0 } });
+        BASE_URL = server.baseUrl;
+});
+
+test.after.always(async () => {
+        await server?.close();
+});
+
+const output = () => {
+        const chunks = [];
+        return { write: (chunk) => { chunks.push(chunk); }, toString: () => chunks.join('') };
+};
+
+const runCli = async (argv, io = {}) => {
+        const stdout = output();
+        const stderr = output();
+        const code = await run(argv, {
+                stdout, stderr, env: {}, ...io,
+        });
+        return { code, stdout: stdout.toString(), stderr: stderr.toString() };
+};
+
+const waitFor = async (check, timeout = 5000) => {
+        const start = Date.now();
+        while (!check()) {
+                if (Date.now() - start > timeout) {
+                        throw new Error('Timed out');
+                }
+                await new Promise((resolve) => { setTimeout(resolve, 50); });
+        }
+};
+
+test('expandFiles resolves globs and directories to sorted .mjml files', async (t) => {
+        t.deepEqual(await expandFiles([`${FIXTURES}/*.mjml`]), [
+                `${FIXTURES}/broken.mjml`,
+                `${FIXTURES}/welcome.mjml`,
+                `${FIXTURES}/with-footer.mjml`,
+        ]);
+        t.deepEqual(await expandFiles([`${FIXTURES}/**/footer.mjml`]), [`${FIXTURES}/partials/footer.mjml`]);
+        t.true((await expandFiles([FIXTURES])).includes(`${FIXTURES}/partials/footer.mjml`));
+});
+
+test('check exits with 0 when every file compiles', async (t) => {
+        const { code, stderr } = await runCli(['check', `${FIXTURES}/welcome.mjml`, `${FIXTURES}/with-footer.mjml`]);
+
+        t.is(code, EXIT_CODES.OK);
+        t.true(stderr.includes('2 file(s) checked, 0 failed'));
+});
+
+test('check reads the include depth limit from the given env', async (t) => {
+        const { code, stderr } = await runCli(['check', `${FIXTURES}/with-footer.mjml`], { env: { MJML_INCLUDE_MAX_DEPTH: '0' } });
+
+        t.is(code, EXIT_CODES.FAILED);
+        t.true(stderr.includes('Include depth exceeds 0'));
+});
+
+test('check prints compilation errors with line and tagName and exits with 1', async (t) => {
+        const { code, stderr } = await runCli(['check', `${FIXTURES}/*.mjml`]);
+
+        t.is(code, EXIT_CODES.FAILED);
+        t.regex(stderr, /broken\.mjml:5 \[mj-unknown\] Element mj-unknown doesn't exist/);
+        t.true(stderr.includes('3 file(s) checked, 1 failed'));
+});
+
+test('check --json prints the /render error response per failing file', async (t) => {
+        const { code, stdout } = await runCli(['check', '--json', `${FIXTURES}/*.mjml`]);
+        const lines = stdout.trim().split('\n').map((line) => JSON.parse(line));
+
+        t.is(code, EXIT_CODES.FAILED);
+        t.is(lines.length, 1);
+        t.is(lines[0].file, `${FIXTURES}/broken.mjml`);
+        t.is(lines[0].code, 'COMPILATION_ERROR');
+        t.deepEqual(Object.keys(lines[0].errors[0]), ['line', 'message', 'tagName']);
+        t.is(lines[0].errors[0].line, 5);
+});
+
+test('render prints a single file to stdout with --data', async (t) => {
+        const { code, stdout } = await runCli(['render', `${FIXTURES}/welcome.mjml`, '--data', '{"name":"Ada"}']);
+
+        t.is(code, EXIT_CODES.OK);
+        t.true(stdout.startsWith('<!doctype html>'));
+        t.true(stdout.includes('Hello Ada'));
+});
+
+test('render writes html and text files to --out-dir', async (t) => {
+        const outDir = await mkdtemp(path.join(tmpdir(), 'mjml-cli-'));
+        t.teardown(() => rm(outDir, { recursive: true, force: true }));
+
+        const { code } = await runCli([
+                'render', `${FIXTURES}/welcome.mjml`, `${FIXTURES}/with-footer.mjml`, '-o', outDir, '--text',
+        ]);
+
+        t.is(code, EXIT_CODES.OK);
+        t.true((await readFile(path.join(outDir, 'with-footer.html'), 'utf8')).includes('Footer'));
+        t.true((await readFile(path.join(outDir, 'welcome.txt'), 'utf8')).includes('Hello'));
+});
+
+test('render --locale translates message keys with the given catalogs', async (t) => {
+        const { code, stdout } = await runCli([
+                'render', 'tests/fixtures/i18n/welcome.mjml', '--locale', 'ar', '--i18n-dir', 'tests/fixtures/i18n', '--data', '{"name":"Ada"}',
+        ]);
+
+        t.is(code, EXIT_CODES.OK);
+        t.regex(stdout, /<html lang="ar" dir="rtl"/);
+        t.true(stdout.includes('مرحبا Ada!'));
+        t.is((await runCli(['render', 'tests/fixtures/i18n/welcome.mjml', '--locale', 'ar'])).code, EXIT_CODES.USAGE);
+});
+
+test('usage errors exit with 2', async (t) => {
+        t.is((await runCli(['publish', 'a.mjml'])).code, EXIT_CODES.USAGE);
+        t.is((await runCli(['check', `${FIXTURES}/missing-*.mjml`])).code, EXIT_CODES.USAGE);
+        t.is((await runCli(['render', `${FIXTURES}/welcome.mjml`, '--data', '{nope'])).code, EXIT_CODES.USAGE);
+});
+
+test('check --server reports errors from the server', async (t) => {
+        const { code, stderr } = await runCli(['check', '--server', BASE_URL, `${FIXTURES}/welcome.mjml`, `${FIXTURES}/broken.mjml`]);
+
+        t.is(code, EXIT_CODES.FAILED);
+        t.regex(stderr, /broken\.mjml:5 \[mj-unknown\]/);
+        t.true(stderr.includes('✓ tests/fixtures/cli/welcome.mjml'));
+});
+
+test('render --server renders through the server', async (t) => {
+        const { code, stdout } = await runCli(['render', '--server', BASE_URL, `${FIXTURES}/welcome.mjml`, '--data', '{"name":"Grace"}']);
+
+        t.is(code, EXIT_CODES.OK);
+        t.true(stdout.includes('Hello Grace'));
+});
+
+test('--watch re-renders a file when it changes', async (t) => {
+        const directory = await mkdtemp(path.join(tmpdir(), 'mjml-cli-'));
+        t.teardown(() => rm(directory, { recursive: true, force: true }));
+        const file = path.join(directory, 'live.mjml');
+        await writeFile(file, await readFile(`${FIXTURES}/welcome.mjml`, 'utf8'));
+
+        const controller = new AbortController();
+        const stdout = output();
+        const stderr = output();
+        const running = run(['check', '--watch', file], {
+                stdout, stderr, env: {}, signal: controller.signal,
+        });
+
+        await waitFor(() => stderr.toString().includes('Watching 1 file(s)'));
+        await writeFile(file, await readFile(`${FIXTURES}/broken.mjml`, 'utf8'));
+        await waitFor(() => stderr.toString().includes('[mj-unknown]'));
+
+        controller.abort();
+        t.is(await running, EXIT_CODES.OK);
+});
@@ -0,0 +1,147 @@
+import test from 'ava';
+import {
+        CompilationError,
+        ContentTooLargeError,
+        createClient,
+        MjmlApiError,
+        TooManyItemsError,
+} from '../client/index.js';
+import { startServer } from './helpers/server.js';
+
+const MJML = '<mjml><mj-body><mj-section><mj-column><mj-text>Hello {{name}}</mj-text></mj-column></mj-section></mj-body></mjml>';
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+        server = await startServer({ pool: { size: 0 } });
+        baseUrl = server.baseUrl;
+});
+
+test.after.always(async () => {
+        await server?.close();
+});
+
+// fetch qui compte les requêtes et peut répondre à la place du serveur
+const recordingFetch = (respond = () => null) => {
+        const calls = [];
+        const fetchFn = async (url, init) => {
+                calls.push({ url, body: init.body ? JSON.parse(init.body) : undefined });
+                return respond(calls.length) || fetch(url, init);
+        };
+        return { calls, fetch: fetchFn };
+};
+
+test('health() returns the server status', async (t) => {
+        const client = createClient({ baseUrl });
+
+        t.is((await client.health()).status, 'ok');
+});
+
+test('render() returns the requested outputs', async (t) => {
+        const client = createClient({ baseUrl });
+
+        const output = await client.render({ mjml: MJML, data: { name: 'Ada' }, outputs: ['html', 'text'] });
+
+        t.true(output.html.includes('Hello Ada'));
+        t.true(output.text.includes('Hello Ada'));
+});
+
+test('render() throws CompilationError with line details', async (t) => {
+        const client = createClient({ baseUrl });
+
+        const error = await t.throwsAsync(client.render({
+                mjml: '<mjml><mj-body><mj-unknown /></mj-body></mjml>',
+        }), { instanceOf: CompilationError });
+
+        t.true(error instanceof MjmlApiError);
+        t.is(error.status, 400);
+        t.is(error.code, 'COMPILATION_ERROR');
+        t.is(error.errors[0].tagName, 'mj-unknown');
+        t.regex(error.requestId, /^[0-9a-f-]{36}$/);
+});
+
+test('render() throws ContentTooLargeError for oversized payloads', async (t) => {
+        const client = createClient({ baseUrl, retries: 0 });
+
+        const error = await t.throwsAsync(client.render({
+                mjml: `<mjml><mj-body>${'x'.repeat(1024 * 1024)}</mj-body></mjml>`,
+        }), { instanceOf: ContentTooLargeError });
+
+        t.is(error.status, 413);
+});
+
+test('renderBatch() splits items over the server limit and keeps their order', async (t) => {
+        const { calls, fetch: fetchFn } = recordingFetch();
+        const client = createClient({ baseUrl, fetch: fetchFn });
+        const items = Array.from({ length: 150 }, (_, index) => ({ mjml: MJML, data: { name: `n${index}` } }));
+
+        const { summary, results } = await client.renderBatch(items, { outputs: ['text'] });
+
+        t.deepEqual(calls.map(({ body }) => body.items.length), [100, 50]);
+        t.deepEqual(summary, { total: 150, success: 150, failed: 0 });
+        t.deepEqual(results.map(({ id }) => id), items.map((_, index) => index));
+        t.true(results[120].text.includes('n120'));
+});
+
+test('renderBatch() reports item failures in results', async (t) => {
+        const client = createClient({ baseUrl });
+
+        const { summary, results } = await client.renderBatch([
+                { id: 'ok', mjml: MJML },
+                { id: 'broken', mjml: '<mjml><mj-body><mj-unknown /></mj-body></mjml>' },
+        ]);
+
+        t.is(summary.failed, 1);
+        t.is(results[1].id, 'broken');
+        t.is(results[1].code, 'COMPILATION_ERROR');
+});
+
+test('requests are retried on 503 and 429 with backoff', async (t) => {
+        const busy = (status, code) => new Response(JSON.stringify({ error: 'Busy', code }), {
+                status,
+                headers: { 'Content-Type': 'application/json', 'Retry-After': '0' },
+        });
+        const { calls, fetch: fetchFn } = recordingFetch((call) => [
+                busy(503, 'POOL_BUSY'),
+                busy(429, 'RATE_LIMITED'),
+        ][call - 1]);
+        const client = createClient({ baseUrl, fetch: fetchFn, minDelay: 1 });
+
+        const output = await client.render({ mjml: MJML });
+
+        t.is(calls.length, 3);
+        t.truthy(output.html);
+});
+
+test('client errors are not retried', async (t) => {
+        const { calls, fetch: fetchFn } = recordingFetch(() => new Response(JSON.stringify({
+                error: 'Too many items (max 100 at once)',
+                code: 'TOO_MANY_ITEMS',
+        }), { status: 413 }));
+        const client = createClient({ baseUrl, fetch: fetchFn });
+
+        await t.throwsAsync(client.renderBatch([{ mjml: MJML }]), { instanceOf: TooManyItemsError });
+        t.is(calls.length, 1);
+});
+
+test('the last error is thrown once retries are exhausted', async (t) => {
+        const { calls, fetch: fetchFn } = recordingFetch(() => new Response('{}', { status: 500 }));
+        const client = createClient({
+                baseUrl, fetch: fetchFn, retries: 2, minDelay: 1,
+        });
+
+        const error = await t.throwsAsync(client.render({ mjml: MJML }), { instanceOf: MjmlApiError });
+        t.is(error.status, 500);
+        t.is(calls.length, 3);
+});
+
+test('network errors are retried then reported', async (t) => {
+        const client = createClient({
+                baseUrl: 'http://127.0.0.1:1', retries: 1, minDelay: 1,
+        });
+
+        const error = await t.throwsAsync(client.health(), { instanceOf: MjmlApiError });
+        t.is(error.status, 0);
+        t.is(error.code, 'NETWORK_ERROR');
+});
@@ -0,0 +1,110 @@
+import test from 'ava';
+import {
+        appendFile, cp, mkdtemp, rm, writeFile,
+} from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { applyPresets, loadComponents, loadComponentsConfig } from '../lib/components.js';
+import { renderMjml } from '../lib/render.js';
+
+const FIXTURES = fileURLToPath(new URL('./fixtures/components', import.meta.url));
+
+const pluginDir = async (t) => {
+        const directory = await mkdtemp(path.join(tmpdir(), 'mjml-components-'));
+        t.teardown(() => rm(directory, { recursive: true, force: true }));
+        await cp(FIXTURES, directory, { recursive: true });
+        return directory;
+};
+
+const productCard = `<mjml>
+<mj-body>
+<mj-section><mj-column>
+<mj-product-card name="Mug" price="12 €" image="https://example.com/mug.png" href="https://example.com/mug" />
+<mj-text mj-class="brand">Hello</mj-text>
+</mj-column></mj-section>
+</mj-body>
+</mjml>`;
+
+// ============ CONFIG TESTS ============
+
+test('loadComponentsConfig is disabled without MJML_COMPONENTS_DIR', (t) => {
+        t.is(loadComponentsConfig({}).directory, null);
+        t.is(loadComponentsConfig({ MJML_COMPONENTS_DIR: '/plugins' }).directory, '/plugins');
+});
+
+// ============ LOADER TESTS ============
+// Les composants sont enregistrés dans le registre global de mjml-core : tests en série
+
+test.serial('loadComponents registers plugin components and mj-attributes presets', async (t) => {
+        const loaded = await loadComponents(await pluginDir(t));
+
+        t.true(loaded.success);
+        t.deepEqual(loaded.components.map((c) => [c.name, c.file]), [['mj-product-card', 'product-card.js']]);
+        t.deepEqual(loaded.presets, ['brand.mjml']);
+
+        const result = renderMjml(productCard, { mjmlOptions: { validationLevel: 'strict' } });
+
+        t.true(result.success);
+        t.true(result.html.includes('Mug'));
+        t.true(result.html.includes('#b00020'));
+        t.true(result.html.includes('Georgia'));
+});
+
+test.serial('reloading unregisters removed components', async (t) => {
+        const directory = await pluginDir(t);
+        await loadComponents(directory);
+        await rm(path.join(directory, 'product-card.js'));
+
+        const loaded = await loadComponents(directory);
+        const result = renderMjml(productCard, { mjmlOptions: { validationLevel: 'strict' } });
+
+        t.deepEqual(loaded.components, []);
+        t.false(result.success);
+        t.is(result.errors[0].tagName, 'mj-product-card');
+});
+
+test.serial('reloading only imports plugins whose content changed', async (t) => {
+        const directory = await pluginDir(t);
+        const plugin = path.join(directory, 'counter.js');
+        // Compte les évaluations du module
+        await writeFile(plugin, `globalThis.counterEvaluations = (globalThis.counterEvaluations ?? 0) + 1;
+export default ({ BodyComponent }) => class MjCounter extends BodyComponent {
+  render() { return ''; }
+};
+`);
+        t.teardown(() => { delete globalThis.counterEvaluations; });
+
+        await loadComponents(directory);
+        await loadComponents(directory);
+        t.is(globalThis.counterEvaluations, 1);
+
+        await appendFile(plugin, '// edited\n');
+        await loadComponents(directory);
+        t.is(globalThis.counterEvaluations, 2);
+});
+
+test.serial('an invalid plugin keeps the previous components active', async (t) => {
+        const directory = await pluginDir(t);
+        await loadComponents(directory);
+        await writeFile(path.join(directory, 'broken.js'), 'export default 42;');
+
+        const loaded = await loadComponents(directory);
+
+        t.false(loaded.success);
+        t.is(loaded.errors[0].file, 'broken.js');
+        t.true(renderMjml(productCard).success);
+});
+
+// ============ PRESET TESTS ============
+
+test.serial('applyPresets injects presets without shifting line numbers', async (t) => {
+        await loadComponents(await pluginDir(t));
+
+        const withHead = applyPresets('<mjml>\n<mj-head>\n<mj-title>x</mj-title>\n</mj-head>\n</mjml>');
+        const withoutHead = applyPresets('<mjml lang="en">\n<mj-body></mj-body>\n</mjml>');
+
+        t.is(withHead.split('\n').length, 5);
+        t.regex(withHead.split('\n')[1], /^<mj-head><mj-attributes>.*<\/mj-attributes>$/);
+        t.regex(withoutHead.split('\n')[0], /^<mjml lang="en"><mj-head><mj-attributes>.*<\/mj-head>$/);
+});
@@ -0,0 +1,31 @@
+/**
+ * <mj-product-card name="..." price="..." image="..." href="..." />
+ */
+export default ({ BodyComponent }) => class MjProductCard extends BodyComponent {
+  static componentName = 'mj-product-card';
+
+  static dependencies = {
+    'mj-column': ['mj-product-card'],
+    'mj-product-card': [],
+  };
+
+  static allowedAttributes = {
+    name: 'string',
+    price: 'string',
+    image: 'string',
+    href: 'string',
+    color: 'color',
+  };
+
+  static defaultAttributes = {
+    color: '#000000',
+  };
+
+  render() {
+    return this.renderMJML(`
+      <mj-image src="${this.getAttribute('image')}" alt="${this.getAttribute('name')}" href="${this.getAttribute('href')}" />
+      <mj-text color="${this.getAttribute('color')}" font-weight="bold">${this.getAttribute('name')}</mj-text>
+      <mj-text color="${this.getAttribute('color')}">${this.getAttribute('price')}</mj-text>
+    `);
+  }
+};
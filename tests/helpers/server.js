@@ -0,0 +1,30 @@
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { buildApp } from '../../lib/app.js';
+
+/**
+ * Serveur de test dans ce processus, sur un port libre : registre en mémoire,
+ * jobs dans un dossier temporaire, configuration indépendante de l'environnement
+ */
+export const startServer = async (options = {}) => {
+        const jobsDir = await mkdtemp(path.join(tmpdir(), 'mjml-jobs-'));
+        const app = await buildApp({
+                logger: false,
+                env: {},
+                templates: { backend: 'memory' },
+                jobs: { directory: jobsDir },
+                ...options,
+        });
+
+        await app.listen({ port: 0, host: '127.0.0.1' });
+
+        return {
+                app,
+                baseUrl: `http://127.0.0.1:${app.server.address().port}`,
+                async close() {
+                        await app.close();
+                        await rm(jobsDir, { recursive: true, force: true });
+                },
+        };
+};
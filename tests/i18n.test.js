@@ -0,0 +1,120 @@
+import test from 'ava';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+        createI18n, loadCatalogs, loadI18nConfig, setDocumentLocale, textDirection,
+} from '../lib/i18n.js';
+import { renderMjml } from '../lib/render.js';
+
+const FIXTURES = fileURLToPath(new URL('./fixtures/i18n', import.meta.url));
+
+const email = (body) => `<mjml>\n<mj-body>\n<mj-section>\n<mj-column>\n${body}\n</mj-column>\n</mj-section>\n</mj-body>\n</mjml>`;
+
+const loadedI18n = async (defaultLocale = 'en') => {
+        const i18n = createI18n({ directory: FIXTURES, defaultLocale });
+        await i18n.load();
+        return i18n;
+};
+
+// ============ CONFIG TESTS ============
+
+test('loadI18nConfig is disabled without I18N_DIR', (t) => {
+        t.deepEqual(loadI18nConfig({}), { directory: null, defaultLocale: null });
+        t.deepEqual(loadI18nConfig({ I18N_DIR: '/i18n', I18N_DEFAULT_LOCALE: 'en' }), { directory: '/i18n', defaultLocale: 'en' });
+});
+
+// ============ CATALOG TESTS ============
+
+test('loadCatalogs flattens nested keys by canonical locale', async (t) => {
+        const catalogs = await loadCatalogs(FIXTURES);
+
+        t.deepEqual([...catalogs.keys()], ['ar', 'en', 'fr']);
+        t.is(catalogs.get('fr')['welcome.title'], 'Bienvenue, {name} !');
+});
+
+test('loadCatalogs rejects invalid ICU messages', async (t) => {
+        const directory = await mkdtemp(path.join(tmpdir(), 'mjml-i18n-'));
+        t.teardown(() => rm(directory, { recursive: true, force: true }));
+        await writeFile(path.join(directory, 'de.json'), JSON.stringify({ count: '{n, plural, one {# Nachricht}}' }));
+
+        const error = await t.throwsAsync(loadCatalogs(directory));
+        t.regex(error.message, /de\.json: invalid message "count"/);
+});
+
+test('resolve falls back from region to language, then to the default locale', async (t) => {
+        const i18n = await loadedI18n();
+        const { locale, messages } = i18n.resolve('fr-ca');
+
+        t.is(locale, 'fr-CA');
+        t.is(messages['welcome.title'], 'Bienvenue, {name} !');
+        t.is(messages.footer, 'Sent by <b>Example</b>');
+        t.is(i18n.resolve('de'), null);
+        t.is(i18n.resolve('not a locale'), null);
+});
+
+// ============ DIRECTION TESTS ============
+
+test('textDirection detects right-to-left scripts', (t) => {
+        t.is(textDirection('ar'), 'rtl');
+        t.is(textDirection('he-IL'), 'rtl');
+        t.is(textDirection('az-Arab'), 'rtl');
+        t.is(textDirection('fr'), 'ltr');
+        t.is(textDirection('ku'), 'ltr');
+});
+
+test('setDocumentLocale keeps lang and dir already set on mjml', (t) => {
+        t.is(setDocumentLocale('<mjml><mj-body /></mjml>', 'ar'), '<mjml lang="ar" dir="rtl"><mj-body /></mjml>');
+        t.is(setDocumentLocale('<mjml lang="ar-EG"><mj-body /></mjml>', 'ar'), '<mjml dir="rtl" lang="ar-EG"><mj-body /></mjml>');
+});
+
+// ============ RENDER TESTS ============
+
+test('renderMjml translates message keys with plurals, dates and numbers', async (t) => {
+        const translation = (await loadedI18n()).resolve('fr');
+        const result = renderMjml(email([
+                '<mj-text>{{t "welcome.title"}}</mj-text>',
+                '<mj-text>{{t "welcome.items" count=count}}</mj-text>',
+                '<mj-text>{{t "welcome.renewal" date="2025-03-01" price=9.5}}</mj-text>',
+        ].join('\n')), { data: { name: 'Ada', count: 2 }, translation, outputs: ['html', 'text'] });
+
+        t.true(result.success);
+        t.regex(result.html, /<html lang="fr" dir="ltr"/);
+        t.true(result.text.includes('Bienvenue, Ada !'));
+        t.true(result.text.includes('Vous avez 2 nouveaux messages.'));
+        // Intl sépare montant et devise par une espace insécable
+        t.regex(result.text, /le 1 mars 2025 pour 9,50\s€/);
+});
+
+test('renderMjml sets dir="rtl" and translates without data', async (t) => {
+        const translation = (await loadedI18n()).resolve('ar');
+        const result = renderMjml(email('<mj-text>{{t "footer"}}</mj-text>'), { translation });
+
+        t.true(result.success);
+        t.regex(result.html, /<html lang="ar" dir="rtl"/);
+        t.true(result.html.includes('Sent by &lt;b&gt;Example&lt;/b&gt;'));
+});
+
+test('renderMjml supports {{#t}} sections with the mustache engine', async (t) => {
+        const translation = (await loadedI18n()).resolve('fr');
+        const result = renderMjml(email('<mj-text>{{#t}}welcome.title{{/t}}</mj-text>'), {
+                data: { name: '<Ada>' },
+                templateEngine: 'mustache',
+                translation,
+        });
+
+        t.true(result.success);
+        t.true(result.html.includes('Bienvenue, &lt;Ada&gt; !'));
+});
+
+test('renderMjml reports missing message keys as template errors', async (t) => {
+        const translation = (await loadedI18n()).resolve('fr');
+        const result = renderMjml(email('<mj-text>{{t "welcome.title"}}</mj-text>\n<mj-text>{{t "welcome.unknown"}}</mj-text>'), {
+                data: { name: 'Ada' },
+                translation,
+        });
+
+        t.is(result.code, 'TEMPLATE_ERROR');
+        t.deepEqual(result.errors, [{ line: 6, message: 'Missing message "welcome.unknown" for locale "fr"', tagName: null }]);
+});
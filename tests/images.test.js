@@ -0,0 +1,142 @@
+import test from 'ava';
+import {
+        cp, mkdtemp, readFile, rm, symlink,
+} from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import sharp from 'sharp';
+import { loadImagesConfig, processImages, resolveImages } from '../lib/images.js';
+import { renderMjmlWithImages } from '../lib/render.js';
+
+const ASSETS = 'tests/fixtures/images/assets';
+
+const CONFIG = loadImagesConfig({ IMAGES_DIR: ASSETS, IMAGES_MAX_BYTES: '4096' });
+
+const newsletter = () => readFile('tests/fixtures/images/newsletter.mjml', 'utf8');
+
+const email = (body) => `<mjml>\n<mj-body>\n<mj-section>\n<mj-column>\n${body}\n</mj-column>\n</mj-section>\n</mj-body>\n</mjml>`;
+
+// ============ CONFIG TESTS ============
+
+test('loadImagesConfig resolves the asset directory and defaults the size limit to 200 KB', (t) => {
+        t.deepEqual(loadImagesConfig({}), { directory: null, baseUrl: null, maxBytes: 200 * 1024 });
+        t.deepEqual(loadImagesConfig({ IMAGES_DIR: ASSETS, IMAGES_BASE_URL: 'https://cdn.example.com/mail/' }), {
+                directory: path.resolve(ASSETS),
+                baseUrl: 'https://cdn.example.com/mail',
+                maxBytes: 200 * 1024,
+        });
+});
+
+test('resolveImages applies request defaults over the server configuration', (t) => {
+        t.is(resolveImages(undefined, CONFIG), undefined);
+        t.deepEqual(resolveImages({ embed: 'cid' }, CONFIG), {
+                ...CONFIG, embed: 'cid', fillDimensions: true, srcset: false,
+        });
+});
+
+// ============ PROCESSING TESTS ============
+
+test('processImages fills dimensions and warns about heavy and oversized images', async (t) => {
+        const { success, mjml, images } = await processImages(await newsletter(), resolveImages({}, CONFIG));
+
+        t.true(success);
+        t.true(mjml.includes('<mj-image src="banner.png" width="300px" alt="Banner" height="100px" />'));
+        t.true(mjml.includes('<mj-image src="icon.png" alt="Icon" width="64px" />'));
+        // Les images distantes ne sont pas téléchargées
+        t.true(mjml.includes('<mj-image src="https://cdn.example.com/remote.png" alt="Remote" />'));
+        t.deepEqual(images.map(({ src, filled }) => [src, filled]), [['banner.png', ['height']], ['icon.png', ['width']]]);
+        t.deepEqual(images[0].warnings, [
+                '"banner.png" is 7 KB (max 4 KB)',
+                '"banner.png" is 1200px wide for 300px: resize it to 600px',
+        ]);
+});
+
+test('processImages rewrites local sources to IMAGES_BASE_URL when images are not embedded', async (t) => {
+        const { mjml } = await processImages(email('<mj-image src="icon.png" width="32px" height="40px" />'), resolveImages({}, {
+                ...CONFIG, baseUrl: 'https://cdn.example.com/mail',
+        }));
+
+        t.true(mjml.includes('src="https://cdn.example.com/mail/icon.png"'));
+});
+
+test('processImages warns about upscaled and distorted images', async (t) => {
+        const { images } = await processImages(email('<mj-image src="icon.png" width="128px" height="64px" />'), resolveImages({}, CONFIG));
+
+        t.deepEqual(images[0].warnings, [
+                '"icon.png" is 64px wide but displayed at 128px: it will look blurry',
+                '"icon.png" is 64x64 but displayed at 128x64: it will be distorted',
+        ]);
+});
+
+test('processImages reports unreadable, missing and out-of-directory images with their line', async (t) => {
+        const result = await processImages(email([
+                '<mj-image src="broken.png" />',
+                '<mj-image src="missing.png" />',
+                '<mj-image src="../newsletter.mjml" />',
+                '<mj-image src="data:image/png,raw" />',
+                '<mj-image src="%E0%A4%A" />',
+        ].join('\n')), resolveImages({}, CONFIG));
+
+        t.is(result.code, 'IMAGE_ERROR');
+        t.deepEqual(result.errors.map(({ line, message }) => [line, message]), [
+                [5, 'Image "broken.png" cannot be read (Input buffer contains unsupported image format)'],
+                [6, 'Image "missing.png" not found'],
+                [7, 'Image "../newsletter.mjml" is outside IMAGES_DIR'],
+                [8, 'Only base64 image data URIs are supported'],
+                [9, 'Image path "%E0%A4%A" is not a valid URI'],
+        ]);
+});
+
+test('processImages does not follow symbolic links out of IMAGES_DIR', async (t) => {
+        const directory = await mkdtemp(path.join(tmpdir(), 'mjml-images-'));
+        t.teardown(() => rm(directory, { recursive: true, force: true }));
+        await cp(ASSETS, path.join(directory, 'assets'), { recursive: true });
+        await cp(path.join(ASSETS, 'icon.png'), path.join(directory, 'secret.png'));
+        await symlink(path.join(directory, 'secret.png'), path.join(directory, 'assets', 'link.png'));
+        const config = loadImagesConfig({ IMAGES_DIR: path.join(directory, 'assets') });
+
+        const result = await processImages(email([
+                '<mj-image src="icon.png" />',
+                '<mj-image src="link.png" />',
+        ].join('\n')), resolveImages({}, config));
+
+        t.deepEqual(result.errors, [{ line: 6, message: 'Image "link.png" is outside IMAGES_DIR', tagName: 'mj-image' }]);
+});
+
+test('processImages needs IMAGES_DIR for local images but still reads data URIs', async (t) => {
+        const icon = await readFile(path.join(ASSETS, 'icon.png'));
+        const result = await processImages(email([
+                `<mj-image src="data:image/png;base64,${icon.toString('base64')}" />`,
+                '<mj-image src="icon.png" />',
+        ].join('\n')), resolveImages({}, loadImagesConfig({})));
+
+        t.deepEqual(result.errors, [{ line: 6, message: 'Local image "icon.png" needs IMAGES_DIR', tagName: 'mj-image' }]);
+});
+
+// ============ EMBEDDING TESTS ============
+
+test('renderMjmlWithImages embeds images as cid: attachments with retina variants', async (t) => {
+        const result = await renderMjmlWithImages(await newsletter(), { images: resolveImages({ embed: 'cid', srcset: true }, CONFIG) });
+        const [standard, retina, icon] = result.attachments;
+
+        t.true(result.success);
+        t.deepEqual(result.attachments.map(({ filename, contentType }) => [filename, contentType]), [
+                ['banner-300w.png', 'image/png'],
+                ['banner-600w.png', 'image/png'],
+                ['icon.png', 'image/png'],
+        ]);
+        t.true(result.html.includes(`src="cid:${standard.cid}" srcset="cid:${standard.cid} 1x, cid:${retina.cid} 2x"`));
+        t.true(result.html.includes(`src="cid:${icon.cid}"`));
+        t.is((await sharp(Buffer.from(retina.content, 'base64')).metadata()).width, 600);
+        t.true(result.meta.images[0].srcset);
+        // Les variantes remplacent l'avertissement de redimensionnement
+        t.deepEqual(result.meta.images[0].warnings, ['"banner.png" is 7 KB (max 4 KB)']);
+});
+
+test('renderMjmlWithImages inlines images as data URIs', async (t) => {
+        const result = await renderMjmlWithImages(email('<mj-image src="icon.png" />'), { images: resolveImages({ embed: 'inline' }, CONFIG) });
+
+        t.regex(result.html, /src="data:image\/png;base64,iVBOR[^"]+"/);
+        t.is(result.attachments, undefined);
+        t.is(result.meta.images.length, 1);
+});
@@ -0,0 +1,176 @@
+import test from 'ava';
+import {
+        mkdir, mkdtemp, rm, symlink, writeFile,
+} from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { createIncludeResolver, loadIncludesConfig, mapIncludeLines } from '../lib/includes.js';
+import { renderTasks } from '../lib/render.js';
+import { createMemoryBackend, createTemplateStore } from '../lib/template-store.js';
+
+const includeRoot = async (t, files) => {
+        const directory = await mkdtemp(path.join(tmpdir(), 'mjml-includes-'));
+        t.teardown(() => rm(directory, { recursive: true, force: true }));
+
+        for (const [file, content] of Object.entries(files)) {
+                await mkdir(path.dirname(path.join(directory, file)), { recursive: true });
+                await writeFile(path.join(directory, file), content);
+        }
+        return directory;
+};
+
+const email = (body) => `<mjml>\n<mj-body>\n${body}\n</mj-body>\n</mjml>`;
+
+const header = '<mj-section>\n<mj-column>\n<mj-text>Header {{ name }}</mj-text>\n</mj-column>\n</mj-section>';
+
+// ============ CONFIG TESTS ============
+
+test('loadIncludesConfig disables file includes by default', (t) => {
+        const config = loadIncludesConfig({});
+
+        t.is(config.directory, null);
+        t.is(config.maxDepth, 5);
+});
+
+// ============ EXPANSION TESTS ============
+
+test('expand inlines shared partials relative to the including file', async (t) => {
+        const directory = await includeRoot(t, {
+                'partials/header.mjml': header.replace('</mj-column>', '<mj-include path="logo.mjml" />\n</mj-column>'),
+                'partials/logo.mjml': '<mj-image src="https://example.com/logo.png" alt="Logo" />',
+        });
+        const resolver = createIncludeResolver({ directory, maxDepth: 5 });
+
+        const expanded = await resolver.expand(email('<mj-include path="partials/header.mjml" />'));
+        const result = renderTasks.render({ mjml: expanded.mjml, options: { data: { name: 'Ann' } }, lines: expanded.lines });
+
+        t.true(expanded.success);
+        t.false(expanded.mjml.includes('mj-include'));
+        t.true(result.html.includes('Header Ann'));
+        t.true(result.html.includes('logo.png'));
+});
+
+test('expand moves the mj-head of a full document include into the main head', async (t) => {
+        const directory = await includeRoot(t, {
+                'footer.mjml': '<mjml>\n<mj-head>\n<mj-attributes><mj-class name="muted" color="#777777" /></mj-attributes>\n</mj-head>\n<mj-body>\n<mj-section><mj-column><mj-text mj-class="muted">Footer</mj-text></mj-column></mj-section>\n</mj-body>\n</mjml>',
+        });
+        const resolver = createIncludeResolver({ directory, maxDepth: 5 });
+
+        const expanded = await resolver.expand(email('<mj-include path="footer.mjml" />'));
+        const result = renderTasks.render({ mjml: expanded.mjml, options: {}, lines: expanded.lines });
+
+        t.regex(expanded.mjml, /^<mjml><mj-head>[\s\S]*mj-class[\s\S]*<\/mj-head>/);
+        t.true(result.html.includes('#777777'));
+});
+
+test('errors inside an include report the included file and its line', async (t) => {
+        const directory = await includeRoot(t, {
+                'header.mjml': header.replace('<mj-text>', '<mj-unknown />\n<mj-text>'),
+        });
+        const resolver = createIncludeResolver({ directory, maxDepth: 5 });
+
+        const expanded = await resolver.expand(email('<mj-include path="header.mjml" />\n<mj-bogus />'));
+        const result = renderTasks.render({
+                mjml: expanded.mjml,
+                options: { mjmlOptions: { validationLevel: 'strict' } },
+                lines: expanded.lines,
+        });
+
+        t.deepEqual(result.errors.map(({ line, file, tagName }) => ({ line, file, tagName })), [
+                { line: 3, file: 'header.mjml', tagName: 'mj-unknown' },
+                { line: 4, file: undefined, tagName: 'mj-bogus' },
+        ]);
+});
+
+test('a missing include fails with its path and line', async (t) => {
+        const resolver = createIncludeResolver({ directory: await includeRoot(t, {}), maxDepth: 5 });
+
+        const expanded = await resolver.expand(email('<mj-section></mj-section>\n<mj-include path="footer.mjml" />'));
+
+        t.false(expanded.success);
+        t.is(expanded.code, 'INCLUDE_ERROR');
+        t.deepEqual(expanded.errors, [{
+                line: 4,
+                message: 'Included file "footer.mjml" not found',
+                tagName: 'mj-include',
+                include: 'footer.mjml',
+        }]);
+});
+
+test('an include path that is not a valid URI fails as an include error', async (t) => {
+        const resolver = createIncludeResolver({ directory: await includeRoot(t, {}), maxDepth: 5 });
+
+        const expanded = await resolver.expand(email('<mj-include path="%zz" />'));
+
+        t.is(expanded.code, 'INCLUDE_ERROR');
+        t.deepEqual(expanded.errors, [{
+                line: 3,
+                message: 'Include path "%zz" is not a valid URI',
+                tagName: 'mj-include',
+                include: '%zz',
+        }]);
+});
+
+// ============ SANDBOX TESTS ============
+
+test('includes cannot leave the include root', async (t) => {
+        const outside = await includeRoot(t, { 'secret.mjml': '<mj-text>secret</mj-text>' });
+        const directory = await includeRoot(t, {});
+        await symlink(path.join(outside, 'secret.mjml'), path.join(directory, 'link.mjml'));
+        const resolver = createIncludeResolver({ directory, maxDepth: 5 });
+
+        for (const include of ['../secret.mjml', 'a/../../secret.mjml', path.join(outside, 'secret.mjml'), 'link.mjml']) {
+                const expanded = await resolver.expand(email(`<mj-include path="${include}" />`));
+
+                t.false(expanded.success, include);
+                t.regex(expanded.errors[0].message, /outside the include root|must be relative/);
+        }
+});
+
+test('file includes are refused without an include root', async (t) => {
+        const resolver = createIncludeResolver({ directory: null, maxDepth: 5 });
+
+        const expanded = await resolver.expand(email('<mj-include path="header.mjml" />'));
+
+        t.false(expanded.success);
+        t.regex(expanded.error, /MJML_INCLUDES_DIR/);
+});
+
+test('include depth is limited and cycles are detected', async (t) => {
+        const directory = await includeRoot(t, {
+                'a.mjml': '<mj-include path="b.mjml" />',
+                'b.mjml': '<mj-include path="c.mjml" />',
+                'c.mjml': '<mj-text>c</mj-text>',
+                'loop.mjml': '<mj-include path="loop.mjml" />',
+        });
+
+        const shallow = await createIncludeResolver({ directory, maxDepth: 2 }).expand(email('<mj-include path="a.mjml" />'));
+        const loop = await createIncludeResolver({ directory, maxDepth: 5 }).expand(email('<mj-include path="loop.mjml" />'));
+
+        t.is(shallow.errors[0].message, 'Include depth exceeds 2');
+        t.is(shallow.errors[0].file, 'b.mjml');
+        t.regex(loop.errors[0].message, /^Circular include/);
+});
+
+// ============ REGISTRY TESTS ============
+
+test('template: includes come from the template registry', async (t) => {
+        const templateStore = createTemplateStore(createMemoryBackend());
+        await templateStore.create('footer', { mjml: email('<mj-section><mj-column><mj-text>v1</mj-text></mj-column></mj-section>') });
+        await templateStore.update('footer', { mjml: email('<mj-section><mj-column><mj-text>v2</mj-text></mj-column></mj-section>') });
+        const resolver = createIncludeResolver({ directory: null, maxDepth: 5, templateStore });
+
+        const latest = await resolver.expand(email('<mj-include path="template:footer" />'));
+        const pinned = await resolver.expand(email('<mj-include path="template:footer@1" />'));
+        const missing = await resolver.expand(email('<mj-include path="template:nope" />'));
+
+        t.true(latest.mjml.includes('v2'));
+        t.true(pinned.mjml.includes('v1'));
+        t.is(missing.errors[0].include, 'template:nope');
+});
+
+test('mapIncludeLines leaves results without includes untouched', (t) => {
+        const result = { success: false, errors: [{ line: 2, message: 'x', tagName: 'mj-text' }] };
+
+        t.is(mapIncludeLines(result, undefined), result);
+});
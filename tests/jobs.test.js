@@ -0,0 +1,201 @@
+import test from 'ava';
+import { createServer } from 'node:http';
+import {
+        mkdtemp, readFile, rm, writeFile,
+} from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import {
+        checkCallbackUrl, createJobManager, loadJobsConfig, signCallback,
+} from '../lib/jobs.js';
+
+const tempDir = async (t) => {
+        const directory = await mkdtemp(path.join(tmpdir(), 'mjml-jobs-'));
+        t.teardown(() => rm(directory, { recursive: true, force: true }));
+        return directory;
+};
+
+const fakeRender = async ({ mjml, options }) => ({ success: true, html: `${mjml}:${options.data.n}` });
+
+const waitFor = async (predicate) => {
+        for (let attempt = 0; attempt < 100; attempt += 1) {
+                if (await predicate()) {
+                        return;
+                }
+                await new Promise((resolve) => { setTimeout(resolve, 20); });
+        }
+        throw new Error('Condition not met');
+};
+
+const items = (count) => Array.from({ length: count }, (_, n) => ({ data: { n } }));
+
+// ============ CONFIG TESTS ============
+
+test('loadJobsConfig has defaults', (t) => {
+        const config = loadJobsConfig({});
+
+        t.is(config.directory, './data/jobs');
+        t.is(config.maxItems, 10000);
+        t.is(config.callbackSecret, null);
+        t.deepEqual(config.callbackHosts, []);
+        t.is(config.retention, 7 * 24 * 60 * 60 * 1000);
+});
+
+test('loadJobsConfig reads the callback allowlist', (t) => {
+        const config = loadJobsConfig({ JOBS_CALLBACK_HOSTS: 'hooks.example.com, *.Internal.example ' });
+
+        t.deepEqual(config.callbackHosts, ['hooks.example.com', '*.internal.example']);
+});
+
+// ============ RUNNER TESTS ============
+
+test('Jobs render items in order and keep results on disk', async (t) => {
+        const directory = await tempDir(t);
+        const manager = createJobManager({ directory, render: fakeRender, concurrency: 2 });
+        await manager.start();
+
+        const job = await manager.submit({ items: items(5), mjml: 'tpl' });
+        await waitFor(() => manager.get(job.id).status === 'completed');
+
+        const page = await manager.readResults(job.id, { offset: 1, limit: 3 });
+        t.deepEqual(page.results.map((r) => r.html), ['tpl:1', 'tpl:2', 'tpl:3']);
+        t.is(page.next, 4);
+
+        await manager.close();
+        const stored = JSON.parse(await readFile(path.join(directory, job.id, 'job.json'), 'utf8'));
+        t.is(stored.status, 'completed');
+        t.is(stored.success, 5);
+});
+
+test('Interrupted jobs resume after the last complete result', async (t) => {
+        const directory = await tempDir(t);
+        const first = createJobManager({ directory, render: fakeRender, concurrency: 1 });
+        await first.start();
+        const job = await first.submit({ items: items(3), mjml: 'tpl' });
+        await waitFor(() => first.get(job.id).status === 'completed');
+        await first.close();
+
+        // Simule un arrêt brutal après le premier résultat, au milieu de l'écriture du second
+        const resultsFile = path.join(directory, job.id, 'results.ndjson');
+        const [line] = (await readFile(resultsFile, 'utf8')).split('\n');
+        await writeFile(resultsFile, `${line}\n{"id":1,"succ`);
+        await writeFile(path.join(directory, job.id, 'job.json'), JSON.stringify({
+                ...first.get(job.id),
+                status: 'running',
+                completedAt: undefined,
+        }));
+
+        const rendered = [];
+        const second = createJobManager({
+                directory,
+                render: async (payload) => {
+                        rendered.push(payload.options.data.n);
+                        return fakeRender(payload);
+                },
+        });
+
+        t.is(await second.start(), 1);
+        await waitFor(() => second.get(job.id).status === 'completed');
+
+        t.deepEqual(rendered, [1, 2]);
+        const { results } = await second.readResults(job.id);
+        t.deepEqual(results.map((r) => r.id), [0, 1, 2]);
+});
+
+// ============ CALLBACK TESTS ============
+
+test('Finished jobs POST a signed callback', async (t) => {
+        const received = [];
+        const server = createServer((request, response) => {
+                let body = '';
+                request.on('data', (chunk) => { body += chunk; });
+                request.on('end', () => {
+                        received.push({ headers: request.headers, body });
+                        response.end();
+                });
+        });
+        await new Promise((resolve) => { server.listen(0, '127.0.0.1', resolve); });
+        t.teardown(() => server.close());
+
+        const manager = createJobManager({
+                directory: await tempDir(t),
+                render: fakeRender,
+                callbackSecret: 'shh',
+                callbackHosts: ['127.0.0.1'],
+        });
+        await manager.start();
+        const job = await manager.submit({
+                items: items(2),
+                mjml: 'tpl',
+                callbackUrl: `http://127.0.0.1:${server.address().port}/done`,
+                requestId: 'req-42',
+        });
+        await waitFor(() => manager.get(job.id).callback.status === 'delivered');
+
+        const [{ headers, body }] = received;
+        t.is(headers['x-job-id'], job.id);
+        t.is(headers['x-request-id'], 'req-42');
+        t.is(headers['x-signature'], `sha256=${signCallback('shh', headers['x-signature-timestamp'], body)}`);
+        t.is(JSON.parse(body).summary.success, 2);
+});
+
+test('checkCallbackUrl requires a public https URL without an allowlist', async (t) => {
+        t.is(await checkCallbackUrl('https://93.184.216.34/done'), null);
+        t.is(await checkCallbackUrl('http://93.184.216.34/done'), 'protocol http: is not allowed');
+        t.is(await checkCallbackUrl('https://169.254.169.254/latest'), 'host 169.254.169.254 is not a public address');
+        t.is(await checkCallbackUrl('https://[::1]/done'), 'host ::1 is not a public address');
+        t.is(await checkCallbackUrl('not a url'), 'invalid URL');
+});
+
+test('checkCallbackUrl only accepts allowlisted hosts when configured', async (t) => {
+        const callbackHosts = ['127.0.0.1', '*.example.com'];
+
+        t.is(await checkCallbackUrl('http://127.0.0.1:8080/done', { callbackHosts }), null);
+        t.is(await checkCallbackUrl('https://hooks.example.com/done', { callbackHosts }), null);
+        t.is(await checkCallbackUrl('https://example.com.evil.test/done', { callbackHosts }), 'host example.com.evil.test is not in JOBS_CALLBACK_HOSTS');
+        t.is(await checkCallbackUrl('ftp://hooks.example.com/done', { callbackHosts }), 'host hooks.example.com is not in JOBS_CALLBACK_HOSTS');
+});
+
+test('Callbacks to refused URLs are not sent', async (t) => {
+        const manager = createJobManager({ directory: await tempDir(t), render: fakeRender });
+        await manager.start();
+        t.teardown(() => manager.close());
+
+        const job = await manager.submit({ items: items(1), mjml: 'tpl', callbackUrl: 'http://127.0.0.1:9/done' });
+        await waitFor(() => manager.get(job.id).callback.status === 'failed');
+
+        t.is(manager.get(job.id).callback.attempts, 1);
+        t.is(manager.get(job.id).callback.error, 'Callback URL refused: protocol http: is not allowed');
+});
+
+// ============ RETENTION TESTS ============
+
+test('Finished jobs are removed after the retention period', async (t) => {
+        const directory = await tempDir(t);
+        const manager = createJobManager({ directory, render: fakeRender });
+        await manager.start();
+        const job = await manager.submit({ items: items(1), mjml: 'tpl' });
+        await waitFor(() => manager.get(job.id).status === 'completed');
+
+        t.is(await manager.purgeExpired(), 0);
+        t.is(await manager.purgeExpired(Date.now() + 8 * 24 * 60 * 60 * 1000), 1);
+        t.is(manager.get(job.id), null);
+        await t.throwsAsync(readFile(path.join(directory, job.id, 'job.json')));
+        await manager.close();
+});
+
+test('Expired jobs left on disk are removed at startup', async (t) => {
+        const directory = await tempDir(t);
+        const first = createJobManager({ directory, render: fakeRender });
+        await first.start();
+        const job = await first.submit({ items: items(1), mjml: 'tpl' });
+        await waitFor(() => first.get(job.id).status === 'completed');
+        await first.close();
+
+        const second = createJobManager({ directory, render: fakeRender, retention: -1 });
+        await second.start();
+        t.teardown(() => second.close());
+
+        t.is(second.get(job.id), null);
+        await t.throwsAsync(readFile(path.join(directory, job.id, 'job.json')));
+});
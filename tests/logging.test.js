@@ -0,0 +1,95 @@
+import test from 'ava';
+import { Writable } from 'node:stream';
+import { buildApp } from '../lib/app.js';
+import { loadLoggingConfig, loggerOptions, requestIdGenerator } from '../lib/logging.js';
+
+const MJML = '<mjml><mj-body><mj-section><mj-column><mj-text>Hello</mj-text></mj-column></mj-section></mj-body></mjml>';
+
+/**
+ * Instance avec le logger JSON de production, lignes de log collectées
+ */
+const buildLoggedApp = async (t) => {
+        const lines = [];
+        const stream = new Writable({
+                write(chunk, encoding, callback) {
+                        lines.push(...chunk.toString().trim().split('\n').map((line) => JSON.parse(line)));
+                        callback();
+                },
+        });
+
+        const app = await buildApp({
+                logger: { ...loggerOptions(loadLoggingConfig({ NODE_ENV: 'production' })), stream },
+                env: {},
+                pool: { size: 0 },
+                templates: { backend: 'memory' },
+        });
+        t.teardown(() => app.close());
+
+        return { app, lines };
+};
+
+// ============ CONFIG TESTS ============
+
+test('loadLoggingConfig logs JSON in production and pretty output elsewhere', (t) => {
+        t.deepEqual(loadLoggingConfig({}), { level: 'info', format: 'pretty', requestIdHeader: 'X-Request-Id' });
+        t.is(loadLoggingConfig({ NODE_ENV: 'production' }).format, 'json');
+        t.is(loadLoggingConfig({ NODE_ENV: 'production', LOG_FORMAT: 'pretty' }).format, 'pretty');
+        t.throws(() => loadLoggingConfig({ LOG_FORMAT: 'xml' }), { message: /LOG_FORMAT "xml"/ });
+
+        t.is(loggerOptions({ level: 'debug', format: 'pretty' }).transport.target, 'pino-pretty');
+        t.is(loggerOptions({ level: 'debug', format: 'json' }).transport, undefined);
+});
+
+test('requestIdGenerator keeps a valid received id and generates one otherwise', (t) => {
+        const generate = requestIdGenerator('X-Correlation-Id');
+
+        t.is(generate({ headers: { 'x-correlation-id': 'checkout-42' } }), 'checkout-42');
+        t.regex(generate({ headers: { 'x-correlation-id': 'has spaces' } }), /^[0-9a-f-]{36}$/);
+        t.regex(generate({ headers: { 'x-correlation-id': 'x'.repeat(200) } }), /^[0-9a-f-]{36}$/);
+        t.regex(generate({ headers: {} }), /^[0-9a-f-]{36}$/);
+});
+
+// ============ REQUEST TESTS ============
+
+test('JSON logs merge context objects and carry the request id', async (t) => {
+        const { app, lines } = await buildLoggedApp(t);
+
+        const response = await app.inject({
+                method: 'POST',
+                url: '/render',
+                headers: { 'x-request-id': 'req-logs-1' },
+                payload: { mjml: MJML },
+        });
+        t.is(response.statusCode, 200);
+
+        const rendered = lines.find((line) => line.msg === 'MJML rendered successfully');
+        t.is(rendered.level, 'info');
+        t.is(rendered.requestId, 'req-logs-1');
+        t.true(rendered.htmlSize > 0);
+        t.regex(rendered.time, /^\d{4}-\d{2}-\d{2}T/);
+});
+
+test('Error responses and the X-Request-Id header carry the request id', async (t) => {
+        const { app, lines } = await buildLoggedApp(t);
+
+        const received = await app.inject({
+                method: 'POST',
+                url: '/render',
+                headers: { 'x-request-id': 'req-logs-2' },
+                payload: { mjml: '<mjml><mj-body><mj-unknown /></mj-body></mjml>' },
+        });
+        t.is(received.statusCode, 400);
+        t.is(received.headers['x-request-id'], 'req-logs-2');
+        t.is(received.json().requestId, 'req-logs-2');
+
+        const failed = lines.find((line) => line.msg === 'MJML render failed');
+        t.is(failed.requestId, 'req-logs-2');
+        t.is(failed.code, 'COMPILATION_ERROR');
+
+        const generated = await app.inject({ method: 'POST', url: '/render', payload: {} });
+        t.is(generated.json().code, 'INVALID_INPUT');
+        t.is(generated.json().requestId, generated.headers['x-request-id']);
+
+        const notFound = await app.inject({ method: 'GET', url: '/nonexistent' });
+        t.is(notFound.json().requestId, notFound.headers['x-request-id']);
+});
@@ -1,7 +1,21 @@
 import test from 'ava';
+import Fastify from 'fastify';
 import got from 'got';
+import { buildApp, mjmlServerPlugin } from '../lib/app.js';
+import { verifyTrackingToken } from '../lib/tracking.js';
+import { startServer } from './helpers/server.js';
 
-const BASE_URL = 'http://localhost:3000';
+let server;
+let BASE_URL;
+
+test.before(async () => {
+        server = await startServer();
+        BASE_URL = server.baseUrl;
+});
+
+test.after.always(async () => {
+        await server?.close();
+});
 
 // ============ HEALTH CHECK TESTS ============
 
@@ -32,6 +46,54 @@ test('GET /info returns server info', async (t) => {
         t.truthy(body.endpoints);
 });
 
+test('GET /info reports render pool stats', async (t) => {
+        await got.post(`${BASE_URL}/render`, {
+                json: { mjml: '<mjml><mj-body><mj-section><mj-column><mj-text>Pool</mj-text></mj-column></mj-section></mj-body></mjml>' },
+                retry: { limit: 0 },
+        });
+
+        const body = JSON.parse((await got.get(`${BASE_URL}/info`)).body);
+
+        t.truthy(body.renderPool);
+        t.is(typeof body.renderPool.workers, 'number');
+        t.true(body.renderPool.completed >= 1);
+});
+
+// ============ OPENAPI TESTS ============
+
+test('GET /openapi.json documents every route with error responses', async (t) => {
+        const spec = JSON.parse((await got.get(`${BASE_URL}/openapi.json`)).body);
+
+        t.true(spec.openapi.startsWith('3.'));
+        t.is(spec.paths['/render'].post.operationId, 'render');
+        t.truthy(spec.paths['/templates/{id}'].put);
+        t.truthy(spec.components.schemas.Error);
+        t.deepEqual(spec.components.schemas.Error.required, ['error', 'code']);
+        t.is(spec.paths['/render'].post.responses['400'].content['application/json'].schema.$ref, '#/components/schemas/Error');
+        t.truthy(spec.paths['/render/eml'].post.responses['200'].content['message/rfc822']);
+        t.falsy(spec.paths['/docs']);
+});
+
+test('GET /docs serves the interactive documentation', async (t) => {
+        const response = await got.get(`${BASE_URL}/docs`, { retry: { limit: 0 } });
+
+        t.is(response.statusCode, 200);
+        t.true(response.headers['content-type'].includes('text/html'));
+});
+
+test('GET /info endpoints match the documented operations', async (t) => {
+        const info = JSON.parse((await got.get(`${BASE_URL}/info`)).body);
+        const spec = JSON.parse((await got.get(`${BASE_URL}/openapi.json`)).body);
+
+        const operations = Object.entries(spec.paths).flatMap(([path, methods]) => Object.entries(methods)
+                .map(([method, operation]) => [operation.operationId, { method: method.toUpperCase(), path: path.replace(/\{(\w+)\}/g, ':$1') }]));
+
+        operations.forEach(([operationId, endpoint]) => {
+                t.deepEqual(info.endpoints[operationId], endpoint, operationId);
+        });
+        t.deepEqual(info.endpoints.docs, { method: 'GET', path: '/docs' });
+});
+
 // ============ SINGLE RENDER TESTS ============
 
 test('POST /render with valid MJML returns HTML', async (t) => {
@@ -180,6 +242,338 @@ test('POST /render with complex template works', async (t) => {
         t.true(body.html.includes('Welcome'));
 });
 
+// ============ TEMPLATE DATA TESTS ============
+
+test('POST /render merges data into the template', async (t) => {
+        const mjml = '<mjml><mj-body><mj-section><mj-column><mj-text>Hello {{ user.name }}</mj-text></mj-column></mj-section></mj-body></mjml>';
+
+        const response = await got.post(`${BASE_URL}/render`, {
+                json: { mjml, data: { user: { name: 'Alice' } } },
+                retry: { limit: 0 },
+        });
+
+        t.is(response.statusCode, 200);
+        const body = JSON.parse(response.body);
+        t.true(body.html.includes('Hello Alice'));
+        t.false(body.html.includes('{{'));
+});
+
+test('POST /render escapes HTML in data by default', async (t) => {
+        const mjml = '<mjml><mj-body><mj-section><mj-column><mj-text>{{ name }}</mj-text></mj-column></mj-section></mj-body></mjml>';
+
+        const response = await got.post(`${BASE_URL}/render`, {
+                json: { mjml, data: { name: '<script>alert(1)</script>' } },
+                retry: { limit: 0 },
+        });
+
+        const body = JSON.parse(response.body);
+        t.false(body.html.includes('<script>alert(1)</script>'));
+        t.true(body.html.includes('&lt;script&gt;'));
+});
+
+test('POST /render supports loops, conditionals and partials', async (t) => {
+        const mjml = `<mjml><mj-body><mj-section><mj-column>
+{{#each products}}<mj-text>{{> product}}</mj-text>{{/each}}
+{{#if vip}}<mj-text>VIP offer</mj-text>{{/if}}
+</mj-column></mj-section></mj-body></mjml>`;
+
+        const response = await got.post(`${BASE_URL}/render`, {
+                json: {
+                        mjml,
+                        data: { products: [{ name: 'Mug' }, { name: 'Shirt' }], vip: false },
+                        partials: { product: 'Product: {{ name }}' },
+                },
+                retry: { limit: 0 },
+        });
+
+        const body = JSON.parse(response.body);
+        t.true(body.html.includes('Product: Mug'));
+        t.true(body.html.includes('Product: Shirt'));
+        t.false(body.html.includes('VIP offer'));
+});
+
+test('POST /render supports the mustache engine', async (t) => {
+        const mjml = '<mjml><mj-body><mj-section><mj-column>{{#items}}<mj-text>{{label}}</mj-text>{{/items}}</mj-column></mj-section></mj-body></mjml>';
+
+        const response = await got.post(`${BASE_URL}/render`, {
+                json: { mjml, data: { items: [{ label: 'One' }, { label: 'Two' }] }, templateEngine: 'mustache' },
+                retry: { limit: 0 },
+        });
+
+        const body = JSON.parse(response.body);
+        t.true(body.html.includes('One'));
+        t.true(body.html.includes('Two'));
+});
+
+test('POST /render with missing variable returns template errors', async (t) => {
+        const mjml = `<mjml><mj-body><mj-section><mj-column>
+<mj-text>{{ user.email }}</mj-text>
+</mj-column></mj-section></mj-body></mjml>`;
+
+        for (const templateEngine of ['handlebars', 'mustache']) {
+                const response = await got.post(`${BASE_URL}/render`, {
+                        json: { mjml, data: { user: {} }, templateEngine },
+                        retry: { limit: 0 },
+                        throwHttpErrors: false,
+                });
+
+                t.is(response.statusCode, 400);
+                const body = JSON.parse(response.body);
+                t.is(body.code, 'TEMPLATE_ERROR');
+                t.truthy(body.error);
+                t.is(body.errors[0].line, 2);
+                t.true(body.errors[0].message.includes('email'));
+        }
+});
+
+test('POST /render reports a missing parent object with its full path in both engines', async (t) => {
+        const mjml = `<mjml><mj-body><mj-section><mj-column>
+<mj-text>{{ user.email }}</mj-text>
+</mj-column></mj-section></mj-body></mjml>`;
+
+        const messages = await Promise.all(['handlebars', 'mustache'].map(async (templateEngine) => {
+                const response = await got.post(`${BASE_URL}/render`, {
+                        json: { mjml, data: {}, templateEngine },
+                        retry: { limit: 0 },
+                        throwHttpErrors: false,
+                });
+                const [error] = JSON.parse(response.body).errors;
+                return `${error.line}: ${error.message}`;
+        }));
+
+        t.deepEqual(messages, ['2: "user.email" not defined', '2: "user.email" not defined']);
+});
+
+test('POST /render reports a missing variable on a primitive context with its line', async (t) => {
+        const mjml = `<mjml><mj-body><mj-section><mj-column>
+<mj-text>{{#each items}}{{missing}}{{/each}}</mj-text>
+</mj-column></mj-section></mj-body></mjml>`;
+
+        const response = await got.post(`${BASE_URL}/render`, {
+                json: { mjml, data: { items: [1] } },
+                retry: { limit: 0 },
+                throwHttpErrors: false,
+        });
+        const body = JSON.parse(response.body);
+
+        t.is(response.statusCode, 400);
+        t.is(body.code, 'TEMPLATE_ERROR');
+        t.deepEqual(body.errors, [{ line: 2, message: '"missing" not defined', tagName: null }]);
+});
+
+test('POST /render-batch merges data per item', async (t) => {
+        const mjml = '<mjml><mj-body><mj-section><mj-column><mj-text>Hi {{ name }}</mj-text></mj-column></mj-section></mj-body></mjml>';
+
+        const response = await got.post(`${BASE_URL}/render-batch`, {
+                json: {
+                        items: [
+                                { id: 1, mjml, data: { name: 'Ann' } },
+                                { id: 2, mjml, data: {} },
+                        ],
+                },
+                retry: { limit: 0 },
+        });
+
+        const body = JSON.parse(response.body);
+        t.true(body.results[0].html.includes('Hi Ann'));
+        t.is(body.results[1].success, false);
+        t.is(body.results[1].code, 'TEMPLATE_ERROR');
+});
+
+// ============ MJML OPTIONS TESTS ============
+
+const invalidTagMjml = '<mjml><mj-body><mj-section><mj-column><mj-text>Kept</mj-text><mj-invalid></mj-invalid></mj-column></mj-section></mj-body></mjml>';
+
+test('POST /render with validationLevel strict returns compilation errors', async (t) => {
+        const response = await got.post(`${BASE_URL}/render`, {
+                json: { mjml: invalidTagMjml, options: { validationLevel: 'strict' } },
+                retry: { limit: 0 },
+                throwHttpErrors: false,
+        });
+
+        t.is(response.statusCode, 400);
+        const body = JSON.parse(response.body);
+        t.is(body.code, 'COMPILATION_ERROR');
+        t.is(body.errors[0].tagName, 'mj-invalid');
+});
+
+test('POST /render with validationLevel skip renders despite invalid tags', async (t) => {
+        const response = await got.post(`${BASE_URL}/render`, {
+                json: { mjml: invalidTagMjml, options: { validationLevel: 'skip' } },
+                retry: { limit: 0 },
+        });
+
+        t.is(response.statusCode, 200);
+        t.true(JSON.parse(response.body).html.includes('Kept'));
+});
+
+test('POST /render with minify returns smaller HTML', async (t) => {
+        const mjml = '<mjml><mj-body><mj-section><mj-column><mj-text>Minified</mj-text></mj-column></mj-section></mj-body></mjml>';
+
+        const [regular, minified] = await Promise.all([
+                got.post(`${BASE_URL}/render`, { json: { mjml }, retry: { limit: 0 } }),
+                got.post(`${BASE_URL}/render`, { json: { mjml, options: { minify: true } }, retry: { limit: 0 } }),
+        ]);
+
+        const regularHtml = JSON.parse(regular.body).html;
+        const minifiedHtml = JSON.parse(minified.body).html;
+        t.true(minifiedHtml.includes('Minified'));
+        t.true(minifiedHtml.length < regularHtml.length);
+});
+
+test('POST /render with keepComments false strips comments', async (t) => {
+        const mjml = '<mjml><mj-body><mj-section><mj-column><!-- internal note --><mj-text>Text</mj-text></mj-column></mj-section></mj-body></mjml>';
+
+        const response = await got.post(`${BASE_URL}/render`, {
+                json: { mjml, options: { keepComments: false } },
+                retry: { limit: 0 },
+        });
+
+        t.false(JSON.parse(response.body).html.includes('internal note'));
+});
+
+test('POST /render with a non-allowlisted option returns 400', async (t) => {
+        const response = await got.post(`${BASE_URL}/render`, {
+                json: {
+                        mjml: '<mjml><mj-body></mj-body></mjml>',
+                        options: { juicePreserveTags: { php: { start: '<?', end: '?>' } } },
+                },
+                retry: { limit: 0 },
+                throwHttpErrors: false,
+        });
+
+        t.is(response.statusCode, 400);
+        t.is(JSON.parse(response.body).code, 'OPTION_NOT_ALLOWED');
+});
+
+test('POST /render-batch applies options to every item', async (t) => {
+        const response = await got.post(`${BASE_URL}/render-batch`, {
+                json: {
+                        items: [{ id: 1, mjml: invalidTagMjml }],
+                        options: { validationLevel: 'skip' },
+                },
+                retry: { limit: 0 },
+        });
+
+        const body = JSON.parse(response.body);
+        t.is(body.summary.success, 1);
+});
+
+// ============ PLAIN TEXT OUTPUT TESTS ============
+
+const newsletterMjml = `<mjml>
+  <mj-head>
+    <mj-preview>Hidden preheader</mj-preview>
+  </mj-head>
+  <mj-body>
+    <mj-section>
+      <mj-column>
+        <mj-text><h1>Welcome aboard</h1><p>Visit <a href="https://example.com/about">our site</a> today.</p><ul><li>First item</li><li>Second item</li></ul></mj-text>
+        <mj-button href="https://example.com/confirm">Confirm</mj-button>
+        <mj-raw><img src="https://tracking.example.com/open.gif" width="1" height="1" alt="" /></mj-raw>
+      </mj-column>
+    </mj-section>
+  </mj-body>
+</mjml>`;
+
+test('POST /render with text output returns a plain-text alternative', async (t) => {
+        const response = await got.post(`${BASE_URL}/render`, {
+                json: { mjml: newsletterMjml, outputs: ['html', 'text'] },
+                retry: { limit: 0 },
+        });
+
+        const body = JSON.parse(response.body);
+        t.truthy(body.html);
+        t.true(body.text.includes('Welcome aboard'));
+        t.true(body.text.includes('our site [https://example.com/about]'));
+        t.true(body.text.includes('Confirm [https://example.com/confirm]'));
+        t.regex(body.text, /\* First item\n \* Second item/);
+});
+
+test('POST /render text output strips preheader and tracking pixels', async (t) => {
+        const response = await got.post(`${BASE_URL}/render`, {
+                json: { mjml: newsletterMjml, outputs: ['text'] },
+                retry: { limit: 0 },
+        });
+
+        const body = JSON.parse(response.body);
+        t.is(body.html, undefined);
+        t.false(body.text.includes('Hidden preheader'));
+        t.false(body.text.includes('tracking.example.com'));
+});
+
+test('POST /render-batch returns text for every item', async (t) => {
+        const response = await got.post(`${BASE_URL}/render-batch`, {
+                json: { items: [{ id: 1, mjml: newsletterMjml }], outputs: ['html', 'text'] },
+                retry: { limit: 0 },
+        });
+
+        const [result] = JSON.parse(response.body).results;
+        t.truthy(result.html);
+        t.true(result.text.includes('Welcome aboard'));
+});
+
+// ============ EML OUTPUT TESTS ============
+
+test('POST /render/eml returns a multipart/alternative message', async (t) => {
+        const response = await got.post(`${BASE_URL}/render/eml`, {
+                json: {
+                        mjml: '<mjml><mj-body><mj-section><mj-column><mj-text>Hello {{ name }}</mj-text></mj-column></mj-section></mj-body></mjml>',
+                        data: { name: 'Alice' },
+                        headers: {
+                                from: 'Shop <shop@example.com>',
+                                to: ['alice@example.com'],
+                                replyTo: 'support@example.com',
+                                subject: 'Your order',
+                        },
+                },
+                retry: { limit: 0 },
+        });
+
+        t.is(response.statusCode, 200);
+        t.true(response.headers['content-type'].includes('message/rfc822'));
+        t.regex(response.body, /^From: Shop <shop@example\.com>$/m);
+        t.regex(response.body, /^To: alice@example\.com$/m);
+        t.regex(response.body, /^Reply-To: support@example\.com$/m);
+        t.regex(response.body, /^Subject: Your order$/m);
+        t.regex(response.body, /^Content-Type: multipart\/alternative/m);
+        t.regex(response.body, /^Content-Type: text\/plain/m);
+        t.regex(response.body, /^Content-Type: text\/html/m);
+        t.true(response.body.includes('Hello Alice'));
+});
+
+test('POST /render/eml embeds data URI and cid images as related parts', async (t) => {
+        const pixel = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+        const response = await got.post(`${BASE_URL}/render/eml`, {
+                json: {
+                        mjml: `<mjml><mj-body><mj-section><mj-column>
+<mj-image src="data:image/png;base64,${pixel}" alt="Inline" />
+<mj-image src="cid:logo" alt="Logo" />
+</mj-column></mj-section></mj-body></mjml>`,
+                        headers: { from: 'shop@example.com', to: 'bob@example.com', subject: 'Images' },
+                        attachments: [{ cid: 'logo', filename: 'logo.png', contentType: 'image/png', content: pixel }],
+                },
+                retry: { limit: 0 },
+        });
+
+        t.regex(response.body, /^Content-Type: multipart\/related/m);
+        t.regex(response.body, /^Content-ID: <logo>$/m);
+        t.regex(response.body, /^Content-ID: <image-1@mjml-api>$/m);
+        t.false(response.body.includes('data:image/png'));
+});
+
+test('POST /render/eml without headers returns 400', async (t) => {
+        const response = await got.post(`${BASE_URL}/render/eml`, {
+                json: { mjml: '<mjml><mj-body></mj-body></mjml>' },
+                retry: { limit: 0 },
+                throwHttpErrors: false,
+        });
+
+        t.is(response.statusCode, 400);
+        t.is(JSON.parse(response.body).code, 'INVALID_INPUT');
+});
+
 // ============ BATCH RENDER TESTS ============
 
 test('POST /render-batch with multiple items returns results', async (t) => {
@@ -261,85 +655,1275 @@ test('POST /render-batch returns summary', async (t) => {
         t.truthy(body.summary.failed !== undefined);
 });
 
-// ============ 404 TESTS ============
+// ============ NDJSON BATCH TESTS ============
 
-test('GET /nonexistent returns 404', async (t) => {
-        const response = await got.get(`${BASE_URL}/nonexistent`, {
+const ndjsonMjml = (text) => `<mjml><mj-body><mj-section><mj-column><mj-text>${text}</mj-text></mj-column></mj-section></mj-body></mjml>`;
+
+const parseNdjsonBody = (body) => body.trim().split('\n').map((line) => JSON.parse(line));
+
+test('POST /render-batch streams NDJSON results and a final summary', async (t) => {
+        const body = [
+                { id: 'a', mjml: ndjsonMjml('Hello {{ name }}'), data: { name: 'Ann' } },
+                { id: 'b', mjml: ndjsonMjml('Second') },
+        ].map((item) => JSON.stringify(item)).join('\n');
+
+        const response = await got.post(`${BASE_URL}/render-batch?outputs=text`, {
+                headers: { 'Content-Type': 'application/x-ndjson' },
+                body,
                 retry: { limit: 0 },
-                throwHttpErrors: false,
         });
+        const lines = parseNdjsonBody(response.body);
+        const results = lines.slice(0, -1);
 
-        t.is(response.statusCode, 404);
-        const body = JSON.parse(response.body);
-        t.is(body.code, 'NOT_FOUND');
+        t.true(response.headers['content-type'].includes('application/x-ndjson'));
+        t.deepEqual(results.map((r) => r.id).sort(), ['a', 'b']);
+        t.is(results.find((r) => r.id === 'a').text, 'Hello Ann');
+        t.deepEqual(lines.at(-1), { summary: { total: 2, success: 2, failed: 0 } });
 });
 
-// ============ PERFORMANCE TESTS ============
+test('POST /render-batch NDJSON reports invalid lines per item', async (t) => {
+        const body = `{"id":"ok","mjml":${JSON.stringify(ndjsonMjml('Fine'))}}\n{not json}\n{"id":"empty"}\n`;
 
-test('Single render completes in reasonable time', async (t) => {
-        const mjml = '<mjml><mj-body><mj-section><mj-column><mj-text>Test</mj-text></mj-column></mj-section></mj-body></mjml>';
+        const response = await got.post(`${BASE_URL}/render-batch`, {
+                headers: { 'Content-Type': 'application/x-ndjson' },
+                body,
+                retry: { limit: 0 },
+        });
+        const lines = parseNdjsonBody(response.body);
 
-        const start = Date.now();
-        await got.post(`${BASE_URL}/render`, {
-                json: { mjml },
+        t.is(lines.find((r) => r.id === 1).code, 'INVALID_INPUT');
+        t.is(lines.find((r) => r.id === 'empty').code, 'INVALID_INPUT');
+        t.deepEqual(lines.at(-1).summary, { total: 3, success: 1, failed: 2 });
+});
+
+test('POST /render-batch streams JSON input with Accept: application/x-ndjson', async (t) => {
+        const response = await got.post(`${BASE_URL}/render-batch`, {
+                headers: { Accept: 'application/x-ndjson' },
+                json: { items: [{ mjml: ndjsonMjml('Json') }] },
                 retry: { limit: 0 },
         });
-        const duration = Date.now() - start;
+        const lines = parseNdjsonBody(response.body);
 
-        t.true(duration < 5000, `Render took ${duration}ms, expected < 5000ms`);
+        t.true(lines[0].html.includes('Json'));
+        t.deepEqual(lines[1], { summary: { total: 1, success: 1, failed: 0 } });
 });
 
-test('Batch render with 10 items completes in reasonable time', async (t) => {
-        const items = Array(10).fill(null).map((_, i) => ({
-                id: String(i),
-                mjml: '<mjml><mj-body><mj-section><mj-column><mj-text>Email</mj-text></mj-column></mj-section></mj-body></mjml>',
-        }));
+test('POST /render-batch NDJSON stops after 100 items', async (t) => {
+        const body = Array.from({ length: 101 }, (_, index) => JSON.stringify({ id: index, mjml: ndjsonMjml('Item') })).join('\n');
 
-        const start = Date.now();
-        await got.post(`${BASE_URL}/render-batch`, {
-                json: { items },
+        const response = await got.post(`${BASE_URL}/render-batch`, {
+                headers: { 'Content-Type': 'application/x-ndjson' },
+                body,
                 retry: { limit: 0 },
         });
-        const duration = Date.now() - start;
+        const lines = parseNdjsonBody(response.body);
 
-        t.true(duration < 15000, `Batch render took ${duration}ms, expected < 15000ms`);
+        t.truthy(lines.find((line) => line.code === 'TOO_MANY_ITEMS'));
+        t.is(lines.at(-1).summary.total, 100);
 });
 
-// ============ CONTENT TYPE TESTS ============
+// ============ LINT TESTS ============
+
+const lintMjml = `<mjml>
+  <mj-head>
+    <mj-style>
+      .card { box-shadow: 0 0 2px #000; }
+    </mj-style>
+  </mj-head>
+  <mj-body>
+    <mj-section>
+      <mj-column>
+        <mj-image src="http://example.com/logo.png" />
+        <mj-text>Hello <a href="https://example.com">link</a></mj-text>
+      </mj-column>
+    </mj-section>
+  </mj-body>
+</mjml>`;
+
+test('POST /lint reports compatibility findings with severity and line', async (t) => {
+        const response = await got.post(`${BASE_URL}/lint`, {
+                json: { mjml: lintMjml },
+                retry: { limit: 0 },
+        });
+        const body = JSON.parse(response.body);
+        const byRule = (rule) => body.findings.filter((f) => f.rule === rule);
 
-test('POST /render with correct content-type', async (t) => {
-        const mjml = '<mjml><mj-body><mj-section><mj-column><mj-text>Test</mj-text></mj-column></mj-section></mj-body></mjml>';
+        t.is(response.statusCode, 200);
+        t.true(body.valid);
+        t.is(byRule('unsupported-css')[0].line, 4);
+        t.deepEqual(byRule('unsupported-css')[0].clients, ['outlook']);
+        t.is(byRule('image-alt')[0].tagName, 'mj-image');
+        t.is(byRule('insecure-url')[0].line, 10);
+        t.is(byRule('insecure-url').length, 1);
+        t.is(byRule('preheader')[0].severity, 'warning');
+        t.is(body.summary.warning, body.findings.length);
+});
 
-        const response = await got.post(`${BASE_URL}/render`, {
+test('POST /lint reports MJML errors and Gmail clipping', async (t) => {
+        const longText = 'Lorem ipsum dolor sit amet. '.repeat(4000);
+        const response = await got.post(`${BASE_URL}/lint`, {
+                json: { mjml: `<mjml><mj-head><mj-preview>Hi</mj-preview></mj-head><mj-body><mj-section><mj-column><mj-text>${longText}</mj-text><mj-bogus /></mj-column></mj-section></mj-body></mjml>` },
+                retry: { limit: 0 },
+        });
+        const body = JSON.parse(response.body);
+
+        t.false(body.valid);
+        t.true(body.htmlSize > 102 * 1024);
+        t.is(body.findings.find((f) => f.rule === 'mjml-validation').tagName, 'mj-bogus');
+        t.is(body.findings.find((f) => f.rule === 'gmail-clip').severity, 'warning');
+});
+
+// ============ ACCESSIBILITY TESTS ============
+
+test('POST /accessibility reports contrast, alt, links and headings with MJML lines', async (t) => {
+        const mjml = `<mjml>
+  <mj-body>
+    <mj-section background-color="#000000">
+      <mj-column>
+        <mj-text color="#333333">Dark on dark</mj-text>
+        <mj-button href="https://example.com">Click here</mj-button>
+      </mj-column>
+    </mj-section>
+    <mj-section>
+      <mj-column>
+        <mj-text><h1>Title</h1><h3>Skipped</h3></mj-text>
+        <mj-image src="https://example.com/a.png" href="https://example.com" />
+        <mj-raw><table><tr><td>Layout</td></tr></table></mj-raw>
+      </mj-column>
+    </mj-section>
+  </mj-body>
+</mjml>`;
+
+        const response = await got.post(`${BASE_URL}/accessibility`, {
                 json: { mjml },
-                headers: { 'content-type': 'application/json' },
                 retry: { limit: 0 },
         });
+        const body = JSON.parse(response.body);
+        const find = (rule) => body.findings.find((f) => f.rule === rule);
 
         t.is(response.statusCode, 200);
-        t.true(response.headers['content-type'].includes('application/json'));
+        t.false(body.valid);
+        t.is(find('lang').tagName, 'mjml');
+        t.deepEqual([find('color-contrast').line, find('color-contrast').tagName], [5, 'mj-text']);
+        t.deepEqual([find('link-text').line, find('link-text').tagName], [6, 'mj-button']);
+        t.is(find('heading-order').line, 11);
+        t.deepEqual([find('image-alt').line, find('image-alt').severity], [12, 'error']);
+        t.is(find('table-role').line, 13);
 });
 
-// ============ ERROR RESPONSE TESTS ============
+test('POST /accessibility accepts an accessible template', async (t) => {
+        const mjml = `<mjml lang="en" dir="ltr">
+  <mj-body>
+    <mj-section>
+      <mj-column>
+        <mj-text><h1>Welcome</h1><a href="https://example.com/orders">View your order</a></mj-text>
+        <mj-image src="https://example.com/logo.png" alt="Example logo" />
+        <mj-button href="https://example.com/orders">Track your order</mj-button>
+      </mj-column>
+    </mj-section>
+  </mj-body>
+</mjml>`;
+
+        const body = await got.post(`${BASE_URL}/accessibility`, { json: { mjml } }).json();
+
+        t.true(body.valid);
+        t.deepEqual(body.findings, []);
+});
 
-test('Error responses include code field', async (t) => {
-        const response = await got.post(`${BASE_URL}/render`, {
-                json: { mjml: '' },
+test('POST /lint and /accessibility report template errors like /render', async (t) => {
+        const json = { mjml: '<mjml><mj-body><mj-section><mj-column><mj-text>Hi {{name}}</mj-text></mj-column></mj-section></mj-body></mjml>', data: {} };
+        const post = (url) => got.post(`${BASE_URL}${url}`, { json, retry: { limit: 0 }, throwHttpErrors: false });
+
+        const [render, lint, accessibility] = await Promise.all(['/render', '/lint', '/accessibility'].map(post));
+
+        t.is(render.statusCode, 400);
+        t.is(JSON.parse(render.body).code, 'TEMPLATE_ERROR');
+        for (const response of [lint, accessibility]) {
+                t.is(response.statusCode, 400);
+                t.deepEqual(JSON.parse(response.body).errors, JSON.parse(render.body).errors);
+        }
+});
+
+// ============ CUSTOM COMPONENTS TESTS ============
+
+test('POST /admin/components/reload is disabled without an admin key', async (t) => {
+        const info = await got.get(`${BASE_URL}/info`).json();
+        const response = await got.post(`${BASE_URL}/admin/components/reload`, {
                 retry: { limit: 0 },
                 throwHttpErrors: false,
         });
+        const body = JSON.parse(response.body);
+
+        t.is(response.statusCode, 403);
+        t.is(body.code, 'FORBIDDEN');
+        t.is(body.error, 'Admin endpoints are disabled: no admin API key is configured');
+        t.true(Array.isArray(info.components.components));
+});
+
+test('POST /admin/components/reload requires an admin key, then 400 without a component directory', async (t) => {
+        const app = await buildApp({
+                logger: false,
+                env: { API_KEYS: 'app:key-a,ops:key-o', API_ADMIN_KEYS: 'ops' },
+                pool: { size: 0 },
+                templates: { backend: 'memory' },
+        });
+        t.teardown(() => app.close());
+
+        const reload = (key) => app.inject({ method: 'POST', url: '/admin/components/reload', headers: { 'X-API-Key': key } });
+
+        const forbidden = await reload('key-a');
+        t.is(forbidden.statusCode, 403);
+        t.is(forbidden.json().error, 'This endpoint requires an admin API key');
+
+        const disabled = await reload('key-o');
+        t.is(disabled.statusCode, 400);
+        t.is(disabled.json().code, 'COMPONENTS_DISABLED');
+});
+
+// ============ PREVIEW TESTS ============
 
+test('POST /preview returns PNG screenshots, or 503 without a headless browser', async (t) => {
+        const info = await got.get(`${BASE_URL}/info`).json();
+        const response = await got.post(`${BASE_URL}/preview`, {
+                json: {
+                        mjml: '<mjml><mj-body><mj-section><mj-column><mj-text>Preview</mj-text></mj-column></mj-section></mj-body></mjml>',
+                        devices: ['mobile'],
+                        darkMode: true,
+                },
+                retry: { limit: 0 },
+                throwHttpErrors: false,
+        });
         const body = JSON.parse(response.body);
-        t.truthy(body.code);
+
+        if (!info.preview.enabled) {
+                t.is(response.statusCode, 503);
+                t.is(body.code, 'PREVIEW_UNAVAILABLE');
+                return;
+        }
+
+        t.is(response.statusCode, 200);
+        t.is(body.images[0].width, 375);
+        t.true(body.images[0].darkMode);
+        t.is(Buffer.from(body.images[0].data, 'base64').subarray(1, 4).toString(), 'PNG');
 });
 
-test('Error responses include error field', async (t) => {
-        const response = await got.post(`${BASE_URL}/render`, {
-                json: { mjml: '' },
+test('POST /preview rejects unknown devices', async (t) => {
+        const response = await got.post(`${BASE_URL}/preview`, {
+                json: { mjml: '<mjml><mj-body></mj-body></mjml>', devices: ['tablet'] },
                 retry: { limit: 0 },
                 throwHttpErrors: false,
         });
 
-        const body = JSON.parse(response.body);
-        t.truthy(body.error);
+        t.is(response.statusCode, 400);
+        t.is(JSON.parse(response.body).code, 'INVALID_INPUT');
+});
+
+// ============ TEMPLATE REGISTRY TESTS ============
+
+const templateId = (name) => `${name}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+const greetingMjml = (greeting) => `<mjml><mj-body><mj-section><mj-column><mj-text>${greeting} {{ name }}</mj-text></mj-column></mj-section></mj-body></mjml>`;
+
+test('POST /templates/:id stores a template and renders it by id', async (t) => {
+        const id = templateId('welcome');
+
+        const created = await got.post(`${BASE_URL}/templates/${id}`, {
+                json: { mjml: greetingMjml('Hello'), description: 'Welcome email' },
+                retry: { limit: 0 },
+        });
+
+        t.is(created.statusCode, 201);
+        t.is(JSON.parse(created.body).version, 1);
+
+        const response = await got.post(`${BASE_URL}/templates/${id}/render`, {
+                json: { data: { name: 'Alice' } },
+                retry: { limit: 0 },
+        });
+
+        const body = JSON.parse(response.body);
+        t.is(body.id, id);
+        t.is(body.version, 1);
+        t.true(body.html.includes('Hello Alice'));
+});
+
+test('PUT /templates/:id adds a version and older versions stay renderable', async (t) => {
+        const id = templateId('versioned');
+
+        await got.post(`${BASE_URL}/templates/${id}`, { json: { mjml: greetingMjml('Hello') }, retry: { limit: 0 } });
+        const updated = await got.put(`${BASE_URL}/templates/${id}`, { json: { mjml: greetingMjml('Bonjour') }, retry: { limit: 0 } });
+        t.is(JSON.parse(updated.body).version, 2);
+
+        const latest = JSON.parse((await got.post(`${BASE_URL}/templates/${id}/render`, {
+                json: { data: { name: 'Bob' } },
+                retry: { limit: 0 },
+        })).body);
+        const pinned = JSON.parse((await got.post(`${BASE_URL}/templates/${id}/render`, {
+                json: { data: { name: 'Bob' }, version: 1 },
+                retry: { limit: 0 },
+        })).body);
+
+        t.true(latest.html.includes('Bonjour Bob'));
+        t.is(pinned.version, 1);
+        t.true(pinned.html.includes('Hello Bob'));
+
+        const fetched = JSON.parse((await got.get(`${BASE_URL}/templates/${id}?version=1`)).body);
+        t.is(fetched.mjml, greetingMjml('Hello'));
+        t.is(fetched.versions.length, 2);
+});
+
+test('Concurrent PUT /templates/:id each add a version', async (t) => {
+        const id = templateId('concurrent');
+        const greetings = ['Hello', 'Bonjour', 'Hola', 'Ciao'];
+
+        await got.post(`${BASE_URL}/templates/${id}`, { json: { mjml: greetingMjml('Hi') }, retry: { limit: 0 } });
+        const responses = await Promise.all(greetings.map((greeting) => got.put(`${BASE_URL}/templates/${id}`, {
+                json: { mjml: greetingMjml(greeting) },
+                retry: { limit: 0 },
+        }).json()));
+
+        t.deepEqual(responses.map((r) => r.version).sort(), [2, 3, 4, 5]);
+
+        const fetched = await got.get(`${BASE_URL}/templates/${id}`).json();
+        t.is(fetched.versions.length, 5);
+        t.deepEqual(fetched.versions.map((v) => v.version), [1, 2, 3, 4, 5]);
+});
+
+test('POST /templates/:id rejects invalid MJML', async (t) => {
+        const id = templateId('broken');
+
+        const response = await got.post(`${BASE_URL}/templates/${id}`, {
+                json: { mjml: '<mjml><mj-body><mj-invalid></mj-invalid></mj-body></mjml>' },
+                retry: { limit: 0 },
+                throwHttpErrors: false,
+        });
+
+        t.is(response.statusCode, 400);
+        t.is(JSON.parse(response.body).code, 'COMPILATION_ERROR');
+
+        const lookup = await got.get(`${BASE_URL}/templates/${id}`, { retry: { limit: 0 }, throwHttpErrors: false });
+        t.is(lookup.statusCode, 404);
+});
+
+test('POST /templates/:id with an existing id returns 409', async (t) => {
+        const id = templateId('duplicate');
+
+        await got.post(`${BASE_URL}/templates/${id}`, { json: { mjml: greetingMjml('Hi') }, retry: { limit: 0 } });
+        const response = await got.post(`${BASE_URL}/templates/${id}`, {
+                json: { mjml: greetingMjml('Hi') },
+                retry: { limit: 0 },
+                throwHttpErrors: false,
+        });
+
+        t.is(response.statusCode, 409);
+        t.is(JSON.parse(response.body).code, 'TEMPLATE_EXISTS');
+});
+
+test('DELETE /templates/:id removes the template', async (t) => {
+        const id = templateId('deleted');
+
+        await got.post(`${BASE_URL}/templates/${id}`, { json: { mjml: greetingMjml('Hi') }, retry: { limit: 0 } });
+        const deleted = await got.delete(`${BASE_URL}/templates/${id}`, { retry: { limit: 0 } });
+        t.is(deleted.statusCode, 204);
+
+        const response = await got.post(`${BASE_URL}/templates/${id}/render`, {
+                json: { data: { name: 'Nobody' } },
+                retry: { limit: 0 },
+                throwHttpErrors: false,
+        });
+
+        t.is(response.statusCode, 404);
+        t.is(JSON.parse(response.body).code, 'TEMPLATE_NOT_FOUND');
+});
+
+test('Template ids with path characters are rejected', async (t) => {
+        const response = await got.post(`${BASE_URL}/templates/..%2Fescape`, {
+                json: { mjml: greetingMjml('Hi') },
+                retry: { limit: 0 },
+                throwHttpErrors: false,
+        });
+
+        t.is(response.statusCode, 400);
+        t.is(JSON.parse(response.body).code, 'INVALID_INPUT');
+});
+
+test('GET /health stays responsive during a batch render', async (t) => {
+        const items = Array(50).fill(null).map((_, i) => ({
+                id: i,
+                mjml: '<mjml><mj-body><mj-section><mj-column><mj-text>Email</mj-text><mj-button href="https://example.com">Go</mj-button></mj-column></mj-section></mj-body></mjml>',
+        }));
+
+        const batch = got.post(`${BASE_URL}/render-batch`, { json: { items }, retry: { limit: 0 } });
+        const health = await got.get(`${BASE_URL}/health`, { retry: { limit: 0 } });
+        const body = JSON.parse((await batch).body);
+
+        t.is(health.statusCode, 200);
+        t.is(body.summary.success, 50);
+        t.deepEqual(body.results.map((r) => r.id), items.map((item) => item.id));
+});
+
+// ============ MJ-INCLUDE TESTS ============
+
+test('POST /render resolves mj-include from the template registry', async (t) => {
+        const id = templateId('shared-footer');
+
+        await got.post(`${BASE_URL}/templates/${id}`, {
+                json: { mjml: greetingMjml('Footer for') },
+                retry: { limit: 0 },
+        });
+
+        const response = await got.post(`${BASE_URL}/render`, {
+                json: {
+                        mjml: `<mjml><mj-body><mj-section><mj-column><mj-text>Body</mj-text></mj-column></mj-section><mj-include path="template:${id}" /></mj-body></mjml>`,
+                        data: { name: 'Alice' },
+                },
+                retry: { limit: 0 },
+        });
+
+        const body = JSON.parse(response.body);
+        t.true(body.html.includes('Body'));
+        t.true(body.html.includes('Footer for Alice'));
+});
+
+test('POST /render rejects a missing, escaping or malformed include with its path and line', async (t) => {
+        for (const include of ['template:missing-footer', '../../etc/passwd', '%zz']) {
+                const response = await got.post(`${BASE_URL}/render`, {
+                        json: { mjml: `<mjml>\n<mj-body>\n<mj-include path="${include}" />\n</mj-body>\n</mjml>` },
+                        retry: { limit: 0 },
+                        throwHttpErrors: false,
+                });
+
+                const body = JSON.parse(response.body);
+                t.is(response.statusCode, 400);
+                t.is(body.code, 'INCLUDE_ERROR');
+                t.is(body.errors[0].line, 3);
+                t.is(body.errors[0].include, include);
+                t.false(body.errors[0].message.includes('root:'));
+        }
+});
+
+// ============ RENDER CACHE TESTS ============
+
+test('POST /render returns an ETag and honors If-None-Match', async (t) => {
+        const mjml = `<mjml><mj-body><mj-section><mj-column><mj-text>ETag ${Date.now()}</mj-text></mj-column></mj-section></mj-body></mjml>`;
+
+        const first = await got.post(`${BASE_URL}/render`, { json: { mjml }, retry: { limit: 0 } });
+        const { etag } = first.headers;
+        t.truthy(etag);
+
+        const second = await got.post(`${BASE_URL}/render`, {
+                json: { mjml },
+                headers: { 'if-none-match': etag },
+                retry: { limit: 0 },
+        });
+
+        t.is(second.statusCode, 304);
+        t.is(second.body, '');
+});
+
+test('POST /render and /render-batch ignore If-None-Match: *', async (t) => {
+        const mjml = '<mjml><mj-body><mj-section><mj-column><mj-text>Wildcard</mj-text></mj-column></mj-section></mj-body></mjml>';
+        const post = (url, json) => got.post(`${BASE_URL}${url}`, { json, headers: { 'if-none-match': '*' }, retry: { limit: 0 } });
+
+        const render = await post('/render', { mjml });
+        const batch = await post('/render-batch', { items: [{ mjml }] });
+
+        t.is(render.statusCode, 200);
+        t.true(JSON.parse(render.body).html.includes('Wildcard'));
+        t.is(batch.statusCode, 200);
+        t.is(JSON.parse(batch.body).summary.success, 1);
+});
+
+test('ETag changes with data and options', async (t) => {
+        const mjml = '<mjml><mj-body><mj-section><mj-column><mj-text>Hi {{ name }}</mj-text></mj-column></mj-section></mj-body></mjml>';
+
+        const responses = await Promise.all([
+                { data: { name: 'A' } },
+                { data: { name: 'B' } },
+                { data: { name: 'A' }, options: { minify: true } },
+        ].map((body) => got.post(`${BASE_URL}/render`, { json: { mjml, ...body }, retry: { limit: 0 } })));
+
+        const etags = new Set(responses.map((response) => response.headers.etag));
+        t.is(etags.size, 3);
+});
+
+test('Identical renders are served from the cache', async (t) => {
+        const mjml = `<mjml><mj-body><mj-section><mj-column><mj-text>Cached ${Date.now()}</mj-text></mj-column></mj-section></mj-body></mjml>`;
+
+        const before = JSON.parse((await got.get(`${BASE_URL}/cache`)).body);
+        const first = await got.post(`${BASE_URL}/render`, { json: { mjml }, retry: { limit: 0 } });
+        const second = await got.post(`${BASE_URL}/render`, { json: { mjml }, retry: { limit: 0 } });
+        const after = JSON.parse((await got.get(`${BASE_URL}/cache`)).body);
+
+        t.is(first.body, second.body);
+        t.true(after.hits > before.hits);
+        t.true(after.misses > before.misses);
+});
+
+test('POST /render-batch returns an ETag and honors If-None-Match', async (t) => {
+        const items = [{ id: 1, mjml: '<mjml><mj-body><mj-section><mj-column><mj-text>Batch ETag</mj-text></mj-column></mj-section></mj-body></mjml>' }];
+
+        const first = await got.post(`${BASE_URL}/render-batch`, { json: { items }, retry: { limit: 0 } });
+        const second = await got.post(`${BASE_URL}/render-batch`, {
+                json: { items },
+                headers: { 'if-none-match': first.headers.etag },
+                retry: { limit: 0 },
+        });
+
+        t.truthy(first.headers.etag);
+        t.is(second.statusCode, 304);
+});
+
+test('DELETE /cache purges the render cache', async (t) => {
+        await got.post(`${BASE_URL}/render`, {
+                json: { mjml: '<mjml><mj-body><mj-section><mj-column><mj-text>Purge</mj-text></mj-column></mj-section></mj-body></mjml>' },
+                retry: { limit: 0 },
+        });
+
+        const response = await got.delete(`${BASE_URL}/cache`, { retry: { limit: 0 } });
+        const body = JSON.parse(response.body);
+
+        t.is(response.statusCode, 200);
+        t.is(typeof body.purged, 'number');
+});
+
+// ============ METRICS TESTS ============
+
+test('GET /metrics returns Prometheus text format', async (t) => {
+        const response = await got.get(`${BASE_URL}/metrics`);
+
+        t.is(response.statusCode, 200);
+        t.true(response.headers['content-type'].includes('text/plain'));
+        t.true(response.body.includes('# TYPE http_requests_total counter'));
+        t.true(response.body.includes('nodejs_eventloop_lag_seconds'));
+});
+
+test('GET /metrics reports renders, batch sizes and compilation errors', async (t) => {
+        await got.post(`${BASE_URL}/render`, {
+                json: { mjml: '<mjml><mj-body><mj-section><mj-column><mj-bogus></mj-bogus></mj-column></mj-section></mj-body></mjml>' },
+                retry: { limit: 0 },
+                throwHttpErrors: false,
+        });
+        await got.post(`${BASE_URL}/render-batch`, {
+                json: { items: [{ id: 1, mjml: '<mjml><mj-body><mj-section><mj-column><mj-text>Metrics</mj-text></mj-column></mj-section></mj-body></mjml>' }] },
+                retry: { limit: 0 },
+        });
+
+        const { body } = await got.get(`${BASE_URL}/metrics`);
+
+        t.regex(body, /http_requests_total\{route="\/render",method="POST",status_code="400"\} \d+/);
+        t.regex(body, /mjml_compilation_errors_total\{tag_name="mj-bogus"\} \d+/);
+        t.regex(body, /mjml_render_duration_seconds_bucket\{le="[^"]+",outcome="success"\}/);
+        t.regex(body, /mjml_input_size_bytes_count \d+/);
+        t.regex(body, /mjml_output_size_bytes_count \d+/);
+        t.regex(body, /mjml_batch_size_count \d+/);
+});
+
+test('GET /metrics counts no cache lookups when the render cache is off', async (t) => {
+        const app = await buildApp({
+                logger: false, env: { RENDER_CACHE: 'off' }, pool: { size: 0 }, templates: { backend: 'memory' },
+        });
+        t.teardown(() => app.close());
+
+        await app.inject({
+                method: 'POST',
+                url: '/render',
+                payload: { mjml: '<mjml><mj-body><mj-section><mj-column><mj-text>Uncached</mj-text></mj-column></mj-section></mj-body></mjml>' },
+        });
+        const { body } = await app.inject({ method: 'GET', url: '/metrics' });
+
+        t.regex(body, /mjml_input_size_bytes_count 1/);
+        t.notRegex(body, /mjml_render_cache_lookups_total\{/);
+});
+
+// ============ JOBS TESTS ============
+
+const waitForJob = async (id) => {
+        for (let attempt = 0; attempt < 100; attempt += 1) {
+                const job = await got.get(`${BASE_URL}/jobs/${id}`).json();
+                if (job.status === 'completed' || job.status === 'failed') {
+                        return job;
+                }
+                await new Promise((resolve) => { setTimeout(resolve, 100); });
+        }
+        throw new Error(`Job ${id} did not finish`);
+};
+
+test('POST /jobs renders items asynchronously', async (t) => {
+        const response = await got.post(`${BASE_URL}/jobs`, {
+                json: {
+                        mjml: greetingMjml('Hello'),
+                        items: [
+                                { id: 'alice', data: { name: 'Alice' } },
+                                { id: 'bob', data: { name: 'Bob' } },
+                                { id: 'broken', mjml: '<mjml><mj-body><mj-section><mj-column><mj-bogus></mj-bogus></mj-column></mj-section></mj-body></mjml>' },
+                        ],
+                },
+        });
+        const created = JSON.parse(response.body);
+
+        t.is(response.statusCode, 202);
+        t.is(response.headers.location, `/jobs/${created.id}`);
+        t.is(created.summary.total, 3);
+
+        const job = await waitForJob(created.id);
+        t.is(job.status, 'completed');
+        t.deepEqual(job.summary, {
+                total: 3,
+                processed: 3,
+                success: 2,
+                failed: 1,
+        });
+
+        const page = await got.get(`${BASE_URL}/jobs/${created.id}/results?limit=2`).json();
+        t.deepEqual(page.results.map((r) => r.id), ['alice', 'bob']);
+        t.true(page.results[1].html.includes('Hello Bob'));
+        t.is(page.next, 2);
+
+        const last = await got.get(`${BASE_URL}/jobs/${created.id}/results?offset=2`).json();
+        t.is(last.results[0].code, 'COMPILATION_ERROR');
+        t.is(last.next, null);
+});
+
+test('POST /jobs accepts NDJSON items for a stored template', async (t) => {
+        const id = templateId('job');
+        await got.post(`${BASE_URL}/templates/${id}`, { json: { mjml: greetingMjml('Welcome') } });
+
+        const created = await got.post(`${BASE_URL}/jobs?templateId=${id}`, {
+                headers: { 'Content-Type': 'application/x-ndjson' },
+                body: '{"data":{"name":"Ann"}}\n{"data":{"name":"Ben"}}\n',
+        }).json();
+        await waitForJob(created.id);
+
+        const response = await got.get(`${BASE_URL}/jobs/${created.id}/results`, {
+                headers: { Accept: 'application/x-ndjson' },
+        });
+        const results = response.body.trim().split('\n').map((line) => JSON.parse(line));
+
+        t.true(response.headers['content-type'].includes('application/x-ndjson'));
+        t.is(results.length, 2);
+        t.true(results[1].html.includes('Welcome Ben'));
+});
+
+test('POST /jobs rejects items without MJML', async (t) => {
+        const response = await got.post(`${BASE_URL}/jobs`, {
+                json: { items: [{ data: { name: 'Ann' } }] },
+                throwHttpErrors: false,
+        });
+
+        t.is(response.statusCode, 400);
+        t.is(JSON.parse(response.body).code, 'INVALID_INPUT');
+});
+
+test('GET /jobs/:id with an unknown id returns 404', async (t) => {
+        const response = await got.get(`${BASE_URL}/jobs/00000000-0000-4000-8000-000000000000`, {
+                throwHttpErrors: false,
+        });
+
+        t.is(response.statusCode, 404);
+        t.is(JSON.parse(response.body).code, 'JOB_NOT_FOUND');
+});
+
+test('POST /jobs rejects callback URLs to internal addresses', async (t) => {
+        const response = await got.post(`${BASE_URL}/jobs`, {
+                json: { mjml: '<mjml><mj-body></mj-body></mjml>', items: [{}], callbackUrl: 'https://169.254.169.254/latest/meta-data' },
+                throwHttpErrors: false,
+        });
+
+        const body = JSON.parse(response.body);
+        t.is(response.statusCode, 400);
+        t.is(body.code, 'INVALID_INPUT');
+        t.is(body.error, 'callbackUrl is not allowed: host 169.254.169.254 is not a public address');
+});
+
+test('Jobs are only visible to the API key that created them, and admins', async (t) => {
+        const app = await startServer({
+                env: { API_KEYS: 'alice:key-a,bob:key-b,ops:key-o', API_ADMIN_KEYS: 'ops' },
+                pool: { size: 0 },
+        });
+        t.teardown(() => app.close());
+
+        const as = (key) => ({ headers: { 'X-API-Key': key }, throwHttpErrors: false });
+        const created = await got.post(`${app.baseUrl}/jobs`, {
+                ...as('key-a'),
+                json: { mjml: '<mjml><mj-body></mj-body></mjml>', items: [{}] },
+        }).json();
+
+        for (const url of [`/jobs/${created.id}`, `/jobs/${created.id}/results`]) {
+                t.is((await got.get(`${app.baseUrl}${url}`, as('key-a'))).statusCode, 200);
+                t.is((await got.get(`${app.baseUrl}${url}`, as('key-o'))).statusCode, 200);
+
+                const other = await got.get(`${app.baseUrl}${url}`, as('key-b'));
+                t.is(other.statusCode, 404);
+                t.is(JSON.parse(other.body).code, 'JOB_NOT_FOUND');
+        }
+});
+
+// ============ 404 TESTS ============
+
+test('GET /nonexistent returns 404', async (t) => {
+        const response = await got.get(`${BASE_URL}/nonexistent`, {
+                retry: { limit: 0 },
+                throwHttpErrors: false,
+        });
+
+        t.is(response.statusCode, 404);
+        const body = JSON.parse(response.body);
+        t.is(body.code, 'NOT_FOUND');
+});
+
+// ============ PERFORMANCE TESTS ============
+// En série : AVA les exécute avant les tests concurrents du fichier, sans partager le serveur ni le CPU
+
+test.serial('Single render completes in reasonable time', async (t) => {
+        const mjml = '<mjml><mj-body><mj-section><mj-column><mj-text>Test</mj-text></mj-column></mj-section></mj-body></mjml>';
+
+        const start = Date.now();
+        await got.post(`${BASE_URL}/render`, {
+                json: { mjml },
+                retry: { limit: 0 },
+        });
+        const duration = Date.now() - start;
+
+        t.true(duration < 5000, `Render took ${duration}ms, expected < 5000ms`);
+});
+
+test.serial('Batch render with 10 items completes in reasonable time', async (t) => {
+        const items = Array(10).fill(null).map((_, i) => ({
+                id: String(i),
+                mjml: '<mjml><mj-body><mj-section><mj-column><mj-text>Email</mj-text></mj-column></mj-section></mj-body></mjml>',
+        }));
+
+        const start = Date.now();
+        await got.post(`${BASE_URL}/render-batch`, {
+                json: { items },
+                retry: { limit: 0 },
+        });
+        const duration = Date.now() - start;
+
+        t.true(duration < 15000, `Batch render took ${duration}ms, expected < 15000ms`);
+});
+
+// ============ CONTENT TYPE TESTS ============
+
+test('POST /render with correct content-type', async (t) => {
+        const mjml = '<mjml><mj-body><mj-section><mj-column><mj-text>Test</mj-text></mj-column></mj-section></mj-body></mjml>';
+
+        const response = await got.post(`${BASE_URL}/render`, {
+                json: { mjml },
+                headers: { 'content-type': 'application/json' },
+                retry: { limit: 0 },
+        });
+
+        t.is(response.statusCode, 200);
+        t.true(response.headers['content-type'].includes('application/json'));
+});
+
+// ============ ERROR RESPONSE TESTS ============
+
+test('Error responses include code field', async (t) => {
+        const response = await got.post(`${BASE_URL}/render`, {
+                json: { mjml: '' },
+                retry: { limit: 0 },
+                throwHttpErrors: false,
+        });
+
+        const body = JSON.parse(response.body);
+        t.truthy(body.code);
+});
+
+test('Error responses include error field', async (t) => {
+        const response = await got.post(`${BASE_URL}/render`, {
+                json: { mjml: '' },
+                retry: { limit: 0 },
+                throwHttpErrors: false,
+        });
+
+        const body = JSON.parse(response.body);
+        t.truthy(body.error);
+});
+
+// ============ I18N TESTS ============
+
+const i18nApp = async (t) => {
+        const app = await buildApp({
+                logger: false,
+                env: {},
+                pool: { size: 0 },
+                templates: { backend: 'memory' },
+                i18n: { directory: 'tests/fixtures/i18n', defaultLocale: 'en' },
+        });
+        t.teardown(() => app.close());
+        return app;
+};
+
+const localizedMjml = '<mjml><mj-body><mj-section><mj-column><mj-text>{{t "welcome.title"}}</mj-text></mj-column></mj-section></mj-body></mjml>';
+
+test('POST /render with a locale translates and sets lang/dir, or 400 for an unknown locale', async (t) => {
+        const app = await i18nApp(t);
+        const render = (locale) => app.inject({
+                method: 'POST',
+                url: '/render',
+                payload: { mjml: localizedMjml, data: { name: 'Ada' }, locale },
+        });
+
+        const arabic = await render('ar');
+        t.is(arabic.statusCode, 200);
+        t.regex(arabic.json().html, /<html lang="ar" dir="rtl"/);
+        t.true(arabic.json().html.includes('مرحبا Ada!'));
+
+        const unknown = await render('de');
+        t.is(unknown.statusCode, 400);
+        t.is(unknown.json().code, 'UNKNOWN_LOCALE');
+});
+
+test('POST /render-batch fans items out to locales', async (t) => {
+        const app = await i18nApp(t);
+        const response = await app.inject({
+                method: 'POST',
+                url: '/render-batch',
+                payload: {
+                        items: [
+                                { id: 'welcome', mjml: localizedMjml, data: { name: 'Ada' } },
+                                { id: 'pinned', mjml: localizedMjml, data: { name: 'Grace' }, locale: 'ar' },
+                        ],
+                        locales: ['en', 'fr'],
+                        outputs: ['text'],
+                },
+        });
+        const { summary, results } = response.json();
+
+        t.is(response.statusCode, 200);
+        t.deepEqual(summary, { total: 3, success: 3, failed: 0 });
+        t.deepEqual(results.map(({ id, locale, text }) => [id, locale, text]), [
+                ['welcome', 'en', 'Welcome, Ada!'],
+                ['welcome', 'fr', 'Bienvenue, Ada !'],
+                ['pinned', 'ar', 'مرحبا Grace!'],
+        ]);
+});
+
+test('POST /render-batch counts one render per locale against the item limit', async (t) => {
+        const app = await buildApp({
+                logger: false,
+                env: {},
+                pool: { size: 0 },
+                templates: { backend: 'memory' },
+                i18n: { directory: 'tests/fixtures/i18n' },
+                maxBatchItems: 4,
+        });
+        t.teardown(() => app.close());
+
+        const response = await app.inject({
+                method: 'POST',
+                url: '/render-batch',
+                payload: {
+                        items: [{ mjml: localizedMjml }, { mjml: localizedMjml }],
+                        locales: ['en', 'fr', 'ar'],
+                },
+        });
+
+        t.is(response.statusCode, 413);
+        t.is(response.json().code, 'TOO_MANY_ITEMS');
+});
+
+// ============ POST-PROCESSING TESTS ============
+
+const darkMjml = '<mjml><mj-body><mj-section background-color="#ffffff"><mj-column><mj-text color="#333333">Dark</mj-text></mj-column></mj-section></mj-body></mjml>';
+
+test('POST /render applies the requested post-processing steps and reports them in meta', async (t) => {
+        const response = await got.post(`${BASE_URL}/render`, {
+                json: {
+                        mjml: darkMjml,
+                        postProcess: { darkMode: true, minify: true, darkModeColors: { '#333333': '#eeeeee' } },
+                },
+                responseType: 'json',
+        });
+
+        t.is(response.statusCode, 200);
+        t.deepEqual(response.body.meta.postProcess, [
+                { step: 'darkMode', colors: 1, elements: 1 },
+                { step: 'minify', savedBytes: response.body.meta.postProcess[1].savedBytes },
+        ]);
+        t.true(response.body.html.includes('[data-ogsc] .dark-c-333333{color:#eee!important}'));
+});
+
+test('POST /render-batch applies server default steps unless the request disables them', async (t) => {
+        const app = await buildApp({
+                logger: false,
+                env: { POSTPROCESS_STEPS: 'stripUnusedCss,minify' },
+                pool: { size: 0 },
+                templates: { backend: 'memory' },
+        });
+        t.teardown(() => app.close());
+
+        const batch = (postProcess) => app.inject({
+                method: 'POST',
+                url: '/render-batch',
+                payload: { items: [{ id: 'a', mjml: darkMjml }], postProcess },
+        });
+
+        const defaults = (await batch()).json().results[0];
+        t.deepEqual(defaults.meta.postProcess.map(({ step }) => step), ['stripUnusedCss', 'minify']);
+
+        const disabled = (await batch({ stripUnusedCss: false, minify: false })).json().results[0];
+        t.true(disabled.success);
+        t.is(disabled.meta, undefined);
+});
+
+test('POST /render rejects invalid dark mode colors', async (t) => {
+        const render = (postProcess) => got.post(`${BASE_URL}/render`, {
+                json: { mjml: darkMjml, postProcess },
+                responseType: 'json',
+                throwHttpErrors: false,
+        });
+
+        t.is((await render({ darkMode: true, darkModeColors: { '#333333': 'red;}' } })).statusCode, 400);
+        t.is((await render({ darkMode: true, darkModeColors: { '} body': '#000000' } })).statusCode, 400);
+});
+
+// ============ TRACKING TESTS ============
+
+const trackedMjml = '<mjml><mj-body><mj-section><mj-column><mj-button href="https://example.com/shop">Shop</mj-button></mj-column></mj-section></mj-body></mjml>';
+
+const trackingApp = async (t) => {
+        const app = await buildApp({
+                logger: false,
+                env: { TRACKING_SECRET: 's3cret', TRACKING_CLICK_URL: 'https://t.example.com/c', TRACKING_UTM: '{"medium":"email"}' },
+                pool: { size: 0 },
+                templates: { backend: 'memory' },
+        });
+        t.teardown(() => app.close());
+        return app;
+};
+
+test('POST /render rewrites links and returns the tracking manifest with post-processing meta', async (t) => {
+        const app = await trackingApp(t);
+        const response = await app.inject({
+                method: 'POST',
+                url: '/render',
+                payload: {
+                        mjml: trackedMjml,
+                        tracking: { utm: { campaign: 'spring' }, clickTracking: true },
+                        postProcess: { minify: true },
+                },
+        });
+        const { meta, html } = response.json();
+
+        t.is(response.statusCode, 200);
+        t.deepEqual(meta.tracking.links.map(({ id, tag, url }) => [id, tag, url]), [
+                [1, 'mj-button', 'https://example.com/shop?utm_medium=email&utm_campaign=spring'],
+        ]);
+        t.true(html.includes(meta.tracking.links[0].href));
+        t.deepEqual(meta.postProcess.map(({ step }) => step), ['minify']);
+});
+
+test('POST /render-batch signs click tokens with the item id as message id', async (t) => {
+        const app = await trackingApp(t);
+        const response = await app.inject({
+                method: 'POST',
+                url: '/render-batch',
+                payload: {
+                        items: [{ id: 'ada', mjml: trackedMjml }, { mjml: trackedMjml }],
+                        tracking: { clickTracking: true },
+                },
+        });
+
+        const messageIds = response.json().results.map(({ meta }) => {
+                const token = new URL(meta.tracking.links[0].href).searchParams.get('t');
+                return verifyTrackingToken(token, 's3cret').m;
+        });
+        t.deepEqual(messageIds, ['ada', '1']);
+});
+
+test('POST /render returns 400 TRACKING_NOT_CONFIGURED for open tracking without a pixel URL', async (t) => {
+        const app = await trackingApp(t);
+        const response = await app.inject({
+                method: 'POST',
+                url: '/render',
+                payload: { mjml: trackedMjml, tracking: { openTracking: true } },
+        });
+
+        t.is(response.statusCode, 400);
+        t.is(response.json().code, 'TRACKING_NOT_CONFIGURED');
+        t.regex(response.json().error, /TRACKING_OPEN_URL/);
+});
+
+// ============ IMAGE TESTS ============
+
+const imagesMjml = '<mjml><mj-body><mj-section><mj-column><mj-image src="banner.png" width="300px" alt="Banner" /></mj-column></mj-section></mj-body></mjml>';
+
+const imagesApp = async (t) => {
+        const app = await buildApp({
+                logger: false,
+                env: { IMAGES_DIR: 'tests/fixtures/images/assets' },
+                pool: { size: 0 },
+                templates: { backend: 'memory' },
+        });
+        t.teardown(() => app.close());
+        return app;
+};
+
+test('POST /render returns cid attachments and the image report', async (t) => {
+        const app = await imagesApp(t);
+        const response = await app.inject({
+                method: 'POST',
+                url: '/render',
+                payload: { mjml: imagesMjml, images: { embed: 'cid', srcset: true } },
+        });
+        const { html, attachments, meta } = response.json();
+
+        t.is(response.statusCode, 200);
+        t.deepEqual(attachments.map(({ filename }) => filename), ['banner-300w.png', 'banner-600w.png']);
+        t.true(html.includes(`src="cid:${attachments[0].cid}"`));
+        t.deepEqual(meta.images.map(({
+                src, width, height, filled, srcset,
+        }) => [src, width, height, filled, srcset]), [['banner.png', 1200, 400, ['height'], true]]);
+});
+
+test('POST /render returns 400 IMAGE_ERROR for a missing or malformed local image', async (t) => {
+        const app = await imagesApp(t);
+        const render = (src) => app.inject({
+                method: 'POST',
+                url: '/render',
+                payload: { mjml: imagesMjml.replace('banner.png', src), images: {} },
+        });
+
+        for (const [src, message] of [
+                ['missing.png', 'Image "missing.png" not found'],
+                ['%E0%A4%A', 'Image path "%E0%A4%A" is not a valid URI'],
+        ]) {
+                const response = await render(src);
+
+                t.is(response.statusCode, 400);
+                t.is(response.json().code, 'IMAGE_ERROR');
+                t.deepEqual(response.json().errors, [{ line: 1, message, tagName: 'mj-image' }]);
+        }
+});
+
+test('POST /render/eml attaches images embedded as cid', async (t) => {
+        const app = await imagesApp(t);
+        const response = await app.inject({
+                method: 'POST',
+                url: '/render/eml',
+                payload: {
+                        mjml: imagesMjml,
+                        images: { embed: 'cid' },
+                        headers: { from: 'shop@example.com', to: 'bob@example.com', subject: 'Images' },
+                },
+        });
+
+        t.is(response.statusCode, 200);
+        t.regex(response.body, /^Content-Type: multipart\/related/m);
+        t.regex(response.body, /^Content-ID: <banner-[0-9a-f]{12}@mjml-api>$/m);
+});
+
+// ============ API KEY TESTS ============
+
+const apiKeyApp = async (t, keys) => {
+        const app = await buildApp({
+                logger: false,
+                env: {},
+                pool: { size: 0 },
+                templates: { backend: 'memory' },
+                apiKeys: {
+                        keys: keys.map((key) => ({
+                                rateLimit: { capacity: 60, refillPerSecond: 1 },
+                                dailyQuota: null,
+                                admin: false,
+                                ...key,
+                        })),
+                },
+        });
+        t.teardown(() => app.close());
+        return app;
+};
+
+const keyedMjml = '<mjml><mj-body><mj-section><mj-column><mj-text>Keyed</mj-text></mj-column></mj-section></mj-body></mjml>';
+
+test('Requests without a valid API key get 401 with WWW-Authenticate', async (t) => {
+        const app = await apiKeyApp(t, [{ name: 'app', key: 'key-a' }]);
+        const render = (headers) => app.inject({
+                method: 'POST', url: '/render', headers, payload: { mjml: keyedMjml },
+        });
+
+        for (const headers of [{}, { 'X-API-Key': 'wrong' }, { Authorization: 'Bearer wrong' }]) {
+                const response = await render(headers);
+                t.is(response.statusCode, 401);
+                t.is(response.headers['www-authenticate'], 'Bearer');
+                t.is(response.json().code, 'UNAUTHORIZED');
+        }
+
+        const accepted = await render({ Authorization: 'Bearer key-a' });
+        t.is(accepted.statusCode, 200);
+        t.is(accepted.headers['x-ratelimit-limit'], '60');
+        t.is(accepted.headers['x-ratelimit-remaining'], '59');
+
+        // Les routes publiques restent accessibles sans clé
+        t.is((await app.inject('/health')).statusCode, 200);
+});
+
+test('/admin routes return 403 to keys without admin rights', async (t) => {
+        const app = await apiKeyApp(t, [{ name: 'app', key: 'key-a' }, { name: 'ops', key: 'key-o', admin: true }]);
+        const reload = (key) => app.inject({ method: 'POST', url: '/admin/components/reload', headers: { 'X-API-Key': key } });
+
+        const forbidden = await reload('key-a');
+        t.is(forbidden.statusCode, 403);
+        t.is(forbidden.json().code, 'FORBIDDEN');
+        t.is(forbidden.json().error, 'This endpoint requires an admin API key');
+
+        t.not((await reload('key-o')).statusCode, 403);
+});
+
+test('An empty token bucket returns 429 RATE_LIMITED with rate limit headers', async (t) => {
+        const app = await apiKeyApp(t, [{ name: 'app', key: 'key-a', rateLimit: { capacity: 1, refillPerSecond: 0.01 } }]);
+        const render = () => app.inject({
+                method: 'POST', url: '/render', headers: { 'X-API-Key': 'key-a' }, payload: { mjml: keyedMjml },
+        });
+
+        t.is((await render()).statusCode, 200);
+        const limited = await render();
+
+        t.is(limited.statusCode, 429);
+        t.is(limited.json().code, 'RATE_LIMITED');
+        t.is(limited.headers['x-ratelimit-limit'], '1');
+        t.is(limited.headers['x-ratelimit-remaining'], '0');
+        t.true(Number(limited.headers['retry-after']) > 0);
+});
+
+test('Renders over the daily quota return 429 QUOTA_EXCEEDED with quota headers', async (t) => {
+        const app = await apiKeyApp(t, [{ name: 'app', key: 'key-a', dailyQuota: 2 }]);
+        const batch = (count) => app.inject({
+                method: 'POST',
+                url: '/render-batch',
+                headers: { 'X-API-Key': 'key-a' },
+                payload: { items: Array.from({ length: count }, () => ({ mjml: keyedMjml })) },
+        });
+
+        const allowed = await batch(1);
+        t.is(allowed.statusCode, 200);
+        t.is(allowed.headers['x-quota-limit'], '2');
+        t.is(allowed.headers['x-quota-remaining'], '1');
+
+        // Un batch compte un rendu par item : 2 dépasseraient le quota restant
+        const exceeded = await batch(2);
+        t.is(exceeded.statusCode, 429);
+        t.is(exceeded.json().code, 'QUOTA_EXCEEDED');
+        t.is(exceeded.headers['x-quota-remaining'], '1');
+        t.true(Number(exceeded.headers['retry-after']) > 0);
+});
+
+// ============ RENDER POOL TESTS ============
+// En série, comme les tests de performance : leurs durées ne doivent pas dépendre des autres tests
+
+const poolApp = async (t, pool) => {
+        const app = await buildApp({
+                logger: false, env: {}, pool, templates: { backend: 'memory' },
+        });
+        t.teardown(() => app.close());
+        return app;
+};
+
+const pooledMjml = (text, sections = 1) => `<mjml><mj-body>${'<mj-section><mj-column><mj-text>'.concat(text, '</mj-text><mj-button href="https://example.com">Go</mj-button></mj-column></mj-section>').repeat(sections)}</mj-body></mjml>`;
+
+test.serial('A render over the pool timeout returns 504 and the worker is replaced', async (t) => {
+        const app = await poolApp(t, { size: 1, timeout: 300, maxQueue: 1 });
+
+        const slow = await app.inject({ method: 'POST', url: '/render', payload: { mjml: pooledMjml('Slow', 1000) } });
+        t.is(slow.statusCode, 504);
+        t.is(slow.json().code, 'RENDER_TIMEOUT');
+
+        // Rendu par le worker de remplacement, sans compter son chargement dans le timeout
+        const next = await app.inject({ method: 'POST', url: '/render', payload: { mjml: pooledMjml('Next') } });
+        t.is(next.statusCode, 200);
+        t.true(next.json().html.includes('Next'));
+
+        const { renderPool } = (await app.inject('/info')).json();
+        t.is(renderPool.workers, 1);
+        t.is(renderPool.timedOut, 1);
+        t.is(renderPool.completed, 1);
+});
+
+test.serial('Renders beyond the pool queue return 503 with Retry-After', async (t) => {
+        const app = await poolApp(t, { size: 1, timeout: 30000, maxQueue: 0 });
+
+        const [first, second] = await Promise.all([
+                app.inject({ method: 'POST', url: '/render', payload: { mjml: pooledMjml('First', 300) } }),
+                app.inject({ method: 'POST', url: '/render', payload: { mjml: pooledMjml('Second') } }),
+        ]);
+        t.is(first.statusCode, 200);
+        t.is(second.statusCode, 503);
+        t.is(second.json().code, 'POOL_BUSY');
+        t.is(second.headers['retry-after'], '1');
+
+        // Un batch plus grand que les workers libres et la file est refusé en entier
+        const batch = await app.inject({
+                method: 'POST',
+                url: '/render-batch',
+                payload: { items: [{ mjml: pooledMjml('A') }, { mjml: pooledMjml('B') }] },
+        });
+        t.is(batch.statusCode, 503);
+        t.is(batch.json().code, 'POOL_BUSY');
+        t.is(batch.headers['retry-after'], '1');
+});
+
+// ============ APP FACTORY TESTS ============
+
+test('buildApp answers inject requests without listening', async (t) => {
+        const app = await buildApp({
+                logger: false, env: {}, pool: { size: 0 }, templates: { backend: 'memory' },
+        });
+        t.teardown(() => app.close());
+
+        const response = await app.inject({
+                method: 'POST',
+                url: '/render',
+                payload: { mjml: '<mjml><mj-body><mj-section><mj-column><mj-text>Injected</mj-text></mj-column></mj-section></mj-body></mjml>' },
+        });
+
+        t.is(response.statusCode, 200);
+        t.true(response.json().html.includes('Injected'));
+});
+
+test('buildApp applies configurable limits', async (t) => {
+        const app = await buildApp({
+                logger: false, env: {}, pool: { size: 0 }, templates: { backend: 'memory' }, maxBatchItems: 2,
+        });
+        t.teardown(() => app.close());
+
+        const mjml = '<mjml><mj-body></mj-body></mjml>';
+        const response = await app.inject({
+                method: 'POST',
+                url: '/render-batch',
+                payload: { items: [{ mjml }, { mjml }, { mjml }] },
+        });
+
+        t.is(response.statusCode, 413);
+        t.is(response.json().code, 'TOO_MANY_ITEMS');
+});
+
+test('mjmlServerPlugin can be mounted under a prefix', async (t) => {
+        const host = Fastify({ logger: false });
+        host.get('/ping', async () => ({ pong: true }));
+        await host.register(mjmlServerPlugin, {
+                prefix: '/mjml', env: {}, pool: { size: 0 }, templates: { backend: 'memory' },
+        });
+        t.teardown(() => host.close());
+
+        const render = await host.inject({
+                method: 'POST',
+                url: '/mjml/render',
+                payload: { mjml: '<mjml><mj-body><mj-section><mj-column><mj-text>Mounted</mj-text></mj-column></mj-section></mj-body></mjml>' },
+        });
+        t.is(render.statusCode, 200);
+        t.true(render.json().html.includes('Mounted'));
+
+        const info = (await host.inject('/mjml/info')).json();
+        t.is(info.endpoints.render.path, '/mjml/render');
+        t.is(info.endpoints.docs.path, '/mjml/docs');
+
+        const notFound = await host.inject('/mjml/missing');
+        t.is(notFound.statusCode, 404);
+        t.is(notFound.json().code, 'NOT_FOUND');
+
+        t.deepEqual((await host.inject('/ping')).json(), { pong: true });
+        t.is((await host.inject('/render')).statusCode, 404);
 });
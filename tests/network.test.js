@@ -0,0 +1,41 @@
+import test from 'ava';
+import { checkPublicUrl, isPrivateAddress, resolvePublicUrl } from '../lib/network.js';
+
+test('isPrivateAddress flags loopback, private, link-local and mapped addresses', (t) => {
+        ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']
+                .forEach((address) => t.true(isPrivateAddress(address), address));
+        ['93.184.216.34', '8.8.8.8', '2606:4700::1111', '::ffff:8.8.8.8']
+                .forEach((address) => t.false(isPrivateAddress(address), address));
+});
+
+test('checkPublicUrl rejects internal hosts and other protocols', async (t) => {
+        t.is(await checkPublicUrl('https://93.184.216.34/hook'), null);
+        t.regex(await checkPublicUrl('http://169.254.169.254/latest/meta-data/'), /not a public address/);
+        t.regex(await checkPublicUrl('http://[::1]:3000/'), /not a public address/);
+        t.regex(await checkPublicUrl('http://localhost:3000/'), /not a public address/);
+        t.regex(await checkPublicUrl('file:///etc/passwd'), /protocol file: is not allowed/);
+        t.regex(await checkPublicUrl('http://93.184.216.34/', { protocols: ['https:'] }), /protocol http:/);
+        t.is(await checkPublicUrl('not a url'), 'invalid URL');
+});
+
+test('resolvePublicUrl pins the checked address when DNS later answers with a private one', async (t) => {
+        // DNS rebinding : adresse publique à la vérification, puis interne à la connexion
+        const answers = [[{ address: '93.184.216.34', family: 4 }], [{ address: '127.0.0.1', family: 4 }]];
+        let lookups = 0;
+        const lookup = async () => {
+                lookups += 1;
+                return answers[Math.min(lookups, answers.length) - 1];
+        };
+
+        const resolved = await resolvePublicUrl('https://hooks.example.com/done', { lookup });
+        t.is(resolved.refused, undefined);
+
+        const connect = (options) => new Promise((resolve, reject) => {
+                resolved.lookup('hooks.example.com', options, (error, ...result) => (error ? reject(error) : resolve(result)));
+        });
+        t.deepEqual(await connect({}), ['93.184.216.34', 4]);
+        t.deepEqual(await connect({ all: true }), [[{ address: '93.184.216.34', family: 4 }]]);
+        t.is(lookups, 1);
+
+        t.deepEqual(await resolvePublicUrl('https://hooks.example.com/done', { lookup }), { refused: 'host hooks.example.com is not a public address' });
+});
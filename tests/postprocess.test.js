@@ -0,0 +1,96 @@
+import test from 'ava';
+import { readFile } from 'node:fs/promises';
+import {
+        loadPostProcessConfig, postProcessHtml, postProcessResult, resolvePostProcess,
+} from '../lib/postprocess.js';
+import { renderMjml } from '../lib/render.js';
+
+const newsletter = async () => {
+        const mjml = await readFile('tests/fixtures/postprocess/newsletter.mjml', 'utf8');
+        return renderMjml(mjml).html;
+};
+
+const DARK_MODE_COLORS = { '#FFF': '#121212', '#333333': '#eeeeee' };
+
+// ============ CONFIG TESTS ============
+
+test('loadPostProcessConfig reads default steps and the dark mode color map', (t) => {
+        t.deepEqual(loadPostProcessConfig({}), { steps: [], darkModeColors: {} });
+        t.deepEqual(loadPostProcessConfig({
+                POSTPROCESS_STEPS: 'minify, darkMode',
+                POSTPROCESS_DARK_MODE_COLORS: '{"#ffffff":"#121212"}',
+        }), { steps: ['minify', 'darkMode'], darkModeColors: { '#ffffff': '#121212' } });
+});
+
+test('loadPostProcessConfig rejects unknown steps and invalid colors', (t) => {
+        t.throws(() => loadPostProcessConfig({ POSTPROCESS_STEPS: 'minify,inlineCss' }), { message: /inlineCss/ });
+        t.throws(() => loadPostProcessConfig({ POSTPROCESS_DARK_MODE_COLORS: '{"#fff":"red;}"}' }), { message: /#fff -> red;}/ });
+});
+
+test('resolvePostProcess toggles steps over the server defaults, in pipeline order', (t) => {
+        const config = { steps: ['minify', 'darkMode'], darkModeColors: { '#ffffff': '#121212', '#000000': '#ffffff' } };
+
+        t.deepEqual(resolvePostProcess({ darkModeColors: { '#000000': '#eeeeee' } }, config), {
+                steps: ['darkMode', 'minify'],
+                darkModeColors: { '#ffffff': '#121212', '#000000': '#eeeeee' },
+        });
+        t.deepEqual(resolvePostProcess({ darkMode: false, msoFixes: true }, config), { steps: ['msoFixes', 'minify'], darkModeColors: undefined });
+        t.is(resolvePostProcess({ darkMode: false, minify: false }, config), undefined);
+        t.is(resolvePostProcess(undefined, { steps: [], darkModeColors: {} }), undefined);
+});
+
+// ============ STEP TESTS ============
+
+test('darkMode adds classes and prefers-color-scheme / Outlook.com overrides for mapped colors', async (t) => {
+        const { html, report } = await postProcessHtml(await newsletter(), { steps: ['darkMode'], darkModeColors: DARK_MODE_COLORS });
+
+        t.deepEqual(report, [{ step: 'darkMode', colors: 3, elements: 5 }]);
+        t.true(html.includes('<meta name="color-scheme" content="light dark">'));
+        t.regex(html, /@media \(prefers-color-scheme: dark\) \{\n {2}\.dark-c-333333 \{ color: #eeeeee !important; \}/);
+        t.true(html.includes('[data-ogsc] .dark-c-333333 { color: #eeeeee !important; }'));
+        t.true(html.includes('[data-ogsb] .dark-bg-ffffff { background-color: #121212 !important; }'));
+        t.regex(html, /color:#333333;"\s+class="dark-c-333333">Spring sale/);
+});
+
+test('msoFixes adds a VML button and body background for Outlook', async (t) => {
+        const { html, report } = await postProcessHtml(await newsletter(), { steps: ['msoFixes'] });
+
+        t.deepEqual(report, [{ step: 'msoFixes', buttons: 1, background: true }]);
+        t.true(html.includes('<!--[if mso]><v:roundrect xmlns:v="urn:schemas-microsoft-com:vml" xmlns:w="urn:schemas-microsoft-com:office:word" '
+                + 'href="https://example.com/sale" style="height:36px;v-text-anchor:middle;width:200px;" arcsize="17%" stroke="f" fillcolor="#0055ff">'));
+        t.regex(html, /<\/v:roundrect><!\[endif\]--><!--\[if !mso\]><!--><table/);
+        t.true(html.includes('<v:fill type="tile" color="#f4f4f4"/>'));
+});
+
+test('stripUnusedCss drops selectors absent from the document and keeps client hooks', async (t) => {
+        const { html, report } = await postProcessHtml(await newsletter(), { steps: ['stripUnusedCss'] });
+
+        t.is(report[0].removedSelectors, 2);
+        t.true(report[0].savedBytes > 0);
+        t.false(html.includes('.unused-banner'));
+        t.false(html.includes('#missing-block'));
+        t.true(html.includes('.promo a { color: #0055ff; }'));
+        t.true(html.includes('#outlook a { padding:0; }'));
+        t.true(html.includes('.moz-text-html .mj-column-per-100'));
+});
+
+test('minify keeps conditional comments and VML markup', async (t) => {
+        const source = await newsletter();
+        const { html, report } = await postProcessHtml(source, { steps: ['msoFixes', 'minify'] });
+
+        t.deepEqual(report.map(({ step }) => step), ['msoFixes', 'minify']);
+        t.true(report[1].savedBytes > 0);
+        t.true(html.length < source.length);
+        t.true(html.includes('<w:anchorlock/>'));
+        t.true(html.includes('<!--[if mso | IE]>'));
+});
+
+test('postProcessResult reports applied steps in meta and leaves the text output alone', async (t) => {
+        const mjml = await readFile('tests/fixtures/postprocess/newsletter.mjml', 'utf8');
+        const rendered = renderMjml(mjml, { outputs: ['html', 'text'] });
+        const result = await postProcessResult(rendered, { steps: ['minify'] });
+
+        t.is(result.text, rendered.text);
+        t.deepEqual(result.meta.postProcess.map(({ step }) => step), ['minify']);
+        t.is(await postProcessResult(renderMjml(mjml, { outputs: ['text'] }), { steps: ['minify'] }).then((r) => r.meta), undefined);
+});
@@ -0,0 +1,37 @@
+import test from 'ava';
+import { createRequestFilter, loadPreviewConfig } from '../lib/preview.js';
+
+const mainFrame = {};
+const iframe = {};
+
+const request = (url, { navigation = false, frame = mainFrame } = {}) => ({
+        url: () => url,
+        isNavigationRequest: () => navigation,
+        frame: () => frame,
+});
+
+test('loadPreviewConfig does not load remote resources by default', (t) => {
+        t.false(loadPreviewConfig({}).allowRemote);
+        t.true(loadPreviewConfig({ PREVIEW_ALLOW_REMOTE: 'true' }).allowRemote);
+});
+
+test('Only the first main frame navigation is allowed', async (t) => {
+        const allowed = createRequestFilter({ allowRemote: true, mainFrame });
+
+        t.false(await allowed(request('http://169.254.169.254/latest/meta-data/', { navigation: true, frame: iframe })));
+        t.false(await allowed(request('https://93.184.216.34/', { navigation: true, frame: iframe })));
+        t.true(await allowed(request('about:blank', { navigation: true })));
+        t.false(await allowed(request('https://93.184.216.34/', { navigation: true })));
+});
+
+test('Remote resources need allowRemote and a public host', async (t) => {
+        const local = createRequestFilter({ allowRemote: false, mainFrame });
+        t.true(await local(request('data:image/png;base64,iVBORw0KGgo=')));
+        t.false(await local(request('https://93.184.216.34/logo.png')));
+
+        const remote = createRequestFilter({ allowRemote: true, mainFrame });
+        t.true(await remote(request('https://93.184.216.34/logo.png')));
+        t.false(await remote(request('http://127.0.0.1:3000/metrics')));
+        t.false(await remote(request('http://10.0.0.5/logo.png')));
+        t.false(await remote(request('file:///etc/passwd')));
+});
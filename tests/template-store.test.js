@@ -0,0 +1,48 @@
+import test from 'ava';
+import { mkdtemp, readdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { createDirectoryBackend, createMemoryBackend, createTemplateStore } from '../lib/template-store.js';
+
+const tempDir = async (t) => {
+        const directory = await mkdtemp(path.join(tmpdir(), 'mjml-templates-'));
+        t.teardown(() => rm(directory, { recursive: true, force: true }));
+        return directory;
+};
+
+// ============ CONCURRENCY TESTS ============
+
+test('Concurrent updates on disk keep every version and leave no temp files', async (t) => {
+        const directory = await tempDir(t);
+        const store = createTemplateStore(createDirectoryBackend(directory));
+        await store.create('welcome', { mjml: 'v1' });
+
+        const updated = await Promise.all(['v2', 'v3', 'v4', 'v5'].map((mjml) => store.update('welcome', { mjml })));
+
+        t.deepEqual(updated.map((record) => record.versions.length), [2, 3, 4, 5]);
+        t.deepEqual((await store.get('welcome')).versions.map((v) => v.mjml), ['v1', 'v2', 'v3', 'v4', 'v5']);
+        t.deepEqual(await readdir(directory), ['welcome.json']);
+});
+
+test('Concurrent creates keep the first template', async (t) => {
+        const store = createTemplateStore(createMemoryBackend());
+
+        const [first, second] = await Promise.all([
+                store.create('welcome', { mjml: 'a' }),
+                store.create('welcome', { mjml: 'b' }),
+        ]);
+
+        t.is(first.versions[0].mjml, 'a');
+        t.is(second, null);
+});
+
+test('update returns null once the template is removed', async (t) => {
+        const store = createTemplateStore(createMemoryBackend());
+        await store.create('welcome', { mjml: 'v1' });
+
+        const [removed, updated] = await Promise.all([store.remove('welcome'), store.update('welcome', { mjml: 'v2' })]);
+
+        t.true(removed);
+        t.is(updated, null);
+        t.is(await store.get('welcome'), null);
+});
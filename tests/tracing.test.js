@@ -0,0 +1,79 @@
+import test from 'ava';
+import { InMemorySpanExporter } from '@opentelemetry/sdk-trace-node';
+import { buildApp } from '../lib/app.js';
+import { loadTracingConfig } from '../lib/tracing.js';
+
+const MJML = '<mjml><mj-body><mj-section><mj-column><mj-text>Hello</mj-text></mj-column></mj-section></mj-body></mjml>';
+
+// Traceparent W3C d'un appelant
+const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+const TRACEPARENT = `00-${TRACE_ID}-00f067aa0ba902b7-01`;
+
+const exporter = new InMemorySpanExporter();
+let app;
+
+test.before(async () => {
+        // Rendu dans le thread principal : les spans sont exportés vers l'exporter du test
+        app = await buildApp({
+                logger: false,
+                env: {},
+                pool: { size: 0 },
+                templates: { backend: 'memory' },
+                tracing: { exporter },
+        });
+});
+
+test.after.always(async () => {
+        await app?.close();
+});
+
+const spansOf = (requestId) => {
+        const spans = exporter.getFinishedSpans();
+        const root = spans.find((span) => span.attributes['mjml.request_id'] === requestId);
+        const children = (parent) => spans.filter((span) => span.parentSpanContext?.spanId === parent.spanContext().spanId);
+        return { root, children };
+};
+
+test('loadTracingConfig reads the standard OTLP variables', (t) => {
+        t.deepEqual(loadTracingConfig({}), { endpoint: null, serviceName: 'mjml-server' });
+        t.is(loadTracingConfig({ OTEL_EXPORTER_OTLP_ENDPOINT: 'http://localhost:4318/' }).endpoint, 'http://localhost:4318/v1/traces');
+        t.is(loadTracingConfig({
+                OTEL_EXPORTER_OTLP_ENDPOINT: 'http://localhost:4318',
+                OTEL_EXPORTER_OTLP_TRACES_ENDPOINT: 'http://collector:4318/traces',
+        }).endpoint, 'http://collector:4318/traces');
+});
+
+test.serial('Renders are traced as parse, render and post-process spans under the request span', async (t) => {
+        const response = await app.inject({
+                method: 'POST',
+                url: '/render',
+                headers: { 'x-request-id': 'trace-1', traceparent: TRACEPARENT },
+                payload: { mjml: MJML, postProcess: { minify: true } },
+        });
+        t.is(response.statusCode, 200);
+
+        const { root, children } = spansOf('trace-1');
+        t.is(root.name, 'POST /render');
+        t.is(root.spanContext().traceId, TRACE_ID);
+        t.is(root.attributes['http.response.status_code'], 200);
+
+        const phases = children(root);
+        t.deepEqual(phases.map((span) => span.name).sort(), ['mjml.parse', 'mjml.postprocess', 'mjml.render']);
+        t.is(phases.find((span) => span.name === 'mjml.parse').attributes['mjml.size'], MJML.length);
+        t.is(phases.find((span) => span.name === 'mjml.postprocess').attributes['mjml.postprocess.steps'], 'minify');
+});
+
+test.serial('Failed compilations mark the render span as an error', async (t) => {
+        const response = await app.inject({
+                method: 'POST',
+                url: '/render',
+                headers: { 'x-request-id': 'trace-2' },
+                payload: { mjml: '<mjml><mj-body><mj-unknown /></mj-body></mjml>' },
+        });
+        t.is(response.statusCode, 400);
+
+        const { root, children } = spansOf('trace-2');
+        const render = children(root).find((span) => span.name === 'mjml.render');
+        t.is(render.status.code, 2); // SpanStatusCode.ERROR
+        t.is(render.status.message, 'COMPILATION_ERROR');
+});
@@ -0,0 +1,104 @@
+import test from 'ava';
+import { readFile } from 'node:fs/promises';
+import { renderMjml } from '../lib/render.js';
+import {
+        loadTrackingConfig, resolveTracking, signTrackingToken, verifyTrackingToken,
+} from '../lib/tracking.js';
+
+const CONFIG = {
+        secret: 's3cret',
+        clickUrl: 'https://t.example.com/c',
+        openUrl: 'https://t.example.com/o.gif',
+        utm: { source: 'newsletter', medium: 'email' },
+};
+
+const promo = () => readFile('tests/fixtures/tracking/promo.mjml', 'utf8');
+
+const tokenOf = (url) => new URL(url).searchParams.get('t');
+
+// ============ CONFIG TESTS ============
+
+test('loadTrackingConfig reads the redirect, pixel, secret and default UTM parameters', (t) => {
+        t.deepEqual(loadTrackingConfig({}), {
+                secret: null, clickUrl: null, openUrl: null, utm: {},
+        });
+        t.deepEqual(loadTrackingConfig({
+                TRACKING_SECRET: 's3cret',
+                TRACKING_CLICK_URL: 'https://t.example.com/c',
+                TRACKING_OPEN_URL: 'https://t.example.com/o.gif',
+                TRACKING_UTM: '{"source":"newsletter","medium":"email"}',
+        }), CONFIG);
+        t.throws(() => loadTrackingConfig({ TRACKING_UTM: '{"id":"x"}' }), { message: /Unknown UTM parameter\(s\) in TRACKING_UTM: id/ });
+});
+
+test('resolveTracking requires a secret and URLs for click and open tracking', (t) => {
+        t.deepEqual(resolveTracking(undefined, CONFIG), { tracking: undefined });
+        t.deepEqual(resolveTracking({ utm: { campaign: 'spring' } }, { ...CONFIG, secret: null }).tracking.utm, {
+                source: 'newsletter', medium: 'email', campaign: 'spring',
+        });
+        t.is(
+                resolveTracking({ clickTracking: true, openTracking: true }, { ...CONFIG, secret: null, openUrl: null }).error,
+                'Tracking is not configured on this server (TRACKING_OPEN_URL, TRACKING_SECRET)',
+        );
+});
+
+// ============ TOKEN TESTS ============
+
+test('verifyTrackingToken returns the signed data and rejects tampered tokens', (t) => {
+        const token = signTrackingToken({ e: 'click', l: 1, u: 'https://example.com/' }, 's3cret');
+        const [data, signature] = token.split('.');
+        const forged = Buffer.from(JSON.stringify({ e: 'click', l: 1, u: 'https://evil.example/' })).toString('base64url');
+
+        t.deepEqual(verifyTrackingToken(token, 's3cret'), { e: 'click', l: 1, u: 'https://example.com/' });
+        t.is(verifyTrackingToken(token, 'other'), null);
+        t.is(verifyTrackingToken(`${forged}.${signature}`, 's3cret'), null);
+        t.is(verifyTrackingToken(data, 's3cret'), null);
+});
+
+// ============ RENDER TESTS ============
+
+test('renderMjml adds UTM parameters to button, image and text links and lists them in meta', async (t) => {
+        const { tracking } = resolveTracking({ utm: { campaign: 'spring' } }, CONFIG);
+        const result = renderMjml(await promo(), { data: { articleUrl: 'https://blog.example.com/post?a=1&b=2' }, tracking });
+
+        t.true(result.success);
+        t.deepEqual(result.meta.tracking.links.map(({ id, tag, url }) => [id, tag, url]), [
+                [1, 'mj-image', 'https://example.com/sale?ref=banner&utm_source=newsletter&utm_medium=email&utm_campaign=spring'],
+                [2, 'a', 'https://blog.example.com/post?a=1&b=2&utm_source=newsletter&utm_medium=email&utm_campaign=spring'],
+                // Les paramètres utm déjà présents sont conservés
+                [3, 'mj-button', 'https://example.com/shop?utm_source=partner&utm_medium=email&utm_campaign=spring'],
+        ]);
+        t.is(result.meta.tracking.excluded, 1);
+        t.false(result.meta.tracking.openPixel);
+        t.true(result.html.includes('href="https://blog.example.com/post?a=1&amp;b=2&amp;utm_source=newsletter'));
+        t.true(result.html.includes('<a href="mailto:help@example.com">'));
+        t.true(result.html.includes('<a href="https://example.com/unsubscribe" data-notrack>'));
+});
+
+test('renderMjml wraps links in signed click redirects and adds the open pixel', async (t) => {
+        const { tracking } = resolveTracking({ clickTracking: true, openTracking: true, recipientId: 'u-42' }, CONFIG);
+        const result = renderMjml(await promo(), { data: { articleUrl: 'https://blog.example.com/post' }, tracking });
+        const [, article] = result.meta.tracking.links;
+
+        t.true(article.href.startsWith('https://t.example.com/c?t='));
+        t.true(result.html.includes(`href="${article.href}"`));
+        t.deepEqual(verifyTrackingToken(tokenOf(article.href), 's3cret'), {
+                e: 'click', l: 2, u: article.url, r: 'u-42',
+        });
+
+        const pixel = /<img src="([^"]+)" width="1" height="1" alt="" style="[^"]*" \/>\n<\/body>/.exec(result.html);
+        t.truthy(pixel);
+        t.deepEqual(verifyTrackingToken(tokenOf(pixel[1]), 's3cret'), { e: 'open', r: 'u-42' });
+        t.true(result.meta.tracking.openPixel);
+});
+
+test('data-notrack is accepted by mjml validation without tracking', async (t) => {
+        const result = renderMjml((await promo()).replace('<mj-button ', '<mj-button data-notrack '), {
+                data: { articleUrl: 'https://blog.example.com/post' },
+                mjmlOptions: { validationLevel: 'strict' },
+        });
+
+        t.true(result.success);
+        t.is(result.meta, undefined);
+        t.false(result.html.includes('utm_medium'));
+});